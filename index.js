@@ -2,17 +2,44 @@
 
 const { Command } = require('commander');
 const chalk = require('chalk');
+const fs = require('fs');
 const path = require('path');
-const { loadConfig, validateConfig, getFacility, listFacilities } = require('./src/config');
-const { isValidDate, isValidTime, isValidTimeRange, isValidBookingDate, log } = require('./src/utils');
+const readline = require('readline');
+const { getConfigPath, loadConfig, listVenues, loadProfileCredentials, validateConfig, getFacility, listFacilities, createSampleConfig } = require('./src/config');
+const { CONFIG_SCHEMA_VERSION, checkSchema, formatProblem, getConfigSchemaVersion, migrateConfig } = require('./src/schema');
+const { runInitWizard } = require('./src/wizard');
+const { CredentialVault, getVaultPath, readVaultSecret, openVault, generateKeyFile } = require('./src/vault');
+const { loadPlan } = require('./src/plan');
+const { loadImportEvents, planImport, getImportId } = require('./src/importer');
+const { Scheduler, readQueuedBookings, queueBookings } = require('./src/scheduler');
+const { readHistory, recordAttempt } = require('./src/history');
+const { getActiveBookings } = require('./src/policies');
+const { EXIT_CODES, describeError, exitCodeForError, exitCodeForErrors, withErrorCode } = require('./src/errors');
+const { clearSessions, listSessions } = require('./src/sessions');
+const { getDataDir, readJson } = require('./src/store');
+const { NOTIFICATION_EVENTS, buildPayload, notify } = require('./src/notifiers');
+const { buildBookingTitle } = require('./src/titles');
+const { buildEvent, renderCalendar, writeCalendarFile, getCalendarSettings, removeBookingFromCalendar } = require('./src/ical');
+const JobQueue = require('./src/queue');
+const { createApiServer } = require('./src/server');
+const moment = require('moment');
+const { isValidDate, isValidTime, isValidBookingDate, getAvailabilityIntervals, venueToday, toVenueTime, addDays, setLogFormat, log } = require('./src/utils');
 const BookingAutomator = require('./src/booking');
+const { createClient, groupResultsByTarget, validateProfileFormat, checkInput } = require('./src/client');
 
 const program = new Command();
 
+// Set by the global --json flag: each command prints one JSON document instead of text
+let jsonOutput = false;
+
 program
   .name('parkhurst-booking')
   .description('Automated community facility booking system for Parkhurst HOA')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--json', 'Print the result as one JSON document on stdout instead of text (log lines go to stderr as JSON)')
+  .configureOutput({ outputError: reportUsageError })
+  // Unknown options and missing arguments exit with the invalid input code; --help and --version with 0
+  .exitOverride(error => process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.invalidInput));
 
 program
   .command('book')
@@ -26,277 +53,1774 @@ program
     .option('--signature <signature>', 'Custom signature (overrides config)')
     .option('--title <title>', 'Custom booking title (overrides auto-generation)')
     .option('--headless <boolean>', 'Run in headless mode', 'true')
+    .option('--venue <name>', 'Venue from config to use (defaults to defaultVenue or the first venue)')
     .option('--config <path>', 'Path to custom config file')
     .option('--force-date', 'Allow booking dates in the past (for testing or specific scenarios)')
+    .option('--at <time>', 'Prepare the booking ahead of time and submit at the next occurrence of this venue-local clock time (HH:MM:SS)')
+    .option('--when-window-opens', 'Prepare the booking ahead of time and submit the moment its booking window opens (uses defaults.windowOpensAt). Mutually exclusive with --at.')
+    .option('--dry-run', 'Go through login and form filling and locate the confirm button, but never click it')
+    .option('--trace', 'Record a Puppeteer performance trace into the run artifacts directory')
+    .option('--retries <count>', 'Maximum attempts for transient failures (overrides defaults.retry.maxAttempts)')
+    .option('--retry-deadline <seconds>', 'Stop retrying after this many seconds (overrides defaults.retry.deadlineSeconds)')
+  .action(async (options) => {
+    try {
+      const { booking, outcome } = await executeBooking(options);
+      printJson({ ok: true, booking, outcome });
+    } catch (error) {
+      exitWithError(error, 'Booking failed');
+    }
+  });
+
+program
+  .command('book-plan <file>')
+    .description('Book every entry of a JSON, YAML or CSV plan file in a single browser session per profile, or all at once with --parallel')
+    .option('--headless <boolean>', 'Run in headless mode', 'true')
+    .option('--venue <name>', 'Venue from config to use (defaults to defaultVenue or the first venue)')
+    .option('--config <path>', 'Path to custom config file')
+    .option('--force-date', 'Allow booking dates in the past (for testing or specific scenarios)')
+    .option('--trace', 'Record a Puppeteer performance trace into each run artifacts directory')
+    .option('--parallel', 'Book every entry at the same time, each in its own incognito browser context with its own login')
+    .option('--concurrency <count>', 'With --parallel, how many bookings run at once (overrides defaults.maxParallelBookings, default 3)')
+    .option('--at <time>', 'With --parallel, submit every booking at the next occurrence of this venue-local clock time (HH:MM:SS)')
+    .option('--when-window-opens', 'With --parallel, submit each booking the moment its booking window opens. Mutually exclusive with --at.')
+  .action(async (file, options) => {
+    try {
+      const results = await executePlan(file, options);
+      const failures = results.filter(result => !result.success);
+      printJson({
+        ok: failures.length === 0,
+        results: results.map(describePlanResult),
+        ...(options.parallel ? { targets: groupResultsByTarget(results) } : {})
+      });
+      if (failures.length > 0) {
+        process.exit(exitCodeForErrors(failures.map(result => result.error)));
+      }
+    } catch (error) {
+      exitWithError(error, 'Plan failed');
+    }
+  });
+
+program
+  .command('import <file>')
+    .description('Book the events of an iCalendar (.ics) or CSV file; events whose window is not open yet are queued for the scheduler')
+    .option('--facility <facility>', 'Book every event at this facility instead of mapping locations')
+    .option('--profile <email>', 'Profile to book with')
+    .option('--venue <name>', 'Venue from config to use (defaults to defaultVenue or the first venue)')
+    .option('--from <date>', 'Only events on or after this date (YYYY-MM-DD)')
+    .option('--to <date>', 'Only events on or before this date (YYYY-MM-DD)')
+    .option('--dry-run', 'Only show the preview')
+    .option('--yes', 'Do not ask for confirmation after the preview')
+    .option('--headless <boolean>', 'Run in headless mode', 'true')
+    .option('--config <path>', 'Path to custom config file')
+  .action(async (file, options) => {
+    try {
+      const { preview, queued, results } = await importCalendar(file, options);
+      const failures = results.filter(result => !result.success);
+      printJson({ ok: failures.length === 0, preview, queued, results: results.map(describePlanResult) });
+      if (failures.length > 0) {
+        process.exit(exitCodeForErrors(failures.map(result => result.error)));
+      }
+    } catch (error) {
+      exitWithError(error, 'Import failed');
+    }
+  });
+
+program
+  .command('scheduler')
+    .description('Stay running and book each occurrence of the recurring rules in config as soon as its window opens')
+    .option('--headless <boolean>', 'Run in headless mode', 'true')
+    .option('--venue <name>', 'Venue from config to use (defaults to defaultVenue or the first venue)')
+    .option('--config <path>', 'Path to custom config file')
+    .option('--status', 'Show upcoming occurrences and their job state, then exit')
+  .action(async (options) => {
+    try {
+      await runScheduler(options);
+    } catch (error) {
+      exitWithError(error, 'Scheduler error');
+    }
+  });
+
+program
+  .command('serve')
+    .description('Run an HTTP API that queues and runs booking jobs (requires BOOKING_API_TOKEN or api.token)')
+    .option('--port <port>', 'Port to listen on (default: api.port from config, or 8080)')
+    .option('--host <host>', 'Interface to listen on (default: api.host from config, or 127.0.0.1)')
+    .option('--config <path>', 'Path to custom config file')
+  .action(async (options) => {
+    try {
+      await runApiServer(options);
+    } catch (error) {
+      exitWithError(error, 'Server error');
+    }
+  });
+
+program
+  .command('availability')
+    .description('Show open and taken intervals for facilities on a date')
+    .option('--facility <facility>', 'Facility to check (defaults to all configured facilities)')
+    .requiredOption('--date <date>', 'Date to check (YYYY-MM-DD)')
+    .option('--from <time>', 'Start of the window to report (HH:MM)', '00:00')
+    .option('--to <time>', 'End of the window to report (HH:MM, 24:00 for end of day)', '24:00')
+    .option('--profile <email_or_name>', 'User profile for credentials (email or name from config)')
+    .option('--headless <boolean>', 'Run in headless mode', 'true')
+    .option('--venue <name>', 'Venue from config to use (defaults to defaultVenue or the first venue)')
+    .option('--config <path>', 'Path to custom config file')
+  .action(async (options) => {
+    try {
+      await showAvailability(options);
+    } catch (error) {
+      exitWithError(error, 'Availability lookup failed');
+    }
+  });
+
+program
+  .command('my-bookings')
+    .description('List upcoming bookings of the active profile')
+    .option('--from <date>', 'First date to include (YYYY-MM-DD, defaults to today)')
+    .option('--to <date>', 'Last date to include (YYYY-MM-DD, defaults to the end of the booking window)')
+    .option('--profile <email_or_name>', 'User profile for credentials (email or name from config)')
+    .option('--headless <boolean>', 'Run in headless mode', 'true')
+    .option('--venue <name>', 'Venue from config to use (defaults to defaultVenue or the first venue)')
+    .option('--config <path>', 'Path to custom config file')
   .action(async (options) => {
     try {
-      await executeBooking(options);
+      await showMyBookings(options);
     } catch (error) {
-      console.error(chalk.red(`❌ Booking failed: ${error.message}`));
-      process.exit(1);
+      exitWithError(error, 'Could not list bookings');
     }
   });
 
 program
+  .command('cancel')
+    .description('Cancel one of your bookings by id, or by facility/date/time')
+    .option('--id <id>', 'Booking id (as shown by my-bookings)')
+    .option('--facility <facility>', 'Facility of the booking to cancel')
+    .option('--date <date>', 'Date of the booking to cancel (YYYY-MM-DD)')
+    .option('--start-time <time>', 'Start time of the booking to cancel (HH:MM)')
+    .option('--end-time <time>', 'End time of the booking to cancel (HH:MM)')
+    .option('--profile <email_or_name>', 'User profile for credentials (email or name from config)')
+    .option('--headless <boolean>', 'Run in headless mode', 'true')
+    .option('--venue <name>', 'Venue from config to use (defaults to defaultVenue or the first venue)')
+    .option('--config <path>', 'Path to custom config file')
+  .action(async (options) => {
+    try {
+      const booking = await executeCancel(options);
+      printJson({ ok: true, cancelled: booking });
+    } catch (error) {
+      exitWithError(error, 'Cancellation failed');
+    }
+  });
+
+program
+  .command('history')
+    .description('Show recorded booking attempts')
+    .option('--profile <email>', 'Only attempts made with this profile')
+    .option('--facility <facility>', 'Only attempts for this facility')
+    .option('--from <date>', 'Only bookings on or after this date (YYYY-MM-DD)')
+    .option('--to <date>', 'Only bookings on or before this date (YYYY-MM-DD)')
+    .option('--outcome <outcome>', 'Only attempts with this outcome (success, failure or cancelled)')
+    .option('--limit <count>', 'Show only the most recent N attempts')
+    .option('--venue <name>', 'Only attempts at this venue')
+    .option('--config <path>', 'Path to custom config file')
+  .action(async (options) => {
+    try {
+      showHistory(options);
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+program
+  .command('export-ics')
+    .description('Export active bookings from the history as an iCalendar feed')
+    .option('--output <path>', 'File to write (default: data/calendar/bookings.ics, "-" for stdout)')
+    .option('--profile <email>', 'Only bookings made with this profile')
+    .option('--facility <facility>', 'Only bookings for this facility')
+    .option('--from <date>', 'Only bookings on or after this date (YYYY-MM-DD)')
+    .option('--to <date>', 'Only bookings on or before this date (YYYY-MM-DD)')
+    .option('--venue <name>', 'Only bookings at this venue (default: every venue)')
+    .option('--config <path>', 'Path to custom config file')
+  .action(async (options) => {
+    try {
+      exportCalendar(options);
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+const session = program
+  .command('session')
+  .description('Manage saved login sessions');
+
+session
   .command('list')
-  .description('List available facilities')
+  .description('List saved login sessions')
   .option('--config <path>', 'Custom config file path')
-  .action(async (options) => {
+  .action((options) => {
     try {
       const config = loadConfig(options.config);
-      validateConfig(config);
-      
-      const facilities = listFacilities(config);
-      
-      console.log(chalk.blue('\n📋 Available Facilities:'));
-      console.log(chalk.gray('─'.repeat(50)));
-      
-      facilities.forEach(facility => {
-        console.log(chalk.green(`🏢 ${facility.key}`));
-        console.log(chalk.white(`   Name: ${facility.name}`));
-        console.log(chalk.gray(`   Space ID: ${facility.spaceId}`));
-        console.log();
+      const sessions = listSessions(config);
+
+      printText(chalk.blue('\n🔑 Saved Sessions:'));
+      printText(chalk.gray('─'.repeat(50)));
+      if (sessions.length === 0) {
+        printText(chalk.gray('   No saved sessions'));
+      }
+      sessions.forEach(saved => {
+        printText(chalk.green(`📧 ${saved.email}`) + chalk.gray(`${saved.venue ? `  at ${saved.venue},` : ''}  saved ${moment(saved.savedAt).format('YYYY-MM-DD HH:mm')}, ${saved.cookies} cookie(s)`));
+      });
+      printText();
+      printJson({ ok: true, sessions });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+session
+  .command('clear')
+  .description('Delete saved login sessions (all profiles unless --profile is given)')
+  .option('--profile <email>', 'Only clear the session of this profile')
+  .option('--venue <name>', 'Venue of the --profile session (defaults to the default venue)')
+  .option('--config <path>', 'Custom config file path')
+  .action((options) => {
+    try {
+      validateProfileFormat(options.profile);
+      const config = loadConfig(options.config, null, options.venue);
+      const removed = clearSessions(config, options.profile || null);
+      printText(chalk.green(`✅ Cleared ${removed} saved session(s)${options.profile ? ` for ${options.profile}` : ''}`));
+      printJson({ ok: true, cleared: removed });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+program
+  .command('init')
+  .description('Create a config file by answering questions about your venue, facilities and profiles')
+  .option('--sample', 'Write the sample config to edit by hand instead of asking')
+  .option('--force', 'Overwrite an existing config file')
+  .option('--config <path>', 'Where to write the config (default config/config.json)')
+  .action(async (options) => {
+    try {
+      const { configPath, sample, profiles } = await initConfig(options);
+      printJson({ ok: true, config: configPath, sample, profiles });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Upgrade the config file');
+
+configCommand
+  .command('migrate')
+  .description(`Upgrade the config file to schema version ${CONFIG_SCHEMA_VERSION}, keeping a backup of the old one`)
+  .option('--dry-run', 'Show the changes without writing the file')
+  .option('--config <path>', 'Custom config file path')
+  .action(async (options) => {
+    try {
+      printJson({ ok: true, ...migrateConfigFile(options) });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+const credentials = program
+  .command('credentials')
+  .description('Manage the encrypted credential vault');
+
+credentials
+  .command('add <email>')
+  .description('Store or replace a profile\'s password (creates the vault on first use)')
+  .option('--username <login>', 'Login email, if it differs from the profile email')
+  .option('--signature <signature>', 'Signature (initials) for this profile')
+  .option('--password-stdin', 'Read the password from standard input instead of prompting')
+  .option('--from-env', 'Copy the password and signature from the PROFILE_* environment variables')
+  .option('--config <path>', 'Custom config file path')
+  .action(async (email, options) => {
+    try {
+      const { replaced, vault } = await addCredentials(email, options);
+      printJson({ ok: true, profile: email, replaced, vault });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+credentials
+  .command('list')
+  .description('List the profiles in the vault (never their passwords)')
+  .option('--config <path>', 'Custom config file path')
+  .action(async (options) => {
+    try {
+      const vault = await unlockVault(loadConfig(options.config));
+      const entries = vault.list();
+
+      printText(chalk.blue(`\n🔐 Credential Vault (${vault.filePath}):`));
+      printText(chalk.gray('─'.repeat(80)));
+      if (entries.length === 0) {
+        printText(chalk.gray('   No profiles'));
+      }
+      entries.forEach(entry => {
+        const login = entry.email.toLowerCase() !== entry.profile ? `  login ${entry.email}` : '';
+        printText(chalk.green(`📧 ${entry.profile}`) + chalk.gray(`${login}${entry.signature ? `  signature ${entry.signature}` : ''}  updated ${moment(entry.updatedAt).format('YYYY-MM-DD HH:mm')}`));
+      });
+      printText();
+      printJson({ ok: true, vault: vault.filePath, profiles: entries });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+credentials
+  .command('remove <email>')
+  .description('Remove a profile from the vault')
+  .option('--config <path>', 'Custom config file path')
+  .action(async (email, options) => {
+    try {
+      const vault = await unlockVault(loadConfig(options.config));
+      if (!vault.remove(email)) {
+        throw new Error(`Profile ${email} is not in the vault`);
+      }
+      vault.save();
+      printText(chalk.green(`✅ Removed ${email} from the vault`));
+      printJson({ ok: true, removed: email, vault: vault.filePath });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+credentials
+  .command('rotate')
+  .description('Re-encrypt the vault under a new passphrase or a newly generated key file')
+  .option('--new-key-file <path>', 'Generate a random key file at this path and use it instead of a passphrase')
+  .option('--config <path>', 'Custom config file path')
+  .action(async (options) => {
+    try {
+      printJson({ ok: true, ...await rotateVault(options) });
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+program
+  .command('notify-test')
+  .description('Send a sample notification to the configured notifiers')
+  .option('--event <event>', `Simulate a booking event (${NOTIFICATION_EVENTS.join(', ')}) instead of a test message`)
+  .option('--venue <name>', 'Venue to take the sample facility from')
+  .option('--config <path>', 'Custom config file path')
+  .action(async (options) => {
+    try {
+      const results = await sendTestNotification(options);
+      const failed = results.filter(result => !result.success);
+      const error = failed.length > 0
+        ? withErrorCode(new Error(`${failed.length} of ${results.length} notifier(s) failed: ${failed.map(result => result.name).join(', ')}`), 'notification_failed')
+        : null;
+      printJson({
+        ok: !error,
+        results: results.map(result => ({ name: result.name, success: result.success, detail: result.detail || null, error: result.error ? result.error.message : null })),
+        ...(error ? { error: describeError(error) } : {})
       });
+      if (error) {
+        process.exit(exitCodeForError(error));
+      }
+    } catch (error) {
+      exitWithError(error, 'Error');
+    }
+  });
+
+program
+  .command('list')
+  .description('List available facilities (of every venue unless --venue is given)')
+  .option('--venue <name>', 'Only list the facilities of this venue')
+  .option('--config <path>', 'Custom config file path')
+  .action(async (options) => {
+    try {
+      const venues = [];
+      for (const config of loadVenueConfigs(options)) {
+        validateConfig(config);
+        
+        const facilities = listFacilities(config).map(facility => ({
+          ...facility,
+          title: buildBookingTitle(config, { facility, date: venueToday(config.timezone), startTime: '12:00', endTime: '13:00' })
+        }));
+        venues.push({ venue: config.venue || null, baseUrl: config.urls.baseUrl, timezone: config.timezone || null, facilities });
+        
+        printText(chalk.blue(`\n📋 Available Facilities${config.venue ? ` at ${config.venue}` : ''}:`));
+        printText(chalk.gray('─'.repeat(50)));
+        if (config.venue) {
+          printText(chalk.gray(`🌐 ${config.urls.baseUrl}${config.timezone ? ` (${config.timezone})` : ''}`));
+          printText();
+        }
+        
+        facilities.forEach(facility => {
+          printText(chalk.green(`🏢 ${facility.key}`));
+          printText(chalk.white(`   Name: ${facility.name}`));
+          printText(chalk.gray(`   Space ID: ${facility.spaceId}`));
+          printText(chalk.gray(`   Title: ${facility.title} (for 12:00-13:00)`));
+          printText();
+        });
+      }
       
+      printJson({ ok: true, venues });
     } catch (error) {
-      console.error(chalk.red(`❌ Error: ${error.message}`));
-      process.exit(1);
+      exitWithError(error, 'Error');
     }
   });
 
 program
   .command('validate')
-  .description('Validate configuration file')
+  .description('Validate configuration file (every venue unless --venue is given)')
+  .option('--venue <name>', 'Only validate this venue')
   .option('--config <path>', 'Custom config file path')
   .action(async (options) => {
     try {
-      const config = loadConfig(options.config);
-      validateConfig(config);
+      const configs = loadVenueConfigs(options);
+      configs.forEach(validateConfig);
+      
+      printText(chalk.green('✅ Configuration is valid!'));
+      const fileVersion = getConfigSchemaVersion(readJson(getConfigPath(options.config)));
+      if (fileVersion < CONFIG_SCHEMA_VERSION) {
+        printText(chalk.yellow(`⚠️  The config file uses schema version ${fileVersion}; upgrade it to version ${CONFIG_SCHEMA_VERSION} with: node index.js config migrate`));
+      }
+      configs.forEach(config => {
+        if (config.venue) {
+          printText(chalk.green(`\n📍 Venue: ${config.venue}${config.venue === config.defaultVenue ? ' (default)' : ''}`));
+          printText(chalk.blue(`🌐 Base URL: ${config.urls.baseUrl}`));
+        }
+        printText(chalk.blue(`📧 Email: ${config.credentials.email}`));
+        printText(chalk.blue(`🏢 Facilities: ${Object.keys(config.facilities).length}`));
+        if (config.timezone) {
+          printText(chalk.blue(`🕒 Timezone: ${config.timezone}`));
+        }
+        if (config.adapter) {
+          printText(chalk.blue(`🧩 Site adapter: ${typeof config.adapter === 'string' ? config.adapter : 'inline overrides'}`));
+        }
+      });
       
-      console.log(chalk.green('✅ Configuration is valid!'));
-      console.log(chalk.blue(`📧 Email: ${config.credentials.email}`));
-      console.log(chalk.blue(`🏢 Facilities: ${Object.keys(config.facilities).length}`));
+      const vault = openVault(configs[0]);
+      if (vault) {
+        printText(chalk.blue(`\n🔐 Credential vault: ${vault.filePath}`) + chalk.gray(vault.isUnlocked()
+          ? ` (${vault.list().length} profile(s))`
+          : ' (locked; set BOOKING_VAULT_PASSPHRASE or BOOKING_VAULT_KEY_FILE to use it)'));
+      }
       
+      printJson({
+        ok: true,
+        schemaVersion: fileVersion,
+        currentSchemaVersion: CONFIG_SCHEMA_VERSION,
+        venues: configs.map(config => ({
+          venue: config.venue || null,
+          default: Boolean(config.venue) && config.venue === config.defaultVenue,
+          baseUrl: config.urls.baseUrl,
+          email: config.credentials.email,
+          facilities: Object.keys(config.facilities),
+          timezone: config.timezone || null,
+          adapter: config.adapter ? (typeof config.adapter === 'string' ? config.adapter : 'inline') : null
+        })),
+        vault: vault ? { path: vault.filePath, unlocked: vault.isUnlocked(), profiles: vault.isUnlocked() ? vault.list().length : null } : null
+      });
     } catch (error) {
-      console.error(chalk.red(`❌ Configuration error: ${error.message}`));
-      process.exit(1);
+      exitWithError(error, 'Configuration error');
     }
   });
 
+/**
+ * Usage examples shown by the examples command
+ */
+const USAGE_EXAMPLES = [
+  {
+    title: 'Basic booking',
+    commands: ['node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00']
+  },
+  {
+    title: 'Book with different profile (email)',
+    commands: ['node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --profile "john.doe@example.com"']
+  },
+  {
+    title: 'Book with custom signature',
+    commands: ['node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --signature "JD"']
+  },
+  {
+    title: 'Book with profile and signature',
+    commands: ['node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --profile "jane.smith@example.com" --signature "JS"']
+  },
+  {
+    title: 'Book with custom title',
+    commands: ['node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --title "Tennis Practice"']
+  },
+  {
+    title: 'Complete example with all parameters',
+    commands: ['node index.js book --facility tennis_upper --date 2025-06-15 --start-time 14:00 --end-time 16:00 --profile "jane.smith@company.org" --signature "JS" --title "Tournament Practice"']
+  },
+  {
+    title: 'Run in non-headless mode (for debugging)',
+    commands: ['node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --headless false']
+  },
+  {
+    title: 'List available facilities',
+    commands: ['node index.js list']
+  },
+  {
+    title: 'Validate configuration',
+    commands: ['node index.js validate']
+  },
+  {
+    title: 'Book in advance (using default days from config)',
+    commands: ['node index.js book --facility tennis_lower --book-in-advance --start-time 12:00 --end-time 13:00']
+  },
+  {
+    title: 'Book specific days in advance',
+    commands: ['node index.js book --facility tennis_lower --book-in-advance 10 --start-time 12:00 --end-time 13:00']
+  },
+  {
+    title: 'Submit at the exact moment the booking window opens',
+    commands: ['node index.js book --facility tennis_lower --book-in-advance --start-time 18:00 --end-time 19:00 --when-window-opens']
+  },
+  {
+    title: 'Submit at a specific clock time',
+    commands: ['node index.js book --facility tennis_lower --book-in-advance --start-time 18:00 --end-time 19:00 --at 07:00:00']
+  },
+  {
+    title: 'Book a whole plan file in one session',
+    commands: ['node index.js book-plan week.yaml']
+  },
+  {
+    title: 'Race for both courts the moment the window opens',
+    commands: ['node index.js book-plan opening-night.yaml --parallel --concurrency 4 --when-window-opens']
+  },
+  {
+    title: 'Run the recurring booking scheduler',
+    commands: ['node index.js scheduler']
+  },
+  {
+    title: 'Check which slots are free before booking',
+    commands: ['node index.js availability --facility tennis_lower --date 2025-06-15']
+  },
+  {
+    title: 'List and cancel your bookings',
+    commands: [
+      'node index.js my-bookings',
+      'node index.js cancel --facility tennis_lower --date 2025-06-15 --start-time 12:00'
+    ]
+  },
+  {
+    title: 'Check whether your Tuesday booking went through',
+    commands: ['node index.js history --facility tennis_lower --from 2025-06-17 --to 2025-06-17']
+  },
+  {
+    title: 'Check config, credentials and selectors without booking',
+    commands: ['node index.js book --facility tennis_lower --book-in-advance --start-time 12:00 --end-time 13:00 --dry-run']
+  },
+  {
+    title: 'Check that booking notifications reach you',
+    commands: ['node index.js notify-test']
+  },
+  {
+    title: 'Accept booking jobs over HTTP',
+    commands: ['BOOKING_API_TOKEN=<long-random-token> node index.js serve --port 8080']
+  },
+  {
+    title: 'Book at another venue defined in config',
+    commands: ['node index.js book --venue club --facility court_1 --date 2025-06-15 --start-time 18:00 --end-time 19:00']
+  },
+  {
+    title: 'Export your bookings as a calendar feed',
+    commands: ['node index.js export-ics --output ~/Calendars/community.ics']
+  },
+  {
+    title: 'Preview and book a league schedule (queues matches whose window is not open yet)',
+    commands: [
+      'node index.js import league-schedule.ics --dry-run',
+      'node index.js import league-schedule.ics'
+    ]
+  },
+  {
+    title: 'Move a profile\'s password from .env into the encrypted vault',
+    commands: [
+      'node index.js credentials add john.doe@example.com --from-env',
+      'node index.js credentials list'
+    ]
+  },
+  {
+    title: 'Set up a new config, or upgrade an older one to the current schema',
+    commands: [
+      'node index.js init',
+      'node index.js config migrate --dry-run'
+    ]
+  },
+  {
+    title: 'Use the results in a script (JSON on stdout, exit code says what failed)',
+    commands: [
+      'node index.js book --facility tennis_lower --book-in-advance --start-time 12:00 --end-time 13:00 --json > result.json',
+      'node index.js list --json | jq -r \'.venues[].facilities[].key\''
+    ]
+  }
+];
+
+const PROFILE_EXAMPLES = [
+  {
+    description: 'Use a specific profile (requires PROFILE_JOHN_DOE_EXAMPLE_COM_PASSWORD in .env)',
+    command: 'node index.js book --facility tennis_lower --date 2025-06-15 --start-time 14:00 --end-time 15:00 --profile "john.doe@example.com"'
+  },
+  {
+    description: 'Override signature for any profile',
+    command: 'node index.js book --facility tennis_lower --date 2025-06-15 --start-time 14:00 --end-time 15:00 --signature "JS"'
+  },
+  {
+    description: 'Use profile with signature override',
+    command: 'node index.js book --facility tennis_lower --date 2025-06-15 --start-time 14:00 --end-time 15:00 --profile "jane.smith@company.org" --signature "JS"'
+  }
+];
+
+const USAGE_TIPS = [
+  'Use --headless false for debugging',
+  'Logins are reused between runs; run "node index.js session clear" to force a fresh login',
+  'Check available facilities with: node index.js list',
+  'validate lists every config problem with its path, e.g. config.defaults.headless must be true or false',
+  'Check free time slots with: node index.js availability --date 2025-06-15',
+  'Set up multiple profiles in .env: PROFILE_EMAIL_DOMAIN_COM_PASSWORD=password',
+  'Use --profile to specify a different email address',
+  'Use --signature to override the default signature',
+  'Profile signatures can be set with PROFILE_EMAIL_DOMAIN_COM_SIGNATURE=name',
+  'Set BOOKING_VAULT_PASSPHRASE (or BOOKING_VAULT_KEY_FILE) so bookings use the passwords in the credential vault',
+  'Booking titles default to {bufStart} - {bufEnd}; set titleTemplate on a facility or titles.template to change them',
+  'Successful bookings are saved as .ics files in data/calendar; set calendar.file to keep them in one calendar',
+  'Map calendar locations to facilities for import with import.rules in config',
+  'Add a policies section to config to enforce HOA rules per household before booking',
+  'Commands use the default venue unless --venue is given; list and validate cover every venue',
+  'Start --at / --when-window-opens a minute or two early so login and form loading finish first',
+  'Exit codes 65-74 mean retrying will not help and 75-79 that trying again later may; see the README for each code',
+  'Book from your own Node code with require(\'parkhurst-community-booking-system\').createClient(); see Library API in the README'
+];
+
 program
   .command('examples')
   .description('Show usage examples')
   .action(() => {
-    console.log(chalk.blue('\n📖 Usage Examples:'));
-    console.log(chalk.gray('─'.repeat(50)));
+    printText(chalk.blue('\n📖 Usage Examples:'));
+    printText(chalk.gray('─'.repeat(50)));
     
-    console.log(chalk.yellow('\n1. Basic booking:'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00'));
+    USAGE_EXAMPLES.forEach((example, index) => {
+      printText(chalk.yellow(`\n${index + 1}. ${example.title}:`));
+      example.commands.forEach(command => printText(chalk.white(`   ${command}`)));
+    });
     
-    console.log(chalk.yellow('\n2. Book with different profile (email):'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --profile "john.doe@example.com"'));
+    printText(chalk.yellow('\n📋 Profile and Signature Examples:'));
+    PROFILE_EXAMPLES.forEach(example => {
+      printText(chalk.white(`   # ${example.description}`));
+      printText(chalk.white(`   ${example.command}`));
+    });
     
-    console.log(chalk.yellow('\n3. Book with custom signature:'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --signature "JD"'));
+    printText(chalk.blue('\n💡 Tips:'));
+    USAGE_TIPS.forEach(tip => printText(chalk.gray(`   • ${tip}`)));
+    printText();
     
-    console.log(chalk.yellow('\n4. Book with profile and signature:'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --profile "jane.smith@example.com" --signature "JS"'));
-    
-    console.log(chalk.yellow('\n5. Book with custom title:'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --title "Tennis Practice"'));
-    
-    console.log(chalk.yellow('\n6. Complete example with all parameters:'));
-    console.log(chalk.white('   node index.js book --facility tennis_upper --date 2025-06-15 --start-time 14:00 --end-time 16:00 --profile "jane.smith@company.org" --signature "JS" --title "Tournament Practice"'));
-    
-    console.log(chalk.yellow('\n7. Run in non-headless mode (for debugging):'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 12:00 --end-time 13:00 --headless false'));
-    
-    console.log(chalk.yellow('\n8. List available facilities:'));
-    console.log(chalk.white('   node index.js list'));
-    
-    console.log(chalk.yellow('\n9. Validate configuration:'));
-    console.log(chalk.white('   node index.js validate'));
-    
-    console.log(chalk.yellow('\n8. Book in advance (using default days from config):'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --book-in-advance --start-time 12:00 --end-time 13:00'));
-    
-    console.log(chalk.yellow('\n9. Book specific days in advance:'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --book-in-advance 10 --start-time 12:00 --end-time 13:00'));
-    
-    console.log(chalk.yellow('\n📋 Profile and Signature Examples:'));
-    console.log(chalk.white('   # Use a specific profile (requires PROFILE_JOHN_DOE_EXAMPLE_COM_PASSWORD in .env)'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 14:00 --end-time 15:00 --profile "john.doe@example.com"'));
-    console.log(chalk.white('   # Override signature for any profile'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 14:00 --end-time 15:00 --signature "JS"'));
-    console.log(chalk.white('   # Use profile with signature override'));
-    console.log(chalk.white('   node index.js book --facility tennis_lower --date 2025-06-15 --start-time 14:00 --end-time 15:00 --profile "jane.smith@company.org" --signature "JS"'));
-    
-    console.log(chalk.blue('\n💡 Tips:'));
-    console.log(chalk.gray('   • Use --headless false for debugging'));
-    console.log(chalk.gray('   • Check available facilities with: node index.js list'));
-    console.log(chalk.gray('   • Set up multiple profiles in .env: PROFILE_EMAIL_DOMAIN_COM_PASSWORD=password'));
-    console.log(chalk.gray('   • Use --profile to specify a different email address'));
-    console.log(chalk.gray('   • Use --signature to override the default signature'));
-    console.log(chalk.gray('   • Profile signatures can be set with PROFILE_EMAIL_DOMAIN_COM_SIGNATURE=name'));
-    console.log(chalk.gray('   • Booking title format: {start-15min} - {end+15min}'));
-    console.log();
-  });
-
-function validateBookingParams(options, forceDate = false, config) {
-  const errors = [];
+    printJson({ ok: true, examples: USAGE_EXAMPLES, profileExamples: PROFILE_EXAMPLES, tips: USAGE_TIPS });
+  });
+
+/**
+ * Books one slot through the library client, printing the booking summary before the browser
+ * starts and the outcome after
+ */
+async function executeBooking(options) {
+  const client = createClient(options.config);
+  client.on('validated', booking => printBookingSummary(booking, options));
+
+  const { booking, outcome } = await client.book(options);
+
+  if (outcome.dryRun) {
+    printDryRunReport(outcome);
+    return { booking, outcome };
+  }
   
-  // Date validation (format, past date) is now handled in executeBooking before this function is called.
-  // options.date should be populated and validated by the time we get here.
-  if (!options.date || !isValidDate(options.date)) {
-    // This should ideally not be hit if executeBooking's date logic is correct.
-    errors.push('Booking date is missing or invalid after initial processing. This indicates an internal logic error.');
+  printText(chalk.green('\n✅ Booking process completed successfully!'));
+  
+  if (outcome.artifactsPath) {
+    printText(chalk.gray(`📁 Artifacts: ${outcome.artifactsPath}`));
+  }
+  
+  if (outcome.calendarPath) {
+    printText(chalk.gray(`📅 Calendar: ${outcome.calendarPath}`));
   }
+  
+  if (booking.submitAt) {
+    printText(chalk.blue(`⏱️  Submitted ${outcome.submitOffsetMs}ms after ${moment.parseZone(booking.submitAt).format('HH:mm:ss')} (clock skew ${outcome.clockSkewMs}ms)`));
+  }
+  
+  return { booking, outcome };
+}
 
-  // Facility validation
-  if (!options.facility || !getFacility(config, options.facility)) {
-      errors.push(`Facility '${options.facility || ''}' not found or not specified. Use 'list' command to see available facilities.`);
+/**
+ * Prints what the book command is about to book
+ */
+function printBookingSummary(booking, options) {
+  printText(chalk.blue('\n🎯 Booking Summary:'));
+  printText(chalk.gray('─'.repeat(30)));
+  if (booking.venue) {
+    printText(chalk.white(`📍 Venue: ${booking.venue}`));
   }
+  printText(chalk.white(`📧 Email: ${booking.profile}`));
+  printText(chalk.white(`📅 Date: ${booking.date}${options.bookInAdvance ? ` (calculated from ${options.bookInAdvance} days in advance)` : ''}`));
+  printText(chalk.white(`⏰ Time: ${booking.startTime} - ${booking.endTime}`));
+  printText(chalk.white(`🏢 Facility: ${booking.facilityName}`));
+  printText(chalk.white(`✍️  Signature: ${booking.signature}`));
+  printText(chalk.white(`🤖 Headless: ${booking.headless ? 'Yes' : 'No'}`));
   
-  if (!isValidTime(options.startTime)) {
-    errors.push('Invalid start time format. Use HH:MM');
+  if (booking.dryRun) {
+    printText(chalk.yellow('🧪 Dry Run: the booking will NOT be submitted'));
   }
   
-  if (!isValidTime(options.endTime)) {
-    errors.push('Invalid end time format. Use HH:MM');
+  if (booking.title) {
+    printText(chalk.white(`📝 Custom Title: ${booking.title}`));
   }
   
-  if (isValidTime(options.startTime) && isValidTime(options.endTime)) {
-    if (!isValidTimeRange(options.startTime, options.endTime)) {
-      errors.push('Start time must be before end time');
-    }
+  if (booking.submitAt) {
+    printText(chalk.white(`⏱️  Submit At: ${moment.parseZone(booking.submitAt).format('YYYY-MM-DD HH:mm:ss')} (venue time)`));
   }
   
-  if (errors.length > 0) {
-    throw new Error(errors.join('; '));
+  printText();
+}
+
+/**
+ * Loads the config of every venue, or only of options.venue when given
+ */
+function loadVenueConfigs(options) {
+  const venues = options.venue ? [options.venue] : listVenues(loadConfig(options.config));
+  return venues.map(venue => loadConfig(options.config, null, venue));
+}
+
+/**
+ * Books every entry of a plan file, grouping entries by profile so each profile logs in once
+ */
+async function executePlan(planPath, options) {
+  return bookEntries(checkInput(() => loadPlan(path.resolve(planPath))), options);
+}
+
+/**
+ * Validates and books plan entries ({ facility, date, startTime, endTime, profile, venue, ... })
+ * through the library client, one browser session per profile and venue, then prints the
+ * results table
+ */
+async function bookEntries(entries, options) {
+  const client = createClient(options.config, { venue: options.venue });
+  client.on('planned', ({ total, invalid, sessions, parallel, concurrency }) => {
+    printText(chalk.blue(`\n📋 Plan: ${total} booking(s), ${invalid} invalid, ${parallel
+      ? `${sessions} browser context(s), up to ${concurrency} at a time`
+      : `${sessions} profile session(s)`}`));
+  });
+
+  const results = await client.bookAll(entries, {
+    headless: options.headless,
+    forceDate: options.forceDate,
+    trace: options.trace,
+    parallel: Boolean(options.parallel),
+    concurrency: options.concurrency,
+    at: options.at,
+    whenWindowOpens: options.whenWindowOpens
+  });
+
+  printPlanResults(results);
+  if (options.parallel) {
+    printTargetResults(groupResultsByTarget(results));
   }
+  return results;
 }
 
-async function executeBooking(options) {
-  const config = loadConfig(options.config, options.profile);
-  validateConfig(config);
+/**
+ * Imports calendar events as bookings: maps and validates them, shows a preview, then books
+ * the ones whose window is open and queues the rest for the scheduler
+ */
+async function importCalendar(file, options) {
+  checkDateBounds(options);
 
-  let bookingDateStr;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Normalize today to start of day
+  const client = createClient(options.config, { profile: options.profile, venue: options.venue });
+  const config = client.loadConfig();
+  if (options.facility) {
+    getFacility(config, options.facility);
+  }
 
-  const defaultAdvanceDaysFromConfig = config.defaults?.bookInAdvanceDays;
-  const hardcodedDefaultAdvanceDays = 15;
+  const events = checkInput(() => loadImportEvents(path.resolve(file), config.timezone));
+  if (events.length === 0) {
+    throw withErrorCode(new Error(`No events found in ${file}`), 'invalid_input');
+  }
 
-  if (options.date && options.bookInAdvance !== undefined) {
-    console.error(chalk.red('Error: --date and --book-in-advance are mutually exclusive. Please use one or the other.'));
-    process.exit(1);
+  const rows = planImport(config, events, options);
+  rows.forEach(row => {
+    row.id = getImportId(row);
+  });
+
+  // Skip slots already booked and check HOA policies now, so the preview shows what will happen.
+  // Bookings queued earlier (other than the ones being re-imported) count as pending.
+  const active = getActiveBookings(readHistory(config, { venue: config.venue }));
+  const importIds = new Set(rows.map(row => row.id));
+  const pending = readQueuedBookings(config)
+    .filter(booking => !importIds.has(booking.id))
+    .map(booking => ({ ...booking, profile: booking.profile || config.credentials.email, venue: config.venue }));
+  for (const row of rows.filter(candidate => candidate.action !== 'skip')) {
+    if (active.some(booking => booking.facility === row.facility && booking.date === row.date && booking.startTime === row.startTime)) {
+      Object.assign(row, { action: 'skip', reason: 'already booked' });
+      continue;
+    }
+    try {
+      pending.push(client.validateBooking({
+        facility: row.facility,
+        date: row.date,
+        startTime: row.startTime,
+        endTime: row.endTime
+      }, { pending }));
+    } catch (error) {
+      Object.assign(row, { action: 'skip', reason: error.message });
+    }
   }
 
-  let calculatedDate; // This will be a Date object
+  printImportPreview(file, rows, config.timezone);
+  const imported = {
+    preview: rows.map(row => ({
+      id: row.id,
+      summary: row.event.summary || null,
+      location: row.event.location || null,
+      facility: row.facility,
+      date: row.date,
+      startTime: row.startTime,
+      endTime: row.endTime,
+      action: row.action,
+      reason: row.reason,
+      opensAt: row.opensAt === null ? null : toVenueTime(row.opensAt, config.timezone).format()
+    })),
+    queued: 0,
+    results: []
+  };
 
-  if (options.bookInAdvance !== undefined) {
-    let daysToAdvance;
-    if (typeof options.bookInAdvance === 'string') {
-      daysToAdvance = parseInt(options.bookInAdvance, 10);
-      if (isNaN(daysToAdvance) || daysToAdvance < 0) {
-        console.error(chalk.red('Error: --book-in-advance must be a non-negative integer if a value is provided.'));
-        process.exit(1);
-      }
-    } else { // options.bookInAdvance is true (flag used without value)
-      daysToAdvance = typeof defaultAdvanceDaysFromConfig === 'number' ? defaultAdvanceDaysFromConfig : hardcodedDefaultAdvanceDays;
-      log(chalk.blue(`Using default days in advance: ${daysToAdvance} (from ${typeof defaultAdvanceDaysFromConfig === 'number' ? 'config' : 'hardcoded default'})`));
-    }
-    calculatedDate = new Date(today);
-    calculatedDate.setDate(today.getDate() + daysToAdvance);
-  } else if (options.date) {
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
-        console.error(chalk.red('Error: Date format for --date must be YYYY-MM-DD.'));
-        process.exit(1);
-    }
-    const parts = options.date.split('-');
-    calculatedDate = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));
-    if (isNaN(calculatedDate.getTime())) {
-        console.error(chalk.red(`Error: Invalid date provided: ${options.date}`));
-        process.exit(1);
+  const toBook = rows.filter(row => row.action === 'book');
+  const toQueue = rows.filter(row => row.action === 'queue');
+  if (options.dryRun || toBook.length + toQueue.length === 0) {
+    printText(chalk.gray(options.dryRun ? 'Dry run: nothing was booked or queued' : 'Nothing to import'));
+    return imported;
+  }
+
+  if (!options.yes && !(await confirm(`Book ${toBook.length} now and queue ${toQueue.length} for later? (y/N) `))) {
+    printText(chalk.yellow('Import cancelled'));
+    return imported;
+  }
+
+  if (toQueue.length > 0) {
+    queueBookings(config, toQueue.map(row => ({
+      id: row.id,
+      facility: row.facility,
+      date: row.date,
+      startTime: row.startTime,
+      endTime: row.endTime,
+      profile: options.profile,
+      summary: row.event.summary,
+      source: path.basename(file)
+    })));
+    printText(chalk.blue(`🗓️  Queued ${toQueue.length} booking(s); run "node index.js scheduler${config.venue ? ` --venue ${config.venue}` : ''}" to book them when their windows open`));
+    imported.queued = toQueue.length;
+  }
+
+  if (toBook.length === 0) {
+    return imported;
+  }
+  imported.results = await bookEntries(toBook.map(row => ({
+    facility: row.facility,
+    date: row.date,
+    startTime: row.startTime,
+    endTime: row.endTime,
+    profile: options.profile,
+    venue: options.venue
+  })), options);
+  return imported;
+}
+
+/**
+ * Prints what import will do with each event
+ */
+function printImportPreview(file, rows, timezone) {
+  printText(chalk.blue(`\n📥 Import Preview (${path.basename(file)}):`));
+  printText(chalk.gray('─'.repeat(100)));
+  printText(chalk.white(`${'#'.padEnd(4)}${'Event'.padEnd(26)}${'Facility'.padEnd(16)}${'Date'.padEnd(12)}${'Time'.padEnd(13)}Action`));
+  printText(chalk.gray('─'.repeat(100)));
+
+  rows.forEach((row, index) => {
+    const summary = row.event.summary || row.event.location || '';
+    const time = row.startTime && row.endTime ? `${row.startTime}-${row.endTime}` : '';
+    const line = `${String(index + 1).padEnd(4)}${(summary.length > 24 ? `${summary.slice(0, 23)}…` : summary).padEnd(26)}${(row.facility || '').padEnd(16)}${(row.date || '').padEnd(12)}${time.padEnd(13)}`;
+
+    if (row.action === 'book') {
+      printText(chalk.green(`${line}📅 Book now`));
+    } else if (row.action === 'queue') {
+      printText(chalk.blue(`${line}🗓️  Queue (window opens ${toVenueTime(row.opensAt, timezone).format('YYYY-MM-DD HH:mm')})`));
+    } else {
+      printText(chalk.gray(`${line}⏭️  Skip: ${row.reason}`));
     }
+  });
+
+  const count = action => rows.filter(row => row.action === action).length;
+  printText(chalk.gray('─'.repeat(100)));
+  printText(chalk.blue(`${count('book')} to book now, ${count('queue')} to queue, ${count('skip')} skipped`));
+  printText();
+}
+
+/**
+ * Writes a new config file, from the init wizard's answers or the sample config
+ */
+async function initConfig(options) {
+  const configPath = path.resolve(getConfigPath(options.config));
+  if (fs.existsSync(configPath) && !options.force) {
+    throw new Error(`${configPath} already exists; pass --force to replace it, or upgrade it with: node index.js config migrate`);
+  }
+
+  if (options.sample) {
+    createSampleConfig(configPath);
+    printText(chalk.green(`✅ Wrote the sample config to ${configPath}; edit it, then run: node index.js validate`));
+    return { configPath, sample: true, profiles: [] };
+  }
+  if (!process.stdin.isTTY || jsonOutput) {
+    throw new Error(`${jsonOutput ? '--json never prompts' : 'Not running in a terminal'}; use --sample to write a sample config to edit instead`);
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (question, defaultValue) => new Promise(resolve =>
+    prompt.question(chalk.white(`${question}${defaultValue ? chalk.gray(` [${defaultValue}]`) : ''}: `), answer =>
+      resolve(answer.trim() || defaultValue || '')));
+  const print = message => printText(chalk.blue(`\n${message}`));
+
+  let answers;
+  try {
+    answers = await runInitWizard({ ask, print });
+  } finally {
+    prompt.close();
+  }
+
+  const problems = checkSchema(answers.config);
+  if (problems.length > 0) {
+    throw new Error(`The answers do not make a valid config: ${problems.map(formatProblem).join('; ')}`);
+  }
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, `${JSON.stringify(answers.config, null, 2)}\n`);
+  printText(chalk.green(`\n✅ Wrote ${configPath}`));
+
+  const accounts = [{ email: answers.email, signature: null }, ...answers.profiles];
+  if (answers.storeInVault) {
+    const vault = await unlockVault(loadConfig(configPath), { create: true });
+    for (const account of accounts) {
+      const password = await promptSecret(`Password for ${account.email}: `, `add it later with: node index.js credentials add ${account.email}`);
+      vault.set(account.email, { password, signature: account.signature });
+    }
+    vault.save();
+    printText(chalk.green(`✅ Stored ${accounts.length} password(s) in ${vault.filePath}`));
+    printText(chalk.gray('   Set BOOKING_VAULT_PASSPHRASE (or BOOKING_VAULT_KEY_FILE) when booking so the vault can be unlocked'));
   } else {
-    // Neither --date nor --book-in-advance provided, use default
-    const daysToAdvance = typeof defaultAdvanceDaysFromConfig === 'number' ? defaultAdvanceDaysFromConfig : hardcodedDefaultAdvanceDays;
-    log(chalk.blue(`Neither --date nor --book-in-advance specified. Using default days in advance: ${daysToAdvance} (from ${typeof defaultAdvanceDaysFromConfig === 'number' ? 'config' : 'hardcoded default'})`));
-    calculatedDate = new Date(today);
-    calculatedDate.setDate(today.getDate() + daysToAdvance);
+    printText(chalk.blue('\n🔑 Add the passwords to .env:'));
+    printText(chalk.white('   BOOKING_PASSWORD=...'));
+    answers.profiles.forEach(profile => {
+      const key = profile.email.replace(/[@.]/g, '_').toUpperCase();
+      printText(chalk.white(`   PROFILE_${key}_USERNAME=${profile.email}`));
+      printText(chalk.white(`   PROFILE_${key}_PASSWORD=...`));
+      if (profile.signature) {
+        printText(chalk.white(`   PROFILE_${key}_SIGNATURE=${profile.signature}`));
+      }
+    });
   }
 
-  if (!options.forceDate && calculatedDate < today) {
-    console.error(chalk.red(`Error: Booking date ${calculatedDate.toISOString().split('T')[0]} is in the past. Use --force-date to override.`));
-    process.exit(1);
+  printText(chalk.gray(`\n   Check it with: node index.js validate${options.config ? ` --config ${options.config}` : ''}`));
+  return { configPath, sample: false, profiles: accounts.map(account => account.email) };
+}
+
+/**
+ * Upgrades the config file to the current schema version, keeping the old file as a backup
+ */
+function migrateConfigFile(options) {
+  const configPath = path.resolve(getConfigPath(options.config));
+  const original = readJson(configPath);
+  if (!original) {
+    throw new Error(`Config file not found: ${configPath}`);
   }
 
-  bookingDateStr = calculatedDate.toISOString().split('T')[0];
-  options.date = bookingDateStr; // Update options.date to be used by the rest of the function
+  const { config, fromVersion, changes } = migrateConfig(original);
+  const problems = checkSchema(config);
+  const report = { config: configPath, fromVersion, toVersion: CONFIG_SCHEMA_VERSION, changes, problems, backup: null };
+  if (fromVersion === CONFIG_SCHEMA_VERSION) {
+    printText(chalk.green(`✅ ${configPath} already uses schema version ${CONFIG_SCHEMA_VERSION}`));
+  } else {
+    printText(chalk.blue(`🔧 Schema version ${fromVersion} → ${CONFIG_SCHEMA_VERSION}: ${configPath}`));
+    changes.forEach(change => {
+      printText(chalk.white(`   ${change.path}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`));
+    });
+    printText(chalk.white(`   schemaVersion: ${CONFIG_SCHEMA_VERSION}`));
+  }
+
+  if (problems.length > 0) {
+    printText(chalk.yellow(`\n⚠️  ${problems.length} problem(s) to fix by hand:`));
+    problems.forEach(problem => printText(chalk.yellow(`   ${formatProblem(problem)}`)));
+  }
 
-  // The rest of executeBooking continues from here, using options.date (which is now bookingDateStr)
-  // and config (which is already loaded).
-  // Validate email format if profile is provided
-  if (options.profile) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(options.profile)) {
-      throw new Error('Invalid email format for profile');
+  if (fromVersion === CONFIG_SCHEMA_VERSION || options.dryRun) {
+    if (options.dryRun && fromVersion !== CONFIG_SCHEMA_VERSION) {
+      printText(chalk.gray('\n   Dry run: the file was not changed'));
     }
+    return report;
   }
 
-  // Basic parameter validation (facility, times) - date is validated above.
-  validateBookingParams(options, options.forceDate, config); // Pass config for facility check
+  const backupPath = `${configPath}.v${fromVersion}.bak`;
+  fs.copyFileSync(configPath, backupPath);
+  fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`);
+  printText(chalk.green(`\n✅ Upgraded ${configPath} (the old file is kept as ${backupPath})`));
+  return { ...report, backup: backupPath };
+}
 
-  
-  // Override signature if provided (takes precedence over profile signature)
+/**
+ * Opens the config's vault, asking for the passphrase when neither BOOKING_VAULT_PASSPHRASE nor
+ * a key file is set. With create, a missing vault is created (asking for a new passphrase).
+ */
+async function unlockVault(config, { create = false } = {}) {
+  const vault = new CredentialVault(getVaultPath(config));
+  const secret = readVaultSecret(config);
+  const hint = 'set BOOKING_VAULT_PASSPHRASE or BOOKING_VAULT_KEY_FILE';
+
+  if (!vault.exists()) {
+    if (!create) {
+      throw new Error(`No credential vault at ${vault.filePath}; add a profile with: node index.js credentials add <email>`);
+    }
+    vault.create(secret || await promptNewSecret('vault passphrase', hint));
+    printText(chalk.blue(`🔐 Creating credential vault ${vault.filePath}`));
+    return vault;
+  }
+
+  return vault.unlock(secret || await promptSecret('Vault passphrase: ', hint));
+}
+
+/**
+ * Stores a profile's credentials in the vault
+ */
+async function addCredentials(email, options) {
+  validateProfileFormat(email);
+  validateProfileFormat(options.username);
+  const config = loadConfig(options.config);
+  const vault = await unlockVault(config, { create: true });
+
+  let entry;
+  if (options.fromEnv) {
+    entry = loadProfileCredentials(email);
+  } else {
+    const password = options.passwordStdin
+      ? (await readStdin()).replace(/\r?\n$/, '')
+      : await promptSecret(`Password for ${email}: `, 'use --password-stdin or --from-env');
+    entry = { email: options.username || email, password, signature: null };
+  }
   if (options.signature) {
-    config.defaults.signature = options.signature;
+    entry.signature = options.signature;
   }
-  
-  const facility = getFacility(config, options.facility);
+
+  const replaced = vault.set(email, entry);
+  vault.save();
+  printText(chalk.green(`✅ ${replaced ? 'Updated' : 'Added'} ${email} in ${vault.filePath}`));
+  if (options.fromEnv) {
+    printText(chalk.gray(`   You can now remove the PROFILE_* variables for ${email} from .env`));
+  }
+  return { replaced, vault: vault.filePath };
+}
+
+/**
+ * Re-encrypts the vault with a new passphrase (BOOKING_VAULT_NEW_PASSPHRASE or prompted) or a
+ * newly generated key file
+ */
+async function rotateVault(options) {
+  const config = loadConfig(options.config);
+  const vault = await unlockVault(config);
+
+  let secret;
+  if (options.newKeyFile) {
+    secret = generateKeyFile(path.resolve(options.newKeyFile));
+  } else {
+    secret = process.env.BOOKING_VAULT_NEW_PASSPHRASE ||
+      await promptNewSecret('vault passphrase', 'set BOOKING_VAULT_NEW_PASSPHRASE or use --new-key-file');
+  }
+
+  vault.setSecret(secret);
+  vault.save();
+  printText(chalk.green(`✅ Re-encrypted ${vault.filePath} (${vault.list().length} profile(s))`));
+  printText(chalk.gray(options.newKeyFile
+    ? `   Unlock it with BOOKING_VAULT_KEY_FILE=${path.resolve(options.newKeyFile)} (or vault.keyFile in config)`
+    : '   Update BOOKING_VAULT_PASSPHRASE wherever the scheduler or API server runs'));
+  return { vault: vault.filePath, profiles: vault.list().length, keyFile: options.newKeyFile ? path.resolve(options.newKeyFile) : null };
+}
+
+/**
+ * Asks for a secret on the terminal without echoing it
+ */
+async function promptSecret(question, hint) {
+  if (!process.stdin.isTTY || jsonOutput) {
+    throw new Error(`${jsonOutput ? '--json never prompts' : 'Not running in a terminal'}; ${hint}`);
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  process.stdout.write(question);
+  // Swallow the echo of typed characters
+  prompt._writeToOutput = () => {};
+  const answer = await new Promise(resolve => prompt.question('', resolve));
+  prompt.close();
+  process.stdout.write('\n');
+  return answer;
+}
+
+/**
+ * Asks for a new secret twice
+ */
+async function promptNewSecret(label, hint) {
+  const secret = await promptSecret(`New ${label}: `, hint);
+  if (secret !== await promptSecret(`Repeat the ${label}: `, hint)) {
+    throw new Error('The two entries do not match');
+  }
+  return secret;
+}
+
+/**
+ * Reads all of standard input
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Asks a yes/no question on the terminal
+ */
+async function confirm(question) {
+  if (!process.stdin.isTTY || jsonOutput) {
+    throw new Error(`${jsonOutput ? '--json never prompts' : 'Not running in a terminal'}; pass --yes to proceed without confirmation`);
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => prompt.question(question, resolve));
+  prompt.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+/**
+ * Prints a per-row success/failure table for a plan run
+ */
+function printPlanResults(results) {
+  printText(chalk.blue('\n📊 Plan Results:'));
+  printText(chalk.gray('─'.repeat(90)));
+  printText(chalk.white(`${'#'.padEnd(4)}${'Facility'.padEnd(18)}${'Date'.padEnd(12)}${'Time'.padEnd(14)}${'Profile'.padEnd(26)}Result`));
+  printText(chalk.gray('─'.repeat(90)));
+
+  results.forEach((result, index) => {
+    const { entry } = result;
+    const time = entry.startTime && entry.endTime ? `${entry.startTime}-${entry.endTime}` : '';
+    const line = `${String(index + 1).padEnd(4)}${(entry.facility || '').padEnd(18)}${(entry.date || '').padEnd(12)}${time.padEnd(14)}${(entry.profile || 'default').padEnd(26)}`;
+
+    if (result.success) {
+      printText(chalk.green(`${line}✅ Booked`));
+    } else {
+      printText(chalk.red(`${line}❌ ${result.error.message}`));
+      if (result.error.artifactsPath) {
+        printText(chalk.gray(`    Artifacts: ${result.error.artifactsPath}`));
+      }
+    }
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+  printText(chalk.gray('─'.repeat(90)));
+  printText(chalk.blue(`${succeeded}/${results.length} booking(s) succeeded`));
+}
+
+/**
+ * Prints whether each target slot of a parallel plan was booked, and by whom
+ */
+function printTargetResults(targets) {
+  printText(chalk.blue('\n🎯 Targets:'));
+  targets.forEach(target => {
+    const slot = `${target.venue ? `${target.venue} ` : ''}${target.facility} ${target.date || ''} ${target.startTime}-${target.endTime}`;
+    const rows = `row${target.rows.length > 1 ? 's' : ''} ${target.rows.join(', ')}`;
+    if (target.booked) {
+      printText(chalk.green(`✅ ${slot}: booked by ${target.bookedBy.map(profile => profile || 'default').join(', ')} (${rows})`));
+    } else {
+      printText(chalk.red(`❌ ${slot}: not booked (${rows})`));
+    }
+  });
+  const booked = targets.filter(target => target.booked).length;
+  printText(chalk.blue(`${booked}/${targets.length} target(s) booked`));
+}
+
+/**
+ * Runs the recurring booking scheduler, or prints its job table with --status
+ */
+async function runScheduler(options) {
+  const config = loadConfig(options.config, null, options.venue);
+  validateConfig(config);
+
+  if ((!config.recurring || config.recurring.length === 0) && readQueuedBookings(config).length === 0) {
+    throw new Error(`No recurring rules defined in config${config.venue ? ` for venue ${config.venue}` : ''} (add a "recurring" section) and no queued bookings`);
+  }
+
   const headless = options.headless === 'true' || options.headless === true;
-  
-  console.log(chalk.blue('\n🎯 Booking Summary:'));
-  console.log(chalk.gray('─'.repeat(30)));
-  console.log(chalk.white(`📧 Email: ${config.credentials.email}`));
-  console.log(chalk.white(`📅 Date: ${options.date}${options.bookInAdvance ? ` (calculated from ${options.bookInAdvance} days in advance)` : ''}`));
-  console.log(chalk.white(`⏰ Time: ${options.startTime} - ${options.endTime}`));
-  console.log(chalk.white(`🏢 Facility: ${facility.name}`));
-  console.log(chalk.white(`✍️  Signature: ${config.defaults.signature}`));
-  console.log(chalk.white(`🤖 Headless: ${headless ? 'Yes' : 'No'}`));
-  
-  if (options.title) {
-    console.log(chalk.white(`📝 Custom Title: ${options.title}`));
+  // Each venue runs its own scheduler with its own state file
+  const scheduler = new Scheduler(config, {
+    runJob: (job, submitAt) => runScheduledJob(job, submitAt, options.config, headless, config.venue)
+  });
+
+  if (options.status) {
+    const jobs = scheduler.listJobs();
+    printSchedulerStatus(jobs, config.timezone);
+    printJson({ ok: true, jobs: jobs.map(job => ({ ...job, opensAt: toVenueTime(job.opensAt, config.timezone).format() })) });
+    return;
   }
-  
-  console.log();
-  
+
+  const shutdown = () => {
+    log('Stopping scheduler after running jobs finish...');
+    scheduler.stop();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  await scheduler.run();
+}
+
+/**
+ * Books one occurrence of a recurring rule on behalf of the scheduler
+ */
+async function runScheduledJob(job, submitAt, configPath, headless, venue) {
+  const { rule, date } = job;
+  const { outcome } = await createClient(configPath).book({
+    facility: rule.facility,
+    date,
+    startTime: rule.startTime,
+    endTime: rule.endTime,
+    profile: rule.profile,
+    venue,
+    signature: rule.signature,
+    title: rule.title,
+    headless,
+    submitAt
+  });
+  return outcome;
+}
+
+/**
+ * Runs the booking HTTP API until SIGINT/SIGTERM, then waits for running jobs to finish
+ */
+async function runApiServer(options) {
+  const config = loadConfig(options.config);
+  validateConfig(config);
+
+  const api = config.api || {};
+  const token = process.env.BOOKING_API_TOKEN || api.token;
+  if (!token) {
+    throw new Error('Set BOOKING_API_TOKEN (or api.token in config) to protect the API');
+  }
+
+  const port = parseInt(options.port || api.port || 8080, 10);
+  if (isNaN(port) || port < 0 || port > 65535) {
+    throw new Error('--port must be a number between 0 and 65535');
+  }
+  const host = options.host || api.host || '127.0.0.1';
+
+  const client = createClient(options.config);
+  const queue = new JobQueue(config, {
+    runJob: job => runApiJob(job, client)
+  });
+  const server = createApiServer({
+    token,
+    queue,
+    submitJob: body => queue.submit(body, client),
+    listFacilities: () => client.listFacilities({ venue: options.venue }),
+    validateConfig: () => loadVenueConfigs(options).forEach(validateConfig)
+  });
+
+  queue.start();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  printText(chalk.green(`🌐 Booking API listening on http://${host}:${server.address().port}`));
+  printJson({ ok: true, listening: `http://${host}:${server.address().port}` });
+
+  await new Promise(resolve => {
+    const shutdown = async () => {
+      log('Stopping API server after running jobs finish...');
+      server.close();
+      await queue.stop();
+      resolve();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+  log('API server stopped');
+}
+
+/**
+ * Runs a queued API job through the library client and returns its result for the job record.
+ * The HOA policies were checked when the job was submitted.
+ */
+async function runApiJob(job, client) {
+  const { request } = job;
+  const { outcome } = await client.book({
+    facility: request.facility,
+    date: request.date,
+    startTime: request.startTime,
+    endTime: request.endTime,
+    profile: request.profile,
+    venue: request.venue,
+    signature: request.signature,
+    title: request.title,
+    headless: true,
+    dryRun: request.dryRun
+  }, { checkPolicies: false });
+  return outcome;
+}
+
+/**
+ * Prints upcoming scheduler jobs with their booking window and state
+ */
+function printSchedulerStatus(jobs, timezone) {
+  printText(chalk.blue('\n🗓️  Scheduled Occurrences:'));
+  printText(chalk.gray('─'.repeat(80)));
+
+  if (jobs.length === 0) {
+    printText(chalk.gray('   No upcoming occurrences'));
+  }
+
+  jobs.forEach(job => {
+    const color = job.status === 'booked' ? chalk.green : job.status === 'pending' ? chalk.white : chalk.yellow;
+    printText(color(`${job.id.padEnd(32)}${job.rule.startTime}-${job.rule.endTime}  opens ${toVenueTime(job.opensAt, timezone).format('YYYY-MM-DD HH:mm:ss')}  ${job.status}`));
+  });
+  printText();
+}
+
+/**
+ * Looks up bookings on Skedda and prints free/taken intervals per facility
+ */
+async function showAvailability(options) {
+  validateProfileFormat(options.profile);
+  const config = loadConfig(options.config, options.profile, options.venue);
+  validateConfig(config);
+
+  if (!isValidDate(options.date)) {
+    throw withErrorCode(new Error('Invalid date format. Use YYYY-MM-DD'), 'invalid_input');
+  }
+  const isValidBound = time => isValidTime(time) || time === '24:00';
+  if (!isValidBound(options.from) || !isValidBound(options.to) || options.from >= options.to) {
+    throw withErrorCode(new Error('--from and --to must be HH:MM times with --from before --to'), 'invalid_input');
+  }
+
+  const facilities = options.facility
+    ? [{ key: options.facility, ...getFacility(config, options.facility) }]
+    : listFacilities(config);
+
+  const headless = options.headless === 'true' || options.headless === true;
   const automator = new BookingAutomator(config);
-  
-  await automator.book({
-    facility,
-    date: options.date,
-    startTime: options.startTime,
-    endTime: options.endTime,
-    signature: config.defaults.signature,
-    customTitle: options.title,
-    headless
+  const bookings = await automator.getBookingsForDate(options.date, headless);
+
+  const report = facilities.map(facility => {
+    const spaceBookings = bookings.filter(booking => booking.spaces.includes(String(facility.spaceId)));
+    return {
+      key: facility.key,
+      name: facility.name,
+      spaceId: facility.spaceId,
+      ...getAvailabilityIntervals(spaceBookings, options.date, options.from, options.to)
+    };
   });
-  
-  console.log(chalk.green('\n✅ Booking process completed successfully!'));
+
+  if (jsonOutput) {
+    printJson({ ok: true, date: options.date, from: options.from, to: options.to, facilities: report });
+    return;
+  }
+
+  printText(chalk.blue(`\n📅 Availability for ${options.date} (${options.from}-${options.to}):`));
+  printText(chalk.gray('─'.repeat(50)));
+
+  report.forEach(facility => {
+    printText(chalk.green(`🏢 ${facility.key}`) + chalk.white(` - ${facility.name}`));
+    facility.free.forEach(interval => printText(chalk.green(`   ✅ Open   ${interval.start} - ${interval.end}`)));
+    facility.taken.forEach(interval => printText(chalk.red(`   ⛔ Taken  ${interval.start} - ${interval.end}${interval.title ? `  ${interval.title}` : ''}`)));
+    if (facility.free.length === 0 && facility.taken.length === 0) {
+      printText(chalk.gray('   No intervals'));
+    }
+    printText();
+  });
+}
+
+/**
+ * Default date range for own-booking lookups: today through the end of the booking window
+ */
+function getUpcomingRange(config, from, to) {
+  const advanceDays = typeof config.defaults.bookInAdvanceDays === 'number' ? config.defaults.bookInAdvanceDays : 15;
+  const range = {
+    fromDate: from || venueToday(config.timezone),
+    toDate: to || addDays(venueToday(config.timezone), advanceDays + 1)
+  };
+
+  if (!isValidDate(range.fromDate) || !isValidDate(range.toDate)) {
+    throw withErrorCode(new Error('Invalid date format. Use YYYY-MM-DD'), 'invalid_input');
+  }
+
+  return range;
+}
+
+/**
+ * Finds the configured facility whose space a booking is for
+ */
+function describeBookingFacility(config, booking) {
+  const match = listFacilities(config).find(facility => booking.spaces.includes(String(facility.spaceId)));
+  return match ? { key: match.key, name: match.name } : { key: null, name: `Space ${booking.spaces.join(', ')}` };
+}
+
+/**
+ * Lists the active profile's upcoming bookings
+ */
+async function showMyBookings(options) {
+  validateProfileFormat(options.profile);
+  const config = loadConfig(options.config, options.profile, options.venue);
+  validateConfig(config);
+
+  const { fromDate, toDate } = getUpcomingRange(config, options.from, options.to);
+  const headless = options.headless === 'true' || options.headless === true;
+  const automator = new BookingAutomator(config);
+  const bookings = (await automator.getMyBookings(fromDate, toDate, headless))
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(booking => ({ ...booking, facility: describeBookingFacility(config, booking) }));
+
+  if (jsonOutput) {
+    printJson({ ok: true, profile: config.credentials.email, from: fromDate, to: toDate, bookings });
+    return;
+  }
+
+  printText(chalk.blue(`\n📋 Bookings for ${config.credentials.email} (${fromDate} to ${toDate}):`));
+  printText(chalk.gray('─'.repeat(50)));
+
+  if (bookings.length === 0) {
+    printText(chalk.gray('   No bookings found'));
+  }
+
+  bookings.forEach(booking => {
+    const start = moment(booking.start);
+    const end = moment(booking.end);
+    printText(chalk.green(`🎾 ${start.format('ddd YYYY-MM-DD')} ${start.format('HH:mm')} - ${end.format('HH:mm')}`));
+    printText(chalk.white(`   Facility: ${booking.facility.name}`));
+    if (booking.title) {
+      printText(chalk.white(`   Title: ${booking.title}`));
+    }
+    printText(chalk.gray(`   Booking ID: ${booking.id}`));
+    printText();
+  });
+}
+
+/**
+ * Cancels a booking of the active profile by id or by facility/date/time
+ */
+async function executeCancel(options) {
+  validateProfileFormat(options.profile);
+  const config = loadConfig(options.config, options.profile, options.venue);
+  validateConfig(config);
+
+  const headless = options.headless === 'true' || options.headless === true;
+  const automator = new BookingAutomator(config);
+  let booking;
+
+  if (options.id) {
+    const { fromDate, toDate } = getUpcomingRange(config);
+    booking = await automator.cancelMyBooking({ id: options.id, fromDate, toDate }, headless);
+  } else {
+    if (!options.facility || !options.date) {
+      throw withErrorCode(new Error('Specify --id, or --facility and --date (optionally with --start-time/--end-time)'), 'invalid_input');
+    }
+    if (!isValidDate(options.date)) {
+      throw withErrorCode(new Error('Invalid date format. Use YYYY-MM-DD'), 'invalid_input');
+    }
+    if ((options.startTime && !isValidTime(options.startTime)) || (options.endTime && !isValidTime(options.endTime))) {
+      throw withErrorCode(new Error('Invalid time format. Use HH:MM'), 'invalid_input');
+    }
+
+    const facility = getFacility(config, options.facility);
+    const matches = booking =>
+      booking.spaces.includes(String(facility.spaceId)) &&
+      booking.start.startsWith(options.date) &&
+      (!options.startTime || booking.start.slice(11, 16) === options.startTime) &&
+      (!options.endTime || booking.end.slice(11, 16) === options.endTime);
+
+    booking = await automator.cancelMyBooking({ matches, fromDate: options.date, toDate: options.date }, headless);
+  }
+
+  const { key, name } = describeBookingFacility(config, booking);
+  const record = recordAttempt(config, {
+    profile: config.credentials.email,
+    facility: key,
+    facilityName: name,
+    date: booking.start.slice(0, 10),
+    startTime: booking.start.slice(11, 16),
+    endTime: booking.end.slice(11, 16),
+    title: booking.title,
+    outcome: 'cancelled',
+    bookingId: booking.id
+  });
+  removeBookingFromCalendar(config, record);
+  printText(chalk.green(`\n✅ Cancelled booking ${booking.id}: ${name}, ${booking.start.replace('T', ' ').slice(0, 16)} - ${booking.end.slice(11, 16)}`));
+  return { id: booking.id, facility: key, facilityName: name, start: booking.start, end: booking.end, title: booking.title || null };
+}
+
+/**
+ * Prints booking attempts from the history ledger
+ */
+function showHistory(options) {
+  const config = loadConfig(options.config, null, options.venue);
+
+  checkDateBounds(options);
+  if (options.outcome && !['success', 'failure', 'cancelled'].includes(options.outcome)) {
+    throw withErrorCode(new Error('--outcome must be success, failure or cancelled'), 'invalid_input');
+  }
+
+  let entries = readHistory(config, options);
+  if (options.limit) {
+    const limit = parseInt(options.limit, 10);
+    if (isNaN(limit) || limit <= 0) {
+      throw withErrorCode(new Error('--limit must be a positive integer'), 'invalid_input');
+    }
+    entries = entries.slice(-limit);
+  }
+
+  if (jsonOutput) {
+    printJson({ ok: true, entries });
+    return;
+  }
+
+  printText(chalk.blue('\n📜 Booking History:'));
+  printText(chalk.gray('─'.repeat(100)));
+
+  if (entries.length === 0) {
+    printText(chalk.gray('   No matching attempts'));
+  }
+
+  entries.forEach(entry => {
+    const attemptedAt = moment(entry.timestamp).format('YYYY-MM-DD HH:mm');
+    const facility = `${entry.venue ? `${entry.venue}/` : ''}${entry.facility || entry.facilityName || ''}`;
+    const line = `${attemptedAt}  ${facility.padEnd(16)}${entry.date} ${entry.startTime}-${entry.endTime}  ${(entry.profile || '').padEnd(28)}`;
+
+    if (entry.outcome === 'success') {
+      printText(chalk.green(`${line}✅ Booked (${(entry.durationMs / 1000).toFixed(1)}s)`));
+    } else if (entry.outcome === 'cancelled') {
+      printText(chalk.yellow(`${line}🗑️  Cancelled`));
+    } else {
+      printText(chalk.red(`${line}❌ ${entry.errorType}: ${entry.error}`));
+    }
+    if (entry.artifactsPath) {
+      printText(chalk.gray(`   Artifacts: ${entry.artifactsPath}`));
+    }
+  });
+  printText();
+}
+
+/**
+ * Writes the active bookings of the history ledger (successful and not cancelled since) as an
+ * iCalendar feed, one event per booking in its venue's timezone
+ */
+function exportCalendar(options) {
+  checkDateBounds(options);
+
+  const configs = loadVenueConfigs(options);
+  const events = configs.flatMap(config => {
+    const history = readHistory(config, { venue: config.venue, profile: options.profile, facility: options.facility, from: options.from, to: options.to });
+    return getActiveBookings(history).map(booking => buildEvent(config, booking));
+  });
+  const { name } = getCalendarSettings(configs[0]);
+
+  if (options.output === '-') {
+    // With --json the feed goes into the JSON document instead
+    if (jsonOutput) {
+      printJson({ ok: true, bookings: events.length, calendar: renderCalendar(events, name) });
+    } else {
+      process.stdout.write(renderCalendar(events, name));
+    }
+    return;
+  }
+
+  const outputPath = options.output ? path.resolve(options.output) : path.join(getDataDir(configs[0]), 'calendar', 'bookings.ics');
+  writeCalendarFile(outputPath, events, name);
+  printText(chalk.green(`✅ Exported ${events.length} booking(s) to ${outputPath}`));
+  printJson({ ok: true, bookings: events.length, path: outputPath });
+}
+
+/**
+ * Sends a sample payload to every configured notifier and prints the per-notifier outcome
+ */
+async function sendTestNotification(options) {
+  const config = loadConfig(options.config, null, options.venue);
+  validateConfig(config);
+
+  if (!config.notifiers || config.notifiers.length === 0) {
+    throw withErrorCode(new Error('No notifiers defined in config (add a "notifiers" section)'), 'config_invalid');
+  }
+
+  const event = options.event || 'test';
+  if (event !== 'test' && !NOTIFICATION_EVENTS.includes(event)) {
+    throw withErrorCode(new Error(`--event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`), 'invalid_input');
+  }
+
+  const [facility] = listFacilities(config);
+  const date = addDays(venueToday(config.timezone), 1);
+  const booking = {
+    facility: facility.key,
+    facilityName: facility.name,
+    date,
+    startTime: '18:00',
+    endTime: '19:00',
+    title: buildBookingTitle(config, { facility, date, startTime: '18:00', endTime: '19:00' })
+  };
+  let outcome = { artifactsPath: null };
+  if (event === 'failure' || event === 'retries_exhausted') {
+    outcome = new Error('Sample failure sent by notify-test');
+    outcome.errorType = 'navigation_timeout';
+    outcome.attempts = event === 'retries_exhausted' ? 3 : 1;
+  }
+
+  const results = await notify(config, buildPayload(event, config, booking, outcome));
+
+  printText(chalk.blue(`\n🔔 Notifier Results (${event}):`));
+  printText(chalk.gray('─'.repeat(50)));
+  if (results.length === 0) {
+    printText(chalk.gray(`   No notifier is subscribed to ${event}`));
+  }
+  results.forEach(result => {
+    if (result.success) {
+      printText(chalk.green(`✅ ${result.name}: ${result.detail}`));
+    } else {
+      printText(chalk.red(`❌ ${result.name}: ${result.error.message}`));
+    }
+  });
+  printText();
+
+  return results;
+}
+
+/**
+ * Prints which selectors matched during a dry run
+ */
+function printDryRunReport(result) {
+  const { title, signature, confirmButton, fields = {} } = result.matchedSelectors;
+  const describe = selector => (selector ? chalk.green(`✅ ${selector}`) : chalk.red('❌ not found'));
+
+  printText(chalk.blue('\n🧪 Dry Run Report:'));
+  printText(chalk.gray('─'.repeat(50)));
+  printText(chalk.white(`🔗 Booking URL: ${result.bookingUrl}`));
+  printText(chalk.white(`📝 Title: ${result.title}`));
+  printText(chalk.white(`   Title field:     ${describe(title)}`));
+  printText(chalk.white(`   Signature field: ${describe(signature)}`));
+  Object.entries(fields).forEach(([name, selector]) => {
+    printText(chalk.white(`   Field ${name}: ${describe(selector)}`));
+  });
+  printText(chalk.white(`   Confirm button:  ${describe(confirmButton)}`));
+  printText(chalk.white(`📸 Screenshot: ${result.screenshotPath}`));
+
+  if (title && signature && confirmButton) {
+    printText(chalk.green('\n✅ Dry run passed: the booking could be submitted (nothing was clicked)'));
+  } else {
+    const error = new Error(`Dry run found problems with the booking form${result.confirmButtonError ? `: ${result.confirmButtonError}` : ''}`);
+    error.matchedSelectors = result.matchedSelectors;
+    error.artifactsPath = result.artifactsPath;
+    throw error;
+  }
+}
+
+/**
+ * Checks the optional --from/--to dates of a command
+ */
+function checkDateBounds(options) {
+  for (const bound of [options.from, options.to]) {
+    if (bound && !isValidDate(bound)) {
+      throw withErrorCode(new Error('Invalid date format. Use YYYY-MM-DD'), 'invalid_input');
+    }
+  }
+}
+
+/**
+ * Turns on --json output: commands print their text through printText, which goes quiet so
+ * stdout carries only the document printed by printJson, and log() writes JSON lines to stderr
+ */
+function enableJsonOutput() {
+  jsonOutput = true;
+  setLogFormat('json');
+}
+
+/**
+ * Prints a command's human-readable output; silent with --json
+ */
+function printText(...lines) {
+  if (!jsonOutput) {
+    console.log(...lines);
+  }
+}
+
+/**
+ * Prints a command's result document with --json; does nothing otherwise
+ */
+function printJson(document) {
+  if (jsonOutput) {
+    process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+  }
+}
+
+/**
+ * Plain-object form of a plan or import row result for --json output
+ */
+function describePlanResult(result) {
+  const { request, success, error, ...outcome } = result.outcome || {};
+  return {
+    ...result.entry,
+    success: result.success,
+    outcome: result.success ? outcome : null,
+    error: result.success ? null : describeError(result.error)
+  };
+}
+
+/**
+ * Reports a failed command (as text, or as a JSON document with --json) and exits with the
+ * exit code for the error
+ */
+function exitWithError(error, label) {
+  if (jsonOutput) {
+    printJson({ ok: false, error: describeError(error) });
+  } else {
+    console.error(chalk.red(`❌ ${label}: ${error.message}`));
+    if (error.errorType) {
+      console.error(chalk.gray(`   Error type: ${error.errorType} (${error.transient ? 'transient' : 'permanent'}), attempts: ${error.attempts || 1}`));
+    }
+    if (error.artifactsPath) {
+      console.error(chalk.gray(`📁 Artifacts: ${error.artifactsPath}`));
+    }
+  }
+  process.exit(exitCodeForError(error));
+}
+
+/**
+ * Prints commander's usage errors (unknown options, missing arguments), as JSON with --json
+ */
+function reportUsageError(message, write) {
+  if (!jsonOutput) {
+    write(message);
+    return;
+  }
+  const error = withErrorCode(new Error(message.replace(/^error: /, '').trim()), 'invalid_input');
+  printJson({ ok: false, error: describeError(error) });
 }
 
 process.on('uncaughtException', (error) => {
-  console.error(chalk.red(`❌ Uncaught Exception: ${error.message}`));
-  process.exit(1);
+  exitWithError(error, 'Uncaught Exception');
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error(chalk.red(`❌ Unhandled Rejection: ${reason}`));
-  process.exit(1);
+  exitWithError(reason instanceof Error ? reason : new Error(String(reason)), 'Unhandled Rejection');
 });
 
+// --json is read before parsing so commander's own usage errors come out as JSON too
+if (process.argv.slice(2).includes('--json')) {
+  enableJsonOutput();
+}
+
 if (process.argv.length === 2) {
   program.help();
 } else {
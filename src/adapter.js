@@ -0,0 +1,175 @@
+const fs = require('fs');
+
+/**
+ * Default description of the Skedda booking pages: the selectors and button texts the
+ * automation looks for, how a successful booking is recognised and any extra form fields.
+ * Selector lists are tried in order; the first visible match wins.
+ */
+const DEFAULT_ADAPTER = {
+  loggedInSelectors: ['.booking-form', '#booking-form', 'form[action*="booking"]'],
+  login: {
+    emailSelectors: ['input[type="email"]', 'input[name="email"]', '#email'],
+    passwordSelectors: ['input[type="password"]', 'input[name="password"]', '#password'],
+    submitSelectors: ['button[type="submit"]', 'input[type="submit"]', '.btn-primary'],
+    // Messages shown when the login is rejected
+    errorSelectors: ['.alert-danger', '.validation-summary-errors', '.field-validation-error', '.error-message']
+  },
+  form: {
+    titleSelectors: [
+      'input[name*="title"]',
+      'input[placeholder*="title"]',
+      'textarea[name*="title"]',
+      '#booking-title',
+      '.booking-title input'
+    ],
+    signatureSelectors: [
+      'input[name*="signature"]',
+      'input[placeholder*="signature"]',
+      'input[placeholder*="initial"]',
+      '#signature',
+      '.signature input'
+    ],
+    // Extra fields the venue requires, e.g.
+    // { "name": "purpose", "selector": "select[name=purpose]", "type": "select", "value": "Tennis", "required": true }
+    fields: []
+  },
+  confirmButton: {
+    selectors: [
+      '.row.pt-5 .col-12 button.btn.btn-success',
+      'button.btn.btn-success',
+      'button[type="submit"]',
+      '.btn-success',
+      '.confirm-booking'
+    ],
+    texts: ['Confirm', 'Book', 'Submit']
+  },
+  dialogs: {
+    selectors: [
+      '.modal button.btn-success',
+      '.modal button.btn-primary',
+      '.popup button[type="submit"]',
+      '.dialog .confirm'
+    ],
+    texts: ['OK', 'Confirm'],
+    containerSelectors: ['.modal', '.popup', '.dialog']
+  },
+  success: {
+    // Exact URL after a successful booking; defaults to urls.successUrl, then urls.baseUrl
+    url: null,
+    // Alternatively a regular expression the URL must match, or an element that must be visible
+    urlPattern: null,
+    selector: null
+  },
+  errorSelectors: [
+    '.alert-danger',
+    '.error-message',
+    '.booking-error',
+    '[class*="error"]',
+    '.alert',
+    '[role="alert"]'
+  ]
+};
+
+const FIELD_TYPES = ['text', 'select', 'checkbox'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merges adapter overrides into the defaults; objects merge key by key, lists replace
+ */
+function mergeAdapter(base, overrides) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeAdapter(base[key], value) : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Checks an adapter for unknown keys and wrongly typed values, so a typo in config fails
+ * validation instead of silently falling back to the defaults
+ */
+function validateAdapter(adapter, defaults = DEFAULT_ADAPTER, prefix = 'adapter') {
+  for (const [key, value] of Object.entries(adapter)) {
+    const label = `${prefix}.${key}`;
+
+    if (!(key in defaults)) {
+      throw new Error(`Unknown site adapter setting ${label}`);
+    }
+
+    const expected = defaults[key];
+    if (key === 'fields') {
+      validateFields(value, label);
+    } else if (Array.isArray(expected)) {
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+        throw new Error(`${label} must be a list of strings`);
+      }
+    } else if (isPlainObject(expected)) {
+      if (!isPlainObject(value)) {
+        throw new Error(`${label} must be an object`);
+      }
+      validateAdapter(value, expected, label);
+    } else if (value !== null && typeof value !== 'string') {
+      throw new Error(`${label} must be a string`);
+    }
+  }
+
+  if (prefix === 'adapter' && adapter.success && adapter.success.urlPattern) {
+    try {
+      new RegExp(adapter.success.urlPattern);
+    } catch (error) {
+      throw new Error(`adapter.success.urlPattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+}
+
+function validateFields(fields, label) {
+  if (!Array.isArray(fields)) {
+    throw new Error(`${label} must be a list of form fields`);
+  }
+
+  fields.forEach((field, index) => {
+    const name = (field && field.name) || `#${index + 1}`;
+    if (!isPlainObject(field) || typeof field.selector !== 'string' || !field.selector) {
+      throw new Error(`Form field ${name} in ${label} needs a selector`);
+    }
+    if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Form field ${name} in ${label} has unknown type '${field.type}' (use ${FIELD_TYPES.join(', ')})`);
+    }
+    if (field.type === 'checkbox' ? typeof field.value !== 'boolean' : typeof field.value !== 'string') {
+      throw new Error(`Form field ${name} in ${label} needs a ${field.type === 'checkbox' ? 'true/false' : 'string'} value`);
+    }
+  });
+}
+
+/**
+ * Returns the site adapter for a config: the defaults merged with config.adapter, which is
+ * either an inline object or the path of a JSON file (resolved by loadConfig)
+ */
+function getSiteAdapter(config) {
+  let overrides = config.adapter || {};
+
+  if (typeof overrides === 'string') {
+    try {
+      overrides = JSON.parse(fs.readFileSync(overrides, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load site adapter ${config.adapter}: ${error.message}`);
+    }
+  }
+
+  if (!isPlainObject(overrides)) {
+    throw new Error('config.adapter must be an object or the path of a JSON file');
+  }
+
+  validateAdapter(overrides);
+  return mergeAdapter(DEFAULT_ADAPTER, overrides);
+}
+
+module.exports = {
+  DEFAULT_ADAPTER,
+  getSiteAdapter
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { getDataDir, ensureDir } = require('./store');
+const { log } = require('./utils');
+
+/**
+ * Collects debugging artifacts for one booking attempt in its own run directory:
+ * step screenshots, the final page HTML, console messages, failed network requests
+ * and optionally a Puppeteer performance trace.
+ */
+class RunArtifacts {
+  constructor(config, label = 'booking') {
+    const safeLabel = String(label).replace(/[^a-zA-Z0-9_-]+/g, '_');
+    const name = `${moment().format('YYYYMMDD-HHmmss-SSS')}-${safeLabel}`;
+    let dir = path.join(getDataDir(config), 'runs', name);
+    // Bookings running in parallel can start in the same millisecond
+    for (let suffix = 2; fs.existsSync(dir); suffix++) {
+      dir = path.join(getDataDir(config), 'runs', `${name}-${suffix}`);
+    }
+    this.dir = ensureDir(dir);
+    this.stepCount = 0;
+    this.consoleMessages = [];
+    this.failedRequests = [];
+    this.tracing = false;
+    this.detach = null;
+  }
+
+  /**
+   * Starts recording console messages and failed requests of a page
+   */
+  attach(page) {
+    const onConsole = message => {
+      this.consoleMessages.push({ time: new Date().toISOString(), type: message.type(), text: message.text() });
+    };
+    const onRequestFailed = request => {
+      const failure = request.failure();
+      this.failedRequests.push({
+        time: new Date().toISOString(),
+        method: request.method(),
+        url: request.url(),
+        error: failure ? failure.errorText : 'unknown'
+      });
+    };
+    const onResponse = response => {
+      if (response.status() >= 400) {
+        this.failedRequests.push({
+          time: new Date().toISOString(),
+          method: response.request().method(),
+          url: response.url(),
+          status: response.status()
+        });
+      }
+    };
+
+    page.on('console', onConsole);
+    page.on('requestfailed', onRequestFailed);
+    page.on('response', onResponse);
+
+    this.detach = () => {
+      page.off('console', onConsole);
+      page.off('requestfailed', onRequestFailed);
+      page.off('response', onResponse);
+    };
+  }
+
+  async startTrace(page) {
+    try {
+      await page.tracing.start({ path: path.join(this.dir, 'trace.json'), screenshots: true });
+      this.tracing = true;
+    } catch (error) {
+      log(`Could not start trace: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Saves a full-page screenshot for a step and returns its path (null if it failed)
+   */
+  async capture(page, step) {
+    this.stepCount += 1;
+    const screenshotPath = path.join(this.dir, `${String(this.stepCount).padStart(2, '0')}-${step}.png`);
+
+    try {
+      await page.screenshot({ path: screenshotPath, fullPage: true });
+      return screenshotPath;
+    } catch (error) {
+      log(`Could not capture ${step} screenshot: ${error.message}`, 'warn');
+      return null;
+    }
+  }
+
+  /**
+   * Stops listeners and tracing and writes the final HTML, console log and network failures
+   */
+  async finalize(page) {
+    if (this.detach) {
+      this.detach();
+      this.detach = null;
+    }
+
+    if (this.tracing) {
+      try {
+        await page.tracing.stop();
+      } catch (error) {
+        log(`Could not stop trace: ${error.message}`, 'warn');
+      }
+      this.tracing = false;
+    }
+
+    try {
+      fs.writeFileSync(path.join(this.dir, 'page.html'), await page.content());
+    } catch (error) {
+      log(`Could not save page HTML: ${error.message}`, 'warn');
+    }
+
+    fs.writeFileSync(path.join(this.dir, 'console.json'), JSON.stringify(this.consoleMessages, null, 2));
+    fs.writeFileSync(path.join(this.dir, 'network-failures.json'), JSON.stringify(this.failedRequests, null, 2));
+
+    return this.dir;
+  }
+}
+
+module.exports = RunArtifacts;
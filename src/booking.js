@@ -1,44 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const puppeteer = require('puppeteer');
-const { formatBookingTitle, generateBookingUrl, delay, log } = require('./utils');
+const { generateBookingUrl, delay, log } = require('./utils');
+const { buildBookingTitle } = require('./titles');
+const { measureClockSkew, waitUntil } = require('./clock');
+const { fetchBookings, fetchCurrentVenueUserId, cancelBooking } = require('./skedda');
+const { recordAttempt } = require('./history');
+const { writeBookingCalendar } = require('./ical');
+const { classifyError, isTransientError } = require('./errors');
+const { getRetryPolicy } = require('./config');
+const { loadSession, saveSession, lockSession, clearSessions } = require('./sessions');
+const { buildPayload, notify } = require('./notifiers');
+const { getSiteAdapter } = require('./adapter');
+const RunArtifacts = require('./artifacts');
+
+/**
+ * Classifies a failure outside a booking attempt (e.g. the browser not launching), which
+ * attempt() has not classified already
+ */
+function classifySessionError(error) {
+  if (!error.errorType) {
+    error.errorType = classifyError(error);
+    error.transient = isTransientError(error);
+  }
+  return error;
+}
 
 class BookingAutomator {
-  constructor(config) {
+  /**
+   * options.onProgress(event, details) is called as a booking moves through its steps:
+   * loggedIn, formFilled, submitted, verified and retrying. With options.browser the
+   * automator runs in its own incognito context of that browser instead of launching one,
+   * and leaves the browser open when it closes.
+   */
+  constructor(config, { onProgress = null, browser = null } = {}) {
     this.config = config;
+    this.onProgress = onProgress;
+    this.currentBooking = null;
+    this.adapter = getSiteAdapter(config);
+    this.sharedBrowser = browser;
     this.browser = null;
+    this.context = null;
     this.page = null;
+    this.headless = true;
+    this.matchedSelectors = {};
+    this.artifacts = null;
+    this.submitClicked = false;
+    this.sessionRestored = false;
+    this.sessionToRestore = false;
+    this.sessionSavedAt = null;
+    this.loggedIn = false;
+  }
+
+  /**
+   * Launches the browser the automation runs in; shared browsers are launched the same way
+   */
+  static async launchBrowser(headless = true) {
+    try {
+      return await puppeteer.launch({
+        headless,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+    } catch (error) {
+      throw classifySessionError(error);
+    }
   }
 
   async initialize(headless = true) {
     log('Initializing browser...');
-    this.browser = await puppeteer.launch({
-      headless,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    this.page = await this.browser.newPage();
+    this.headless = headless;
+    if (this.sharedBrowser) {
+      // Cookies and storage of an incognito context are its own, so each profile logs in separately
+      this.browser = this.sharedBrowser;
+      this.context = await this.browser.createBrowserContext();
+    } else {
+      this.browser = await BookingAutomator.launchBrowser(headless);
+    }
+    this.page = await (this.context || this.browser).newPage();
     await this.page.setViewport({ width: 1280, height: 720 });
+    // Restored on the first navigation, once no other context of the profile is logging in
+    this.sessionToRestore = true;
     log('Browser initialized successfully');
   }
 
-  async navigateAndLogin(bookingUrl) {
-    log(`Navigating to: ${bookingUrl}`);
-    await this.page.goto(bookingUrl, { waitUntil: 'networkidle2' });
+  get persistSessions() {
+    return this.config.defaults.persistSessions !== false;
+  }
+
+  /**
+   * Loads the profile's saved cookies and local storage into the browser, if any
+   */
+  async restoreSession() {
+    this.sessionRestored = false;
+    if (!this.persistSessions) {
+      return;
+    }
     
-    const isLoggedIn = await this.page.$('.booking-form, #booking-form, form[action*="booking"]');
-    if (isLoggedIn) {
-      log('Already logged in, proceeding to booking form');
+    const session = loadSession(this.config, this.config.credentials.email);
+    this.sessionSavedAt = session ? session.savedAt : null;
+    if (!session) {
       return;
     }
     
-    await this.performLogin();
+    if (session.cookies && session.cookies.length > 0) {
+      await this.page.setCookie(...session.cookies);
+    }
+    
+    if (session.origin && session.localStorage) {
+      // Only seed local storage once, on the first page load of the venue
+      await this.page.evaluateOnNewDocument((origin, entries) => {
+        if (window.location.origin === origin && window.localStorage.length === 0) {
+          Object.entries(entries).forEach(([key, value]) => window.localStorage.setItem(key, value));
+        }
+      }, session.origin, session.localStorage);
+    }
+    
+    this.sessionRestored = true;
+    log(`Restored saved session from ${session.savedAt}`);
+  }
+
+  /**
+   * Runs fn while no other browser context of this process restores, logs in to or saves the
+   * profile's session, so parallel contexts of one profile take turns and none of them deletes
+   * a session another has just saved. Page loads stay outside it, so contexts navigate at once.
+   */
+  async whileSessionLocked(fn) {
+    const release = await lockSession(this.config, this.config.credentials.email);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Saves the current cookies and local storage so the next run can skip the login form
+   */
+  async persistSession() {
+    if (!this.persistSessions || !this.page) {
+      return;
+    }
+    
+    try {
+      const pageUrl = this.page.url();
+      if (!/^https?:/.test(pageUrl)) {
+        return;
+      }
+      
+      const cookies = await this.page.cookies();
+      const origin = new URL(pageUrl).origin;
+      const localStorage = await this.page.evaluate(() => Object.assign({}, window.localStorage));
+      this.sessionSavedAt = saveSession(this.config, this.config.credentials.email, { origin, cookies, localStorage });
+    } catch (error) {
+      log(`Could not save session: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * True when another context of the profile saved a session since this one last restored or saved it
+   */
+  hasNewerSession() {
+    if (!this.persistSessions) {
+      return false;
+    }
+    const session = loadSession(this.config, this.config.credentials.email);
+    return Boolean(session) && session.savedAt !== this.sessionSavedAt;
+  }
+
+  async navigateAndLogin(bookingUrl) {
+    if (this.sessionToRestore) {
+      this.sessionToRestore = false;
+      await this.whileSessionLocked(() => this.restoreSession());
+    }
+    
+    for (;;) {
+      log(`Navigating to: ${bookingUrl}`);
+      await this.page.goto(bookingUrl, { waitUntil: 'networkidle2' });
+      
+      const isLoggedIn = await this.page.$(this.adapter.loggedInSelectors.join(', '));
+      if (isLoggedIn) {
+        log(this.sessionRestored && !this.loggedIn ? 'Saved session is valid, skipping login' : 'Already logged in, proceeding to booking form');
+        this.loggedIn = true;
+        this.reportProgress('loggedIn', { sessionReused: true });
+        return;
+      }
+      
+      const loggedIn = await this.whileSessionLocked(async () => {
+        if (this.hasNewerSession()) {
+          // Another context of the profile logged in while this one was loading the page
+          log('Another browser context saved a session meanwhile, trying it');
+          await this.restoreSession();
+          return false;
+        }
+        
+        if (this.sessionRestored) {
+          log('Saved session has expired, logging in again');
+          clearSessions(this.config, this.config.credentials.email);
+          this.sessionRestored = false;
+        }
+        
+        await this.performLogin();
+        this.loggedIn = true;
+        await this.persistSession();
+        return true;
+      });
+      
+      if (loggedIn) {
+        this.reportProgress('loggedIn', { sessionReused: false });
+        return;
+      }
+    }
   }
 
   async performLogin() {
     log('Performing login...');
     
-    await this.page.waitForSelector('input[type="email"], input[name="email"], #email', { timeout: 10000 });
+    const { login } = this.adapter;
+    const emailSelectors = login.emailSelectors.join(', ');
+    
+    await this.page.waitForSelector(emailSelectors, { timeout: 10000 });
     
-    const emailSelector = await this.page.$('input[type="email"], input[name="email"], #email');
-    const passwordSelector = await this.page.$('input[type="password"], input[name="password"], #password');
+    const emailSelector = await this.page.$(emailSelectors);
+    const passwordSelector = await this.page.$(login.passwordSelectors.join(', '));
     
     if (!emailSelector || !passwordSelector) {
       throw new Error('Login form not found');
@@ -47,29 +231,62 @@ class BookingAutomator {
     await emailSelector.type(this.config.credentials.email);
     await passwordSelector.type(this.config.credentials.password);
     
-    const submitButton = await this.page.$('button[type="submit"], input[type="submit"], .btn-primary');
+    const submitButton = await this.page.$(login.submitSelectors.join(', '));
+    const navigated = this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 });
+    const rejected = this.page.waitForSelector(login.errorSelectors.join(', '), { visible: true, timeout: 15000 });
+    // Only the first of the two to settle is awaited
+    navigated.catch(() => {});
+    rejected.catch(() => {});
     if (submitButton) {
       await submitButton.click();
     } else {
       await this.page.keyboard.press('Enter');
     }
     
-    await this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 });
+    try {
+      await Promise.any([navigated, rejected]);
+    } catch (error) {
+      // Neither in time: unless the login form is still showing, the page was just slow
+      if (!(await this.page.$(login.passwordSelectors.join(', ')))) {
+        throw error.errors[0];
+      }
+    }
+    
+    // A rejected login keeps the form on screen; trying again would only resubmit the same
+    // credentials and risk locking the account
+    if (await this.page.$(login.passwordSelectors.join(', '))) {
+      const message = await this.findVisibleText(login.errorSelectors);
+      const error = new Error(`Login rejected${message ? `: "${message}"` : ''}; check the password of ${this.config.credentials.email}`);
+      error.errorType = 'login_failed';
+      error.credentialsRejected = true;
+      throw error;
+    }
     log('Login completed successfully');
   }
+  
+  /**
+   * Text of the first visible element matching one of the selectors, or null
+   */
+  async findVisibleText(selectors) {
+    for (const selector of selectors) {
+      for (const element of await this.page.$$(selector)) {
+        if (await element.isIntersectingViewport()) {
+          const text = await element.evaluate(el => el.textContent.trim());
+          if (text) {
+            return text;
+          }
+        }
+      }
+    }
+    return null;
+  }
 
   async fillBookingForm(bookingTitle, signature) {
     log('Filling booking form...');
     
     await this.page.waitForSelector('input, textarea, select', { timeout: 10000 });
     
-    const titleSelectors = [
-      'input[name*="title"]',
-      'input[placeholder*="title"]',
-      'textarea[name*="title"]',
-      '#booking-title',
-      '.booking-title input'
-    ];
+    const { titleSelectors, signatureSelectors, fields } = this.adapter.form;
     
     for (const selector of titleSelectors) {
       const element = await this.page.$(selector);
@@ -77,43 +294,80 @@ class BookingAutomator {
         await element.click({ clickCount: 3 });
         await element.type(bookingTitle);
         log(`Booking title filled: ${bookingTitle}`);
+        this.matchedSelectors.title = selector;
         break;
       }
     }
     
-    const signatureSelectors = [
-      'input[name*="signature"]',
-      'input[placeholder*="signature"]',
-      'input[placeholder*="initial"]',
-      '#signature',
-      '.signature input'
-    ];
-    
     for (const selector of signatureSelectors) {
       const element = await this.page.$(selector);
       if (element) {
         await element.click({ clickCount: 3 });
         await element.type(signature);
         log(`Signature filled: ${signature}`);
+        this.matchedSelectors.signature = selector;
         break;
       }
     }
     
+    for (const field of fields) {
+      await this.fillCustomField(field);
+    }
+    
     await delay(1000);
   }
 
-  async submitBooking() {
-    log('Submitting booking...');
+  /**
+   * Fills one extra form field declared in the site adapter (text input, dropdown or checkbox)
+   */
+  async fillCustomField(field) {
+    const name = field.name || field.selector;
+    const element = await this.page.$(field.selector);
     
-    const buttonSelectors = [
-      '.row.pt-5 .col-12 button.btn.btn-success',
-      'button.btn.btn-success',
-      'button[type="submit"]',
-      '.btn-success',
-      '.confirm-booking'
-    ];
+    if (!element) {
+      if (field.required) {
+        throw new Error(`Required form field '${name}' not found (${field.selector})`);
+      }
+      log(`Optional form field '${name}' not found, skipping`, 'warn');
+      return;
+    }
     
-    const textBasedSelectors = ['Confirm', 'Book', 'Submit'];
+    if (field.type === 'select') {
+      const selected = await this.page.select(field.selector, field.value);
+      if (selected.length === 0) {
+        // Fall back to matching the visible option text
+        const matched = await element.evaluate((select, text) => {
+          const option = Array.from(select.options).find(candidate => candidate.textContent.trim() === text);
+          if (!option) {
+            return false;
+          }
+          select.value = option.value;
+          select.dispatchEvent(new Event('input', { bubbles: true }));
+          select.dispatchEvent(new Event('change', { bubbles: true }));
+          return true;
+        }, field.value);
+        if (!matched) {
+          throw new Error(`Form field '${name}' has no option '${field.value}'`);
+        }
+      }
+    } else if (field.type === 'checkbox') {
+      const checked = await element.evaluate(input => input.checked);
+      if (checked !== field.value) {
+        await element.click();
+      }
+    } else {
+      await element.click({ clickCount: 3 });
+      await element.type(field.value);
+    }
+    
+    log(`Form field '${name}' filled: ${field.value}`);
+    this.matchedSelectors.fields = { ...this.matchedSelectors.fields, [name]: field.selector };
+  }
+
+  async findConfirmButton() {
+    log('Locating confirm button...');
+    
+    const { selectors: buttonSelectors, texts: textBasedSelectors } = this.adapter.confirmButton;
     
     let confirmButton = null;
     
@@ -126,6 +380,7 @@ class BookingAutomator {
         if (isVisible && isEnabled) {
           confirmButton = button;
           log(`Found confirm button with selector: ${selector}`);
+          this.matchedSelectors.confirmButton = selector;
           break;
         }
       }
@@ -146,6 +401,7 @@ class BookingAutomator {
         if (button && button.asElement()) {
           confirmButton = button.asElement();
           log(`Found confirm button with text: ${text}`);
+          this.matchedSelectors.confirmButton = `text: ${text}`;
           break;
         }
       }
@@ -158,6 +414,19 @@ class BookingAutomator {
     await confirmButton.scrollIntoView();
     await delay(500);
     
+    return confirmButton;
+  }
+
+  async submitBooking(confirmButton = null) {
+    log('Submitting booking...');
+    
+    if (!confirmButton) {
+      confirmButton = await this.findConfirmButton();
+    }
+    
+    // From here on the booking may have gone through, so failures must not be retried
+    this.submitClicked = true;
+    
     try {
       await confirmButton.click();
       log('Booking submitted with standard click');
@@ -165,23 +434,24 @@ class BookingAutomator {
       log('Standard click failed, trying JavaScript click');
       await confirmButton.evaluate(el => el.click());
     }
+    this.reportProgress('submitted');
     
+    await this.captureStep('after-submit');
     await this.handlePostSubmissionDialogs();
+    await this.captureStep('after-dialogs');
     // verifyBookingSuccess includes its own delay to wait for redirects or messages.
     await this.verifyBookingSuccess();
+    this.reportProgress('verified', { url: this.page.url() });
   }
 
   async handlePostSubmissionDialogs() {
     log('Checking for post-submission dialogs...');
     
-    const modalSelectors = [
-      '.modal button.btn-success',
-      '.modal button.btn-primary',
-      '.popup button[type="submit"]',
-      '.dialog .confirm'
-    ];
-    
-    const modalTextSelectors = ['OK', 'Confirm'];
+    const {
+      selectors: modalSelectors,
+      texts: modalTextSelectors,
+      containerSelectors
+    } = this.adapter.dialogs;
     
     for (const selector of modalSelectors) {
       const button = await this.page.$(selector);
@@ -197,15 +467,15 @@ class BookingAutomator {
     }
     
     for (const text of modalTextSelectors) {
-      const button = await this.page.evaluateHandle((searchText) => {
+      const button = await this.page.evaluateHandle((searchText, containers) => {
         const buttons = Array.from(document.querySelectorAll('button'));
         return buttons.find(btn => 
           btn.textContent.trim().toLowerCase().includes(searchText.toLowerCase()) &&
           !btn.disabled &&
           btn.offsetParent !== null &&
-          (btn.closest('.modal') || btn.closest('.popup') || btn.closest('.dialog'))
+          containers.some(container => btn.closest(container))
         );
-      }, text);
+      }, text, containerSelectors);
       
       if (button && button.asElement()) {
         await button.asElement().click();
@@ -221,7 +491,8 @@ class BookingAutomator {
     const path = require('path');
     const logFilePath = path.join(process.cwd(), 'booking_errors.log');
     const timestamp = new Date().toISOString();
-    const logMessage = `${timestamp} - ${errorMessage}\n`;
+    const artifactsNote = this.artifacts ? ` [artifacts: ${this.artifacts.dir}]` : '';
+    const logMessage = `${timestamp} - ${errorMessage}${artifactsNote}\n`;
     try {
       await fs.appendFile(logFilePath, logMessage);
       log(`Error logged to ${logFilePath}`);
@@ -233,32 +504,35 @@ class BookingAutomator {
   async verifyBookingSuccess() {
     log('Verifying booking success...');
     // Wait for potential navigation or dynamic content loading after submission.
-    // The primary success indicator is redirection to the base booking URL without query parameters.
+    // The primary success indicator is redirection to the base booking URL without query parameters
+    // (or whatever the site adapter's success criteria say).
     await delay(5000); // Wait for redirects or for error messages to appear.
 
-    const targetSuccessUrl = 'https://parkhurst.skedda.com/booking';
+    const success = this.adapter.success;
+    const targetSuccessUrl = success.url || this.config.urls.successUrl || this.config.urls.baseUrl;
     const currentUrl = this.page.url();
 
-    // Check 1: Exact URL match for success.
-    // If the current URL is exactly the target success URL, the booking was successful.
-    if (currentUrl === targetSuccessUrl) {
+    // Check 1: URL or success element match.
+    // If the current URL is exactly the target success URL (or matches the adapter's pattern), the booking was successful.
+    if (currentUrl === targetSuccessUrl || (success.urlPattern && new RegExp(success.urlPattern).test(currentUrl))) {
       log(`Success: Navigated to the target success URL: ${currentUrl}`);
       return true;
     }
+    
+    if (success.selector) {
+      const indicator = await this.page.$(success.selector);
+      if (indicator && await indicator.isIntersectingViewport()) {
+        log(`Success: Found success indicator ${success.selector}`);
+        return true;
+      }
+    }
 
     // If not redirected to the exact success URL, it's considered a failure or an error state.
     // Log this intermediate state before checking for specific error messages.
     log(`URL check failed: Not redirected to exact success URL. Current URL: ${currentUrl}. Proceeding to check for error messages.`);
 
     // Check 2: Look for specific error messages on the page.
-    const errorSelectors = [
-      '.alert-danger',      // Bootstrap danger alert
-      '.error-message',     // Common class for error messages
-      '.booking-error',     // Custom or specific booking error class
-      '[class*="error"]',   // Elements with 'error' in their class name
-      '.alert',             // General alert (could be info/warning, but check content)
-      '[role="alert"]'      // ARIA role for alerts
-    ];
+    const { errorSelectors } = this.adapter;
 
     let detectedErrorMessage = '';
 
@@ -294,14 +568,121 @@ class BookingAutomator {
     throw new Error(genericFailureMessage);
   }
 
+  async measureServerClock() {
+    try {
+      const { skewMs, uncertaintyMs } = await measureClockSkew(this.config.urls.baseUrl);
+      log(`Server clock is ${skewMs >= 0 ? 'ahead of' : 'behind'} local clock by ${Math.abs(skewMs)}ms (±${uncertaintyMs}ms)`);
+      return skewMs;
+    } catch (error) {
+      log(`Could not measure server clock skew, assuming none: ${error.message}`, 'warn');
+      return 0;
+    }
+  }
+
+  async holdUntil(submitAt, clockSkewMs) {
+    // submitAt is expressed in server time; convert it to the local clock before waiting
+    const localTarget = submitAt - clockSkewMs;
+    const waitMs = localTarget - Date.now();
+    
+    if (waitMs <= 0) {
+      log(`Target time already passed by ${-waitMs}ms, submitting immediately`, 'warn');
+      return;
+    }
+    
+    log(`Holding for ${(waitMs / 1000).toFixed(1)}s until ${new Date(submitAt).toISOString()} (server time)...`);
+    await waitUntil(localTarget);
+  }
+
+  /**
+   * Launches the browser, logs in on the base booking page and runs fn with the session open
+   */
+  async withSession(headless, fn) {
+    try {
+      await this.initialize(headless);
+      await this.navigateAndLogin(this.config.urls.baseUrl);
+      return await fn();
+    } catch (error) {
+      await this.logFailureContext(error);
+      throw error;
+    } finally {
+      await this.close();
+    }
+  }
+
+  /**
+   * Logs in and returns every booking on the given date (YYYY-MM-DD), across all spaces
+   */
+  async getBookingsForDate(date, headless = this.config.defaults.headless) {
+    return this.withSession(headless, async () => {
+      log(`Fetching bookings for ${date}...`);
+      const bookings = await fetchBookings(this.page, this.config, `${date}T00:00:00`, `${date}T23:59:59`);
+      log(`Found ${bookings.length} booking(s) on ${date}`);
+      return bookings;
+    });
+  }
+
+  async fetchOwnBookings(fromDate, toDate) {
+    const venueUserId = await fetchCurrentVenueUserId(this.page, this.config);
+    const bookings = await fetchBookings(this.page, this.config, `${fromDate}T00:00:00`, `${toDate}T23:59:59`);
+    return bookings.filter(booking => booking.venueUser === venueUserId);
+  }
+
+  /**
+   * Logs in and returns the bookings of the logged-in user between two dates (YYYY-MM-DD)
+   */
+  async getMyBookings(fromDate, toDate, headless = this.config.defaults.headless) {
+    return this.withSession(headless, async () => {
+      log(`Fetching your bookings from ${fromDate} to ${toDate}...`);
+      const bookings = await this.fetchOwnBookings(fromDate, toDate);
+      log(`Found ${bookings.length} booking(s)`);
+      return bookings;
+    });
+  }
+
+  /**
+   * Cancels one of the logged-in user's bookings, picked by id or by a match function.
+   * Fails without cancelling anything if no booking or more than one booking matches.
+   */
+  async cancelMyBooking({ id = null, matches = null, fromDate, toDate }, headless = this.config.defaults.headless) {
+    return this.withSession(headless, async () => {
+      const bookings = await this.fetchOwnBookings(fromDate, toDate);
+      const candidates = bookings.filter(booking => (id ? booking.id === String(id) : matches(booking)));
+      
+      if (candidates.length === 0) {
+        throw new Error(id ? `No booking with id ${id} found for this profile` : 'No booking matching the given facility/date/time found for this profile');
+      }
+      
+      if (candidates.length > 1) {
+        const ids = candidates.map(booking => `${booking.id} (${booking.start} - ${booking.end})`).join(', ');
+        throw new Error(`More than one booking matches, narrow it down or cancel by id: ${ids}`);
+      }
+      
+      const [booking] = candidates;
+      log(`Cancelling booking ${booking.id} (${booking.start} - ${booking.end})...`);
+      await cancelBooking(this.page, this.config, booking.id);
+      log(`Booking ${booking.id} cancelled`);
+      return booking;
+    });
+  }
+
   async close() {
-    if (this.browser) {
+    if (this.browser && this.loggedIn) {
+      // Cookies may have been refreshed during the run
+      await this.whileSessionLocked(() => this.persistSession());
+    }
+    this.loggedIn = false;
+    
+    if (this.context) {
+      await this.context.close().catch(error => log(`Could not close browser context: ${error.message}`, 'warn'));
+      this.context = null;
+      log('Browser context closed');
+    } else if (this.browser) {
       await this.browser.close();
       log('Browser closed');
     }
   }
 
-  async book(options) {
+  async attempt(options) {
     const {
       facility,
       date, // Date is expected in YYYY-MM-DD format, already calculated if --book-in-advance-days was used.
@@ -309,55 +690,386 @@ class BookingAutomator {
       endTime,
       signature = this.config.defaults.signature,
       customTitle = null,
-      headless = this.config.defaults.headless
+      submitAt = null, // Epoch ms (server time) at which to submit; submits as soon as the form is ready if null
+      clockSkewMs = 0,
+      dryRun = false,
+      trace = Boolean(this.config.defaults.trace),
+      attemptNumber = 1
     } = options;
     
+    const result = { submittedAt: null, clockSkewMs, submitOffsetMs: null };
+    this.matchedSelectors = { title: null, signature: null, confirmButton: null, fields: {} };
+    this.submitClicked = false;
+    
+    const bookingUrl = generateBookingUrl({
+      baseUrl: this.config.urls.baseUrl,
+      spaceId: facility.spaceId,
+      date,
+      startTime,
+      endTime
+    });
+    
+    const bookingTitle = customTitle || buildBookingTitle(this.config, { facility, date, startTime, endTime, signature });
+    
+    log(`Booking details: ${facility.name} on ${date} from ${startTime} to ${endTime}`);
+    this.currentBooking = {
+      profile: this.config.credentials.email,
+      venue: this.config.venue || null,
+      facility: this.getFacilityKey(facility),
+      date,
+      startTime,
+      endTime,
+      attempt: attemptNumber
+    };
+    
+    await this.startArtifacts(`${this.getFacilityKey(facility) || facility.spaceId}-${date}${dryRun ? '-dry-run' : ''}`, trace);
+    
+    if (dryRun) {
+      return this.dryRun(bookingUrl, bookingTitle, signature);
+    }
+    
+    const startedAt = Date.now();
+    const historyEntry = {
+      profile: this.config.credentials.email,
+      facility: this.getFacilityKey(facility),
+      facilityName: facility.name,
+      date,
+      startTime,
+      endTime,
+      title: bookingTitle,
+      attempt: attemptNumber
+    };
+    
     try {
-      await this.initialize(headless);
-      
-      const bookingUrl = generateBookingUrl({
-        baseUrl: this.config.urls.baseUrl,
-        spaceId: facility.spaceId,
-        date,
-        startTime,
-        endTime
-      });
+      await this.navigateAndLogin(bookingUrl);
+      await this.captureStep('after-login');
+      await this.fillBookingForm(bookingTitle, signature);
+      this.reportProgress('formFilled', { title: bookingTitle });
+      await this.captureStep('after-form-fill');
       
-      const bookingTitle = customTitle || formatBookingTitle(
-        startTime,
-        endTime,
-        this.config.defaults.bufferMinutes
-      );
+      if (submitAt !== null) {
+        // Locate the button before holding so only the click happens after the window opens
+        const confirmButton = await this.findConfirmButton();
+        await this.holdUntil(submitAt, clockSkewMs);
+        result.submittedAt = Date.now();
+        result.submitOffsetMs = result.submittedAt + clockSkewMs - submitAt;
+        await this.submitBooking(confirmButton);
+        log(`Submit went out ${result.submitOffsetMs}ms after the target time`);
+      } else {
+        result.submittedAt = Date.now();
+        await this.submitBooking();
+      }
+    } catch (error) {
+      const artifactsPath = await this.finishArtifacts();
+      if (artifactsPath) {
+        error.artifactsPath = artifactsPath;
+        log(`Failure artifacts saved to ${artifactsPath}`);
+      }
       
-      log(`Booking details: ${facility.name} on ${date} from ${startTime} to ${endTime}`);
+      error.errorType = classifyError(error);
+      error.transient = !this.submitClicked && isTransientError(error);
+      error.bookingTitle = bookingTitle;
+      error.matchedSelectors = { ...this.matchedSelectors };
       
+      recordAttempt(this.config, {
+        ...historyEntry,
+        outcome: 'failure',
+        errorType: error.errorType,
+        transient: error.transient,
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+        artifactsPath
+      });
+      throw error;
+    }
+    
+    result.artifactsPath = await this.finishArtifacts();
+    const record = recordAttempt(this.config, {
+      ...historyEntry,
+      outcome: 'success',
+      errorType: null,
+      error: null,
+      durationMs: Date.now() - startedAt,
+      artifactsPath: result.artifactsPath
+    });
+    
+    result.title = bookingTitle;
+    result.matchedSelectors = { ...this.matchedSelectors };
+    result.calendarPath = writeBookingCalendar(this.config, record);
+    return result;
+  }
+
+  /**
+   * Runs the booking flow up to locating the confirm button, without ever clicking it,
+   * and screenshots the filled form (into a temporary directory when artifacts are off)
+   */
+  async dryRun(bookingUrl, bookingTitle, signature) {
+    log('Dry run: the booking will not be submitted');
+    
+    try {
       await this.navigateAndLogin(bookingUrl);
+      await this.captureStep('after-login');
       await this.fillBookingForm(bookingTitle, signature);
-      await this.submitBooking();
+      this.reportProgress('formFilled', { title: bookingTitle });
       
-      log('Booking process completed successfully!');
+      let confirmButtonError = null;
+      try {
+        await this.findConfirmButton();
+      } catch (error) {
+        confirmButtonError = error.message;
+      }
       
-    } catch (error) {
-      log(`Booking failed: ${error.message}`);
-      log(`Error details: ${error.stack || 'No stack trace available'}`);
+      const screenshotPath = this.artifacts
+        ? await this.captureStep('filled-form')
+        : await this.captureDryRunScreenshot();
+      if (screenshotPath) {
+        log(`Dry run screenshot saved to ${screenshotPath}`);
+      }
       
-      // Log additional context if available
-      if (this.page) {
-        try {
-          const url = this.page.url();
-          const title = await this.page.title();
-          log(`Error occurred on page: ${url}`);
-          log(`Page title: ${title}`);
-        } catch (pageError) {
-          log(`Could not retrieve page information: ${pageError.message}`);
+      return {
+        dryRun: true,
+        title: bookingTitle,
+        bookingUrl,
+        matchedSelectors: { ...this.matchedSelectors },
+        confirmButtonError,
+        screenshotPath,
+        artifactsPath: this.artifacts ? this.artifacts.dir : null
+      };
+    } finally {
+      await this.finishArtifacts();
+    }
+  }
+
+  /**
+   * Creates the run directory for this attempt and starts collecting page events
+   */
+  async startArtifacts(label, trace) {
+    this.artifacts = null;
+    if (this.config.defaults.captureArtifacts === false) {
+      return;
+    }
+    
+    this.artifacts = new RunArtifacts(this.config, label);
+    this.artifacts.attach(this.page);
+    if (trace) {
+      await this.artifacts.startTrace(this.page);
+    }
+    log(`Saving run artifacts to ${this.artifacts.dir}`);
+  }
+
+  async captureStep(step) {
+    return this.artifacts ? this.artifacts.capture(this.page, step) : null;
+  }
+
+  /**
+   * Screenshots the filled form of a dry run made without run artifacts into a new
+   * temporary directory and returns its path (null if it failed)
+   */
+  async captureDryRunScreenshot() {
+    const screenshotPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'booking-dry-run-')), 'filled-form.png');
+    try {
+      await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      return screenshotPath;
+    } catch (error) {
+      log(`Could not capture filled-form screenshot: ${error.message}`, 'warn');
+      return null;
+    }
+  }
+
+  async finishArtifacts() {
+    if (!this.artifacts) {
+      return null;
+    }
+    
+    const artifacts = this.artifacts;
+    this.artifacts = null;
+    return artifacts.finalize(this.page);
+  }
+
+  /**
+   * Passes a booking step to the onProgress callback along with the booking it belongs to.
+   * A failing callback is logged and never breaks the booking.
+   */
+  reportProgress(event, details = {}) {
+    if (!this.onProgress) {
+      return;
+    }
+    try {
+      this.onProgress(event, { ...this.currentBooking, ...details });
+    } catch (error) {
+      log(`Progress listener for ${event} failed: ${error.message}`, 'warn');
+    }
+  }
+
+  getFacilityKey(facility) {
+    const entry = Object.entries(this.config.facilities).find(([, candidate]) => candidate.spaceId === facility.spaceId);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Runs attempt() under the retry policy: transient failures are retried with exponential
+   * backoff until maxAttempts or the deadline is reached; permanent failures are thrown at once.
+   * With submitAt the deadline counts from the window opening, not from the hold before it.
+   */
+  async attemptWithRetry(request) {
+    const policy = getRetryPolicy(this.config, request.retry);
+    const windowOpensAt = request.submitAt ? request.submitAt - (request.clockSkewMs || 0) : 0;
+    const deadline = Math.max(Date.now(), windowOpensAt) + policy.deadlineSeconds * 1000;
+    
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      try {
+        const result = await this.attempt({ ...request, attemptNumber });
+        return { ...result, attempts: attemptNumber };
+      } catch (error) {
+        error.attempts = attemptNumber;
+        const kind = error.transient ? 'transient' : 'permanent';
+        log(`Attempt ${attemptNumber}/${policy.maxAttempts} failed (${error.errorType}, ${kind}): ${error.message}`, 'warn');
+        
+        if (!error.transient) {
+          throw error;
+        }
+        
+        const waitMs = Math.min(policy.initialDelayMs * Math.pow(policy.backoffFactor, attemptNumber - 1), policy.maxDelayMs);
+        if (attemptNumber >= policy.maxAttempts || Date.now() + waitMs > deadline) {
+          error.retriesExhausted = true;
+          log(`Giving up after ${attemptNumber} attempt(s): ${attemptNumber >= policy.maxAttempts ? 'no attempts left' : 'retry deadline reached'}`, 'error');
+          throw error;
         }
+        
+        log(`Retrying in ${(waitMs / 1000).toFixed(1)}s...`);
+        this.reportProgress('retrying', { errorType: error.errorType, error: error.message, waitMs });
+        await delay(waitMs);
+        await this.resetPage();
       }
+    }
+  }
+
+  /**
+   * Replaces the current page (or the whole browser if it died) before a retry
+   */
+  async resetPage() {
+    if (!this.browser || !this.browser.connected) {
+      if (this.sharedBrowser) {
+        throw new Error('Target closed: the shared browser is gone');
+      }
+      log('Browser is gone, relaunching...', 'warn');
+      await this.initialize(this.headless);
+      return;
+    }
+    
+    try {
+      await this.page.close();
+    } catch (error) {
+      log(`Could not close previous page: ${error.message}`);
+    }
+    
+    this.page = await (this.context || this.browser).newPage();
+    await this.page.setViewport({ width: 1280, height: 720 });
+  }
+
+  async logFailureContext(error) {
+    log(`Booking failed: ${error.message}`);
+    if (error.errorType) {
+      log(`Error type: ${error.errorType} (${error.transient ? 'transient' : 'permanent'}${error.retriesExhausted ? ', retries exhausted' : ''})`);
+    }
+    log(`Error details: ${error.stack || 'No stack trace available'}`);
+    
+    // Log additional context if available
+    if (this.page) {
+      try {
+        const url = this.page.url();
+        const title = await this.page.title();
+        log(`Error occurred on page: ${url}`);
+        log(`Page title: ${title}`);
+      } catch (pageError) {
+        log(`Could not retrieve page information: ${pageError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Sends the outcome of a booking request (its result or the error thrown) to the configured notifiers
+   */
+  async notifyOutcome(request, outcome) {
+    if (!this.config.notifiers || this.config.notifiers.length === 0 || outcome.dryRun) {
+      return;
+    }
+    
+    const event = outcome instanceof Error
+      ? (outcome.retriesExhausted ? 'retries_exhausted' : 'failure')
+      : 'success';
+    const booking = {
+      facility: this.getFacilityKey(request.facility),
+      facilityName: request.facility.name,
+      date: request.date,
+      startTime: request.startTime,
+      endTime: request.endTime,
+      title: outcome instanceof Error ? outcome.bookingTitle : outcome.title
+    };
+    
+    await notify(this.config, buildPayload(event, this.config, booking, outcome));
+  }
+
+  async book(options) {
+    const {
+      headless = this.config.defaults.headless,
+      submitAt = null
+    } = options;
+    
+    try {
+      await this.initialize(headless);
+      
+      const clockSkewMs = submitAt !== null ? await this.measureServerClock() : 0;
+      const result = await this.attemptWithRetry({ ...options, clockSkewMs });
+      
+      log(result.dryRun ? 'Dry run completed, nothing was submitted' : 'Booking process completed successfully!');
+      await this.notifyOutcome(options, result);
+      return result;
       
+    } catch (error) {
+      classifySessionError(error);
+      await this.logFailureContext(error);
+      await this.notifyOutcome(options, error);
       throw error;
     } finally {
       await this.close();
     }
   }
+
+  /**
+   * Books several requests one after another in a single browser session, logging in
+   * only once. A failed booking does not stop the rest; each request gets a result entry.
+   */
+  async bookAll(requests, headless = this.config.defaults.headless) {
+    const results = [];
+    
+    try {
+      await this.initialize(headless);
+      
+      for (const request of requests) {
+        try {
+          const outcome = await this.attemptWithRetry(request);
+          log(`Booked ${request.facility.name} on ${request.date} from ${request.startTime} to ${request.endTime}`);
+          results.push({ request, success: true, ...outcome });
+          await this.notifyOutcome(request, outcome);
+        } catch (error) {
+          await this.logFailureContext(error);
+          results.push({ request, success: false, error });
+          await this.notifyOutcome(request, error);
+          
+          if (!this.browser.connected) {
+            await this.resetPage();
+          }
+        }
+      }
+    } catch (error) {
+      throw classifySessionError(error);
+    } finally {
+      await this.close();
+    }
+    
+    return results;
+  }
 }
 
 module.exports = BookingAutomator;
\ No newline at end of file
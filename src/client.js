@@ -0,0 +1,568 @@
+const EventEmitter = require('events');
+const { loadConfig, resolveConfig, listVenues, validateConfig, getFacility, listFacilities } = require('./config');
+const { readHistory } = require('./history');
+const { checkBookingPolicies, getActiveBookings, getHousehold, findDoubleBooking } = require('./policies');
+const { withErrorCode, toTypedError } = require('./errors');
+const { isValidDate, isValidTime, isValidClockTime, isValidTimeRange, getWindowOpeningTime, venueNow, venueToday, nextVenueTime, toVenueTime, resolveBookingDate, log } = require('./utils');
+const BookingAutomator = require('./booking');
+
+/**
+ * Programmatic interface to the booking system, used by the CLI and by other Node services.
+ *
+ * A booking request is an object with the same fields as the book command's options:
+ * { facility, date | bookInAdvance, startTime, endTime, profile, venue, signature, title,
+ *   headless, forceDate, at | whenWindowOpens | submitAt, dryRun, trace, retries, retryDeadline }.
+ * submitAt is an instant (epoch ms or Date) for callers that already know when to submit.
+ *
+ * Methods never print or exit: they return results and throw BookingSystemError subclasses
+ * (ValidationError, ConfigError, PolicyError, BookingError). While booking, the client emits
+ * validated, loggedIn, formFilled, submitted, verified and retrying events, and planned
+ * before bookAll() starts its sessions.
+ */
+class BookingClient extends EventEmitter {
+  /**
+   * config is a config file path, a config object (the contents of a config.json) or null for
+   * config/config.json. defaults.venue, defaults.profile and defaults.headless apply to
+   * requests that leave them out.
+   */
+  constructor(config = null, defaults = {}) {
+    super();
+    this.source = config;
+    this.defaults = defaults;
+  }
+
+  /**
+   * Loads and validates the config of one profile at one venue
+   */
+  loadConfig({ profile, venue } = {}) {
+    return typed(() => this.readConfig(profile, venue));
+  }
+
+  /**
+   * Facilities of every venue, or only of the given one. Facilities carry their venue when
+   * the config has named venues.
+   */
+  listFacilities({ venue = this.defaults.venue } = {}) {
+    return typed(() => {
+      const venues = venue ? [venue] : listVenues(this.readConfig(null, null));
+      return venues.flatMap(name => {
+        const config = this.readConfig(null, name);
+        return listFacilities(config).map(facility => (config.venue ? { venue: config.venue, ...facility } : facility));
+      });
+    });
+  }
+
+  /**
+   * Checks a booking request without booking anything and returns it normalized: the resolved
+   * date, the account and signature it books with and the submit instant. Bookings in `pending`
+   * ({ profile, venue, facility, date, startTime, endTime }, e.g. earlier results of this method)
+   * count towards the HOA limits; checkPolicies: false skips the policies altogether.
+   */
+  validateBooking(request, { pending = [], checkPolicies = true } = {}) {
+    return typed(() => this.prepareBooking(request, { pending, checkPolicies }).booking);
+  }
+
+  /**
+   * Books one slot and resolves with { booking, outcome }. outcome is the booking result (or
+   * the dry run report when request.dryRun is set). Takes the same options as validateBooking.
+   */
+  async book(request, { pending = [], checkPolicies = true } = {}) {
+    try {
+      const { config, booking, facility, submitAt, retry } = this.prepareBooking(request, { pending, checkPolicies });
+      this.emit('validated', booking);
+
+      const outcome = await this.createAutomator(config).book({
+        facility,
+        date: booking.date,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        signature: booking.signature,
+        customTitle: booking.title,
+        headless: booking.headless,
+        submitAt: submitAt ? submitAt.valueOf() : null,
+        dryRun: booking.dryRun,
+        trace: Boolean(request.trace) || Boolean(config.defaults.trace),
+        retry
+      });
+
+      return { booking, outcome: { ...outcome, submittedAt: outcome.submittedAt ? new Date(outcome.submittedAt).toISOString() : null } };
+    } catch (error) {
+      throw toTypedError(error);
+    }
+  }
+
+  /**
+   * Books several requests, one browser session per profile and venue so each profile logs in
+   * once. Every request is validated before anything is booked, and a household never books
+   * the same slot twice. Resolves with one { entry, success, error, outcome } per request, in
+   * order; failures do not stop the rest. options.headless, options.forceDate and options.trace
+   * apply to every request.
+   *
+   * With options.parallel every request gets its own incognito context of one shared browser
+   * and up to options.concurrency (default defaults.maxParallelBookings, then 3) run at once.
+   * options.at / options.whenWindowOpens then make every context submit at that instant.
+   */
+  async bookAll(requests, options = {}) {
+    if (!options.parallel && (options.at || options.whenWindowOpens)) {
+      throw toTypedError(withErrorCode(new Error('--at and --when-window-opens need --parallel for a plan'), 'invalid_input'));
+    }
+
+    const results = new Array(requests.length);
+    const groups = new Map();
+    const pending = [];
+
+    // Validate every row up front so a typo in row 5 doesn't surface after rows 1-4 are booked
+    requests.forEach((request, index) => {
+      const entry = { ...request };
+      try {
+        const prepared = this.prepareBooking({
+          ...entry,
+          forceDate: options.forceDate,
+          at: options.at,
+          whenWindowOpens: options.whenWindowOpens
+        }, { pending });
+        entry.date = prepared.booking.date;
+        checkDoubleBooking(prepared.config, prepared.booking, pending);
+        pending.push(prepared.booking);
+
+        const key = `${prepared.booking.venue || ''}|${entry.profile || ''}`;
+        if (!groups.has(key)) {
+          groups.set(key, { config: prepared.config, rows: [] });
+        }
+        groups.get(key).rows.push({ index, entry, prepared });
+      } catch (error) {
+        results[index] = { entry, success: false, error: toTypedError(error) };
+      }
+    });
+
+    const invalid = results.filter(Boolean).length;
+    if (options.parallel) {
+      const rows = [...groups.values()].flatMap(group => group.rows).sort((a, b) => a.index - b.index);
+      const concurrency = rows.length > 0 ? resolveConcurrency(options.concurrency, rows[0].prepared.config) : 0;
+      this.emit('planned', { total: requests.length, invalid, sessions: rows.length, parallel: true, concurrency });
+      await this.bookInContexts(rows, { ...options, concurrency }, results);
+      return results;
+    }
+
+    this.emit('planned', { total: requests.length, invalid, sessions: groups.size, parallel: false });
+
+    for (const { config, rows } of groups.values()) {
+      const headless = parseHeadless(options.headless, this.defaults.headless ?? config.defaults.headless);
+      log(`Starting session for ${config.credentials.email}${config.venue ? ` at ${config.venue}` : ''} with ${rows.length} booking(s)`);
+      const automator = this.createAutomator(config);
+      const bookings = rows.map(({ prepared }) => ({
+        facility: prepared.facility,
+        date: prepared.booking.date,
+        startTime: prepared.booking.startTime,
+        endTime: prepared.booking.endTime,
+        signature: prepared.booking.signature,
+        customTitle: prepared.booking.title,
+        trace: Boolean(options.trace) || Boolean(config.defaults.trace),
+        retry: prepared.retry
+      }));
+
+      try {
+        const outcomes = await automator.bookAll(bookings, headless);
+        outcomes.forEach((outcome, i) => {
+          const { index, entry } = rows[i];
+          results[index] = { entry, success: outcome.success, error: outcome.error ? toTypedError(outcome.error) : undefined, outcome };
+        });
+      } catch (error) {
+        // The session itself failed (e.g. browser launch), so none of its rows were attempted
+        const sessionError = toTypedError(error);
+        rows.forEach(({ index, entry }) => {
+          results[index] = { entry, success: false, error: sessionError };
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Books validated rows concurrently, each in its own incognito context (and so its own
+   * profile login) of one shared browser, at most options.concurrency at a time
+   */
+  async bookInContexts(rows, options, results) {
+    if (rows.length === 0) {
+      return;
+    }
+
+    const firstConfig = rows[0].prepared.config;
+    let browser;
+    try {
+      browser = await BookingAutomator.launchBrowser(parseHeadless(options.headless, this.defaults.headless ?? firstConfig.defaults.headless));
+    } catch (error) {
+      const sessionError = toTypedError(error);
+      rows.forEach(({ index, entry }) => {
+        results[index] = { entry, success: false, error: sessionError };
+      });
+      return;
+    }
+
+    let next = 0;
+    const worker = async () => {
+      while (next < rows.length) {
+        const { index, entry, prepared } = rows[next++];
+        const { config, booking, facility, submitAt, retry } = prepared;
+        log(`Booking ${booking.facility} on ${booking.date} ${booking.startTime}-${booking.endTime} for ${booking.profile} in its own browser context`);
+        try {
+          const outcome = await this.createAutomator(config, browser).book({
+            facility,
+            date: booking.date,
+            startTime: booking.startTime,
+            endTime: booking.endTime,
+            signature: booking.signature,
+            customTitle: booking.title,
+            submitAt: submitAt ? submitAt.valueOf() : null,
+            trace: Boolean(options.trace) || Boolean(config.defaults.trace),
+            retry
+          });
+          results[index] = { entry, success: true, outcome };
+        } catch (error) {
+          results[index] = { entry, success: false, error: toTypedError(error) };
+        }
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(options.concurrency, rows.length) }, worker));
+    } finally {
+      await browser.close();
+      log('Shared browser closed');
+    }
+  }
+
+  /**
+   * BookingAutomator whose progress steps are re-emitted as events of this client; it runs in
+   * an incognito context of `browser` when one is given
+   */
+  createAutomator(config, browser = null) {
+    return new BookingAutomator(config, {
+      onProgress: (event, details) => this.emit(event, details),
+      browser
+    });
+  }
+
+  readConfig(profile, venue) {
+    profile = profile === undefined ? this.defaults.profile : profile;
+    venue = venue === undefined ? this.defaults.venue : venue;
+    validateProfileFormat(profile);
+
+    const config = this.source && typeof this.source === 'object'
+      ? resolveConfig(this.source, { profileEmail: profile || null, venueName: venue || null })
+      : loadConfig(this.source, profile || null, venue || null);
+    validateConfig(config);
+    return config;
+  }
+
+  /**
+   * Validates a request and works out everything needed to book it
+   */
+  prepareBooking(request, { pending = [], checkPolicies = true } = {}) {
+    if (!request || typeof request !== 'object') {
+      throw withErrorCode(new Error('Booking request must be an object'), 'invalid_input');
+    }
+
+    const options = { ...request };
+    const config = this.readConfig(options.profile, options.venue || undefined);
+
+    // A held booking counts its days in advance from the day it is submitted, so a run
+    // started just before a midnight window books for the window about to open
+    const submitAt = checkInput(() => resolveSubmitTime(options, config));
+    options.date = checkInput(() => resolveBookingDate(options, config, submitAt ? submitAt.format('YYYY-MM-DD') : null));
+    validateBookingParams(options, config);
+    if (checkPolicies) {
+      enforceBookingPolicies(config, options, pending);
+    }
+
+    const retry = checkInput(() => resolveRetryOverrides(options));
+    if (options.dryRun && submitAt) {
+      throw withErrorCode(new Error('--dry-run cannot be combined with --at or --when-window-opens'), 'invalid_input');
+    }
+
+    // A signature in the request takes precedence over the profile's
+    if (options.signature) {
+      config.defaults.signature = options.signature;
+    }
+
+    const facility = getFacility(config, options.facility);
+    const booking = {
+      venue: config.venue || null,
+      profile: config.credentials.email,
+      facility: options.facility,
+      facilityName: facility.name,
+      date: options.date,
+      startTime: options.startTime,
+      endTime: options.endTime,
+      signature: config.defaults.signature,
+      title: options.title || null,
+      headless: parseHeadless(options.headless, this.defaults.headless ?? config.defaults.headless),
+      dryRun: Boolean(options.dryRun),
+      submitAt: submitAt ? submitAt.format() : null
+    };
+
+    return { config, booking, facility, submitAt, retry };
+  }
+}
+
+/**
+ * Creates a BookingClient; see BookingClient for the arguments
+ */
+function createClient(config = null, defaults = {}) {
+  return new BookingClient(config, defaults);
+}
+
+/**
+ * Runs fn, converting anything it throws into a typed error
+ */
+function typed(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw toTypedError(error);
+  }
+}
+
+/**
+ * Headless unless told otherwise; the CLI passes the --headless value as a string
+ */
+function parseHeadless(value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback !== false;
+  }
+  return value === true || value === 'true';
+}
+
+/**
+ * Groups bookAll results by target slot (venue, facility, date and times): whether the slot was
+ * booked and by which profiles, the plan rows (1-based) that tried it and their errors
+ */
+function groupResultsByTarget(results) {
+  const targets = new Map();
+
+  results.forEach((result, index) => {
+    const { entry } = result;
+    const key = [entry.venue || '', entry.facility, entry.date, entry.startTime, entry.endTime].join('|');
+    if (!targets.has(key)) {
+      targets.set(key, {
+        venue: entry.venue || null,
+        facility: entry.facility,
+        date: entry.date,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        booked: false,
+        bookedBy: [],
+        rows: [],
+        errors: []
+      });
+    }
+
+    const target = targets.get(key);
+    target.rows.push(index + 1);
+    if (result.success) {
+      target.booked = true;
+      target.bookedBy.push(entry.profile || null);
+    } else {
+      target.errors.push(result.error.message);
+    }
+  });
+
+  return Array.from(targets.values());
+}
+
+/**
+ * Refuses a booking when the household already holds an overlapping slot at the same facility,
+ * from the history ledger or from `pending` bookings of the same run
+ */
+function checkDoubleBooking(config, booking, pending) {
+  const policies = config.policies;
+  const history = getActiveBookings(readHistory(config, { venue: config.venue }));
+  const earlier = findDoubleBooking(policies, booking, history);
+  const queued = earlier ? null : findDoubleBooking(policies, booking, pending.filter(item => (item.venue || null) === booking.venue));
+  const conflict = earlier || queued;
+
+  if (conflict) {
+    const household = getHousehold(policies, booking.profile);
+    throw withErrorCode(new Error(`Household '${household}' ${earlier ? 'already has' : 'is already booking'} ${conflict.facility} on ${conflict.date} at ${conflict.startTime}-${conflict.endTime}${queued ? ' in this run' : ''}; a household never books the same slot twice`), 'policy_blocked');
+  }
+}
+
+/**
+ * Number of bookings to run at once with parallel: the option, else defaults.maxParallelBookings, else 3
+ */
+function resolveConcurrency(value, config) {
+  if (value === undefined || value === null) {
+    return config.defaults.maxParallelBookings || 3;
+  }
+  const concurrency = parseInt(value, 10);
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw toTypedError(withErrorCode(new Error('--concurrency must be a positive integer'), 'invalid_input'));
+  }
+  return concurrency;
+}
+
+/**
+ * Checks the facility and times of a request whose date has been resolved
+ */
+function validateBookingParams(options, config) {
+  const errors = [];
+
+  if (!options.date || !isValidDate(options.date)) {
+    errors.push('Booking date is missing or invalid after initial processing. This indicates an internal logic error.');
+  }
+
+  if (!options.facility || !getFacility(config, options.facility)) {
+    errors.push(`Facility '${options.facility || ''}' not found or not specified. Use 'list' command to see available facilities.`);
+  }
+
+  if (!isValidTime(options.startTime)) {
+    errors.push('Invalid start time format. Use HH:MM');
+  }
+
+  if (!isValidTime(options.endTime)) {
+    errors.push('Invalid end time format. Use HH:MM');
+  }
+
+  if (isValidTime(options.startTime) && isValidTime(options.endTime)) {
+    if (!isValidTimeRange(options.startTime, options.endTime)) {
+      errors.push('Start time must be before end time');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw withErrorCode(new Error(errors.join('; ')), 'invalid_input');
+  }
+}
+
+/**
+ * Checks a booking against the HOA policies in config.policies, counting the household's
+ * bookings from the history ledger plus any `pending` bookings from the same run.
+ * Throws with every violation listed so nothing is attempted in breach of the rules.
+ */
+function enforceBookingPolicies(config, options, pending = []) {
+  const request = {
+    profile: config.credentials.email,
+    venue: config.venue,
+    facility: options.facility,
+    date: options.date,
+    startTime: options.startTime,
+    endTime: options.endTime
+  };
+  // Policies and quotas apply per venue
+  const history = config.policies ? readHistory(config, { venue: config.venue }) : [];
+  const venuePending = pending.filter(item => (item.venue || null) === (config.venue || null));
+  const violations = checkBookingPolicies(config, request, { history, pending: venuePending });
+
+  if (violations.length > 0) {
+    throw withErrorCode(new Error(`Booking violates HOA policies: ${violations.join('; ')}`), 'policy_blocked');
+  }
+
+  return request;
+}
+
+/**
+ * Validates the email format of a --profile value
+ */
+function validateProfileFormat(profile) {
+  if (profile) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(profile)) {
+      throw withErrorCode(new Error('Invalid email format for profile'), 'invalid_input');
+    }
+  }
+}
+
+/**
+ * Turns --retries / --retry-deadline into retry policy overrides
+ */
+function resolveRetryOverrides(options) {
+  const overrides = {};
+
+  if (options.retries !== undefined) {
+    const maxAttempts = parseInt(options.retries, 10);
+    if (isNaN(maxAttempts) || maxAttempts < 1) {
+      throw new Error('--retries must be a positive integer');
+    }
+    overrides.maxAttempts = maxAttempts;
+  }
+
+  if (options.retryDeadline !== undefined) {
+    const deadlineSeconds = parseInt(options.retryDeadline, 10);
+    if (isNaN(deadlineSeconds) || deadlineSeconds < 0) {
+      throw new Error('--retry-deadline must be a non-negative integer');
+    }
+    overrides.deadlineSeconds = deadlineSeconds;
+  }
+
+  return overrides;
+}
+
+/**
+ * Works out the instant to submit at for --at / --when-window-opens (or a submitAt instant),
+ * or null to submit immediately. A time that has passed moves to its next occurrence; a
+ * window that has already opened for an explicit date is refused.
+ */
+function resolveSubmitTime(options, config) {
+  if ([options.at, options.whenWindowOpens, options.submitAt].filter(value => value !== undefined && value !== null && value !== false).length > 1) {
+    throw new Error('--at and --when-window-opens are mutually exclusive. Please use one or the other.');
+  }
+
+  if (options.submitAt !== undefined && options.submitAt !== null) {
+    const submitAt = toVenueTime(options.submitAt, config.timezone);
+    if (!submitAt.isValid()) {
+      throw new Error('submitAt must be an epoch time in milliseconds or a Date');
+    }
+    return submitAt;
+  }
+
+  if (options.at) {
+    if (!isValidClockTime(options.at)) {
+      throw new Error('Invalid --at time format. Use HH:MM:SS');
+    }
+    const submitAt = nextVenueTime(options.at, config.timezone);
+    if (submitAt.format('YYYY-MM-DD') !== venueToday(config.timezone)) {
+      log(`${options.at} has already passed today; holding until ${submitAt.format('YYYY-MM-DD HH:mm:ss')}`, 'warn');
+    }
+    return submitAt;
+  }
+
+  if (options.whenWindowOpens) {
+    const opensAt = config.defaults.windowOpensAt || '00:00:00';
+    if (!options.date) {
+      // Days in advance count from the window about to open
+      return nextVenueTime(opensAt, config.timezone);
+    }
+    if (!isValidDate(options.date)) {
+      throw new Error(`Invalid date provided: ${options.date}`);
+    }
+
+    const advanceDays = typeof config.defaults.bookInAdvanceDays === 'number' ? config.defaults.bookInAdvanceDays : 15;
+    const windowOpening = getWindowOpeningTime(options.date, advanceDays, opensAt, config.timezone);
+    if (!windowOpening.isAfter(venueNow(config.timezone))) {
+      throw new Error(`The booking window for ${options.date} already opened at ${windowOpening.format('YYYY-MM-DD HH:mm:ss')}; book it without --when-window-opens`);
+    }
+    return windowOpening;
+  }
+
+  return null;
+}
+
+/**
+ * Runs an input check, tagging what it throws with the invalid_input code
+ */
+function checkInput(check) {
+  try {
+    return check();
+  } catch (error) {
+    throw withErrorCode(error, 'invalid_input');
+  }
+}
+
+module.exports = {
+  BookingClient,
+  createClient,
+  groupResultsByTarget,
+  validateProfileFormat,
+  checkInput
+};
@@ -0,0 +1,89 @@
+const http = require('http');
+const https = require('https');
+const { delay } = require('./utils');
+
+/**
+ * Sends a HEAD request and resolves with the server's Date header and local timings
+ */
+function sampleServerDate(url, timeout = 5000) {
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const sentAt = Date.now();
+    const request = client.request(url, { method: 'HEAD', timeout }, (response) => {
+      const receivedAt = Date.now();
+      response.resume();
+
+      const header = response.headers.date;
+      const serverDate = header ? Date.parse(header) : NaN;
+      if (isNaN(serverDate)) {
+        reject(new Error(`No usable Date header in response from ${url}`));
+        return;
+      }
+
+      resolve({ serverDate, sentAt, receivedAt });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out requesting ${url}`)));
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Measures the offset between the server clock and the local clock (server - local, in ms).
+ *
+ * The Date header only has one-second resolution, so requests are repeated until the
+ * header ticks over to the next second; at that moment the server clock sits right on
+ * the reported value. If no tick is seen within maxSamples, a single sample is used
+ * with the midpoint of its second as the estimate.
+ */
+async function measureClockSkew(url, { maxSamples = 25, intervalMs = 40 } = {}) {
+  let previous = await sampleServerDate(url);
+
+  for (let i = 1; i < maxSamples; i++) {
+    await delay(intervalMs);
+    const sample = await sampleServerDate(url);
+
+    if (sample.serverDate > previous.serverDate) {
+      const midpoint = (sample.sentAt + sample.receivedAt) / 2;
+      return {
+        skewMs: Math.round(sample.serverDate - midpoint),
+        uncertaintyMs: Math.round((sample.receivedAt - sample.sentAt) / 2 + intervalMs),
+        samples: i + 1
+      };
+    }
+
+    previous = sample;
+  }
+
+  const midpoint = (previous.sentAt + previous.receivedAt) / 2;
+  return {
+    skewMs: Math.round(previous.serverDate + 500 - midpoint),
+    uncertaintyMs: Math.round((previous.receivedAt - previous.sentAt) / 2 + 500),
+    samples: maxSamples
+  };
+}
+
+/**
+ * Waits until the local clock reaches targetMs, spinning for the last few milliseconds
+ * so timer granularity does not delay the caller
+ */
+async function waitUntil(targetMs, spinMs = 20) {
+  let remaining = targetMs - Date.now();
+
+  while (remaining > spinMs) {
+    await delay(Math.min(remaining - spinMs, 60000));
+    remaining = targetMs - Date.now();
+  }
+
+  while (Date.now() < targetMs) {
+    // Busy-wait the final stretch for millisecond precision
+  }
+}
+
+module.exports = {
+  sampleServerDate,
+  measureClockSkew,
+  waitUntil
+};
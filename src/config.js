@@ -1,6 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { isValidTimeRange } = require('./utils');
+const { validateNotifiers } = require('./notifiers');
+const { getSiteAdapter } = require('./adapter');
+const { checkTitleTemplate } = require('./titles');
+const { openVault } = require('./vault');
+const { CONFIG_SCHEMA_VERSION, checkSchema, formatProblem, migrateConfig } = require('./schema');
+const { withErrorCode } = require('./errors');
 
 /**
  * Loads profile credentials from environment variables
@@ -31,108 +38,386 @@ function loadProfileCredentials(profileEmail) {
   };
 }
 
+// Venue settings that replace the top-level ones outright; defaults and credentials are merged
+const VENUE_OVERRIDES = ['urls', 'facilities', 'timezone', 'adapter', 'policies', 'import'];
+
 /**
- * Loads configuration from file or environment variables
+ * Narrows a config to one venue. A config without a venues section is a single unnamed venue.
+ * Recurring rules are limited to the selected venue (rules without a venue belong to the default one).
  */
-function loadConfig(configPath = null, profileEmail = null) {
-  const defaultConfigPath = path.join(__dirname, '..', 'config', 'config.json');
-  const finalConfigPath = configPath || defaultConfigPath;
-  
-  let config = {};
-  
-  if (fs.existsSync(finalConfigPath)) {
-    try {
-      const configData = fs.readFileSync(finalConfigPath, 'utf8');
-      config = JSON.parse(configData);
-    } catch (error) {
-      throw new Error(`Failed to parse config file: ${error.message}`);
+function selectVenue(config, venueName) {
+  const rules = Array.isArray(config.recurring) ? config.recurring : [];
+
+  if (!config.venues) {
+    if (venueName) {
+      throw new Error(`Venue '${venueName}' not found: no venues are defined in config`);
     }
-  } else {
+    const rule = rules.find(candidate => candidate.venue);
+    if (rule) {
+      throw new Error(`Recurring rule ${rule.id} names venue '${rule.venue}', but no venues are defined in config`);
+    }
+    return { ...config, venue: null, defaultVenue: null };
+  }
+
+  if (typeof config.venues !== 'object' || Array.isArray(config.venues) || Object.keys(config.venues).length === 0) {
+    throw new Error('config.venues must map venue names to venue settings');
+  }
+
+  const names = Object.keys(config.venues);
+  const defaultVenue = config.defaultVenue || names[0];
+  if (!config.venues[defaultVenue]) {
+    throw new Error(`config.defaultVenue '${defaultVenue}' is not one of the venues: ${names.join(', ')}`);
+  }
+
+  const name = venueName || defaultVenue;
+  const venue = config.venues[name];
+  if (!venue) {
+    throw new Error(`Venue '${name}' not found. Available venues: ${names.join(', ')}`);
+  }
+
+  for (const rule of rules) {
+    if (rule.venue && !config.venues[rule.venue]) {
+      throw new Error(`Unknown venue '${rule.venue}' in recurring rule ${rule.id}`);
+    }
+  }
+
+  const selected = {
+    ...config,
+    defaults: { ...config.defaults, ...venue.defaults },
+    credentials: venue.credentials ? { ...venue.credentials } : config.credentials,
+    venue: name,
+    defaultVenue
+  };
+  for (const key of VENUE_OVERRIDES) {
+    if (venue[key] !== undefined) {
+      selected[key] = venue[key];
+    }
+  }
+  if (Array.isArray(config.recurring)) {
+    selected.recurring = rules.filter(rule => (rule.venue || defaultVenue) === name);
+  }
+
+  return selected;
+}
+
+/**
+ * Names of the venues in config, or [null] for a config without a venues section
+ */
+function listVenues(config) {
+  return config.venues ? Object.keys(config.venues) : [null];
+}
+
+/**
+ * Path of the config file: the given path, else config/config.json
+ */
+function getConfigPath(configPath = null) {
+  return configPath || path.join(__dirname, '..', 'config', 'config.json');
+}
+
+/**
+ * Loads configuration from file or environment variables, for the given venue
+ * (the default venue when venueName is null). Errors carry the config_invalid code.
+ */
+function loadConfig(configPath = null, profileEmail = null, venueName = null) {
+  try {
+    const finalConfigPath = getConfigPath(configPath);
+    return readConfig(readConfigFile(finalConfigPath), profileEmail, venueName, path.dirname(finalConfigPath));
+  } catch (error) {
+    throw withErrorCode(error, 'config_invalid');
+  }
+}
+
+/**
+ * Same as loadConfig for a config object already in memory (the contents of a config.json).
+ * Relative adapter, vault and calendar paths are resolved from baseDir; the object itself is not modified.
+ */
+function resolveConfig(rawConfig, { profileEmail = null, venueName = null, baseDir = process.cwd() } = {}) {
+  try {
+    if (!rawConfig || typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+      throw new Error('Config must be an object');
+    }
+    return readConfig(JSON.parse(JSON.stringify(rawConfig)), profileEmail, venueName, baseDir);
+  } catch (error) {
+    throw withErrorCode(error, 'config_invalid');
+  }
+}
+
+function readConfigFile(finalConfigPath) {
+  if (!fs.existsSync(finalConfigPath)) {
     throw new Error(`Config file not found: ${finalConfigPath}`);
   }
+  try {
+    const configData = fs.readFileSync(finalConfigPath, 'utf8');
+    return JSON.parse(configData);
+  } catch (error) {
+    throw new Error(`Failed to parse config file: ${error.message}`);
+  }
+}
+
+function readConfig(config, profileEmail, venueName, baseDir) {
+  // Older config shapes are upgraded in memory; `config migrate` rewrites the file
+  config = migrateConfig(config).config;
+  
+  // Site adapter files are resolved relative to the config file
+  for (const settings of [config, ...Object.values(config.venues || {})]) {
+    if (settings && typeof settings.adapter === 'string') {
+      settings.adapter = path.resolve(baseDir, settings.adapter);
+    }
+  }
+  // So are the vault and its key file, and the calendar file and directory
+  for (const [section, key] of [['vault', 'path'], ['vault', 'keyFile'], ['calendar', 'file'], ['calendar', 'directory']]) {
+    if (config[section] && typeof config[section][key] === 'string') {
+      config[section][key] = path.resolve(baseDir, config[section][key]);
+    }
+  }
+  
+  config = selectVenue(config, venueName);
+  const venue = config.venue ? config.venues[config.venue] : null;
+  
+  if (!config.credentials || !config.defaults) {
+    // Missing sections are reported by validateConfig
+    return config;
+  }
+  
+  // A venue can log in with a profile from the environment instead of inline credentials
+  if (!profileEmail && config.credentials.profile) {
+    profileEmail = config.credentials.profile;
+  }
+  
+  // Credentials come from the vault first; environment variables and config are fallbacks
+  const vault = openVault(config);
+  const fromVault = email => (vault && vault.isUnlocked() ? vault.get(email) : null);
   
   // If profile email is provided, load profile-specific credentials
   if (profileEmail) {
-    const profileCredentials = loadProfileCredentials(profileEmail);
+    // A venue can map a profile to the account it uses there
+    const mapped = (venue && venue.profiles && venue.profiles[profileEmail]) || profileEmail;
+    let profileCredentials = fromVault(mapped);
+    if (!profileCredentials) {
+      try {
+        profileCredentials = loadProfileCredentials(mapped);
+      } catch (error) {
+        throw new Error(vault && !vault.isUnlocked()
+          ? `${error.message}. The credential vault is locked; set BOOKING_VAULT_PASSPHRASE or BOOKING_VAULT_KEY_FILE to use it`
+          : `${error.message}, or add the profile to the vault with: node index.js credentials add ${mapped}`);
+      }
+    }
     config.credentials.email = profileCredentials.email;
     config.credentials.password = profileCredentials.password;
     if (profileCredentials.signature) {
       config.defaults.signature = profileCredentials.signature;
     }
   } else {
-    // Override with default environment variables if available
-    if (process.env.BOOKING_EMAIL) {
+    // Override with default environment variables if available; a venue with its own
+    // credentials keeps them
+    if (process.env.BOOKING_EMAIL && !(venue && venue.credentials)) {
       config.credentials.email = process.env.BOOKING_EMAIL;
     }
     
-    if (process.env.BOOKING_PASSWORD) {
+    if (process.env.BOOKING_PASSWORD && !(venue && venue.credentials)) {
       config.credentials.password = process.env.BOOKING_PASSWORD;
     }
     
     if (process.env.BOOKING_SIGNATURE) {
       config.defaults.signature = process.env.BOOKING_SIGNATURE;
     }
+    
+    const stored = config.credentials.email ? fromVault(config.credentials.email) : null;
+    if (stored) {
+      config.credentials.email = stored.email;
+      config.credentials.password = stored.password;
+      if (stored.signature) {
+        config.defaults.signature = stored.signature;
+      }
+    }
   }
   
   return config;
 }
 
 /**
- * Validates configuration object
+ * Validates configuration object. Errors carry the config_invalid code.
  */
 function validateConfig(config) {
-  if (!config.defaults) {
-    throw new Error('Missing defaults section in config');
-  }
-  if (config.defaults.bookInAdvanceDays !== undefined && 
-      (typeof config.defaults.bookInAdvanceDays !== 'number' || config.defaults.bookInAdvanceDays < 0)) {
-    throw new Error('config.defaults.bookInAdvanceDays must be a non-negative number if provided');
+  try {
+    checkConfig(config);
+  } catch (error) {
+    throw withErrorCode(error, 'config_invalid');
   }
+}
 
-  if (!config.credentials) {
-    throw new Error('Missing credentials section in config');
-  }
-  
-  if (!config.facilities) {
-    throw new Error('Missing facilities section in config');
-  }
-  
-  if (!config.urls) {
-    throw new Error('Missing urls section in config');
+function checkConfig(config) {
+  // The schema is the one description of each setting's shape; the checks after it compare
+  // settings with each other
+  validateSchema(config);
+
+  // A venue can leave these sections to the top level, so they are only complete once the
+  // venue is selected
+  for (const section of ['defaults', 'credentials', 'facilities', 'urls']) {
+    if (!config[section]) {
+      throw new Error(`Missing ${section} section in config`);
+    }
   }
-  
+
+  // Credentials may come from a profile, the vault or the environment instead of the file
   if (!config.credentials.email) {
     throw new Error('Missing email in credentials');
   }
   
   if (!config.credentials.password) {
-    throw new Error('Missing password in credentials');
-  }
-  
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(config.credentials.email)) {
-    throw new Error('Invalid email format in credentials');
+    throw new Error(`Missing password in credentials (store it with: node index.js credentials add ${config.credentials.email})`);
   }
   
-  if (!config.urls.baseUrl) {
-    throw new Error('Missing baseUrl in urls section');
+  const facilityBySpaceId = new Map();
+  for (const [facilityKey, facility] of Object.entries(config.facilities)) {
+    const sameSpace = facilityBySpaceId.get(facility.spaceId);
+    if (sameSpace) {
+      throw new Error(`Facilities ${sameSpace} and ${facilityKey} have the same spaceId ${facility.spaceId}`);
+    }
+    facilityBySpaceId.set(facility.spaceId, facilityKey);
   }
-  
-  if (Object.keys(config.facilities).length === 0) {
-    throw new Error('No facilities defined in config');
+
+  validateTitles(config);
+  validateImportRules(config);
+  validateRecurringRules(config);
+  validatePolicies(config);
+  validateNotifiers(config);
+  getSiteAdapter(config); // Loading the site adapter validates it
+}
+
+/**
+ * Checks the config against config/config.schema.json: types, required and unknown keys,
+ * formats and ranges. Every problem is reported with its path.
+ */
+function validateSchema(config) {
+  // The selected venue's name is added by loadConfig, not written in the file
+  const { venue, ...fileConfig } = config;
+  const problems = checkSchema(fileConfig);
+  if (problems.length === 0) {
+    return;
   }
-  
+
+  const error = new Error(problems.length === 1
+    ? formatProblem(problems[0])
+    : `Config does not match schema version ${CONFIG_SCHEMA_VERSION}:\n${problems.map(problem => `  - ${formatProblem(problem)}`).join('\n')}`);
+  error.problems = problems;
+  throw error;
+}
+
+/**
+ * Validates title templates (titles.template, titles.profiles, per-facility titleTemplate)
+ */
+function validateTitles(config) {
+  const checkTemplate = (template, label) => {
+    const problems = checkTitleTemplate(template);
+    if (problems.length > 0) {
+      throw new Error(`${label}: ${problems.join('; ')}`);
+    }
+  };
+
   for (const [facilityKey, facility] of Object.entries(config.facilities)) {
-    if (!facility.spaceId) {
-      throw new Error(`Missing spaceId for facility: ${facilityKey}`);
+    if (facility.titleTemplate !== undefined) {
+      checkTemplate(facility.titleTemplate, `config.facilities.${facilityKey}.titleTemplate`);
     }
-    
-    if (!facility.name) {
-      throw new Error(`Missing name for facility: ${facilityKey}`);
+  }
+
+  const titles = config.titles || {};
+  if (titles.template !== undefined) {
+    checkTemplate(titles.template, 'config.titles.template');
+  }
+  for (const [email, settings] of Object.entries(titles.profiles || {})) {
+    if (settings.template !== undefined) {
+      checkTemplate(settings.template, `config.titles.profiles.${email}.template`);
     }
   }
 }
 
+/**
+ * Validates the import rules: each maps to a known facility by a location and/or summary pattern
+ */
+function validateImportRules(config) {
+  ((config.import && config.import.rules) || []).forEach((rule, index) => {
+    const label = `Import rule #${index + 1}`;
+    if (!config.facilities[rule.facility]) {
+      throw new Error(`${label} maps to unknown facility '${rule.facility}'`);
+    }
+    if (rule.location === undefined && rule.summary === undefined) {
+      throw new Error(`${label} needs a location and/or summary pattern`);
+    }
+    for (const key of ['location', 'summary']) {
+      if (rule[key] === undefined) {
+        continue;
+      }
+      try {
+        new RegExp(rule[key], 'i');
+      } catch (error) {
+        throw new Error(`${label} has an invalid ${key} pattern: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Validates the recurring booking rules used by the scheduler: unique ids, known facilities
+ * and start times before end times
+ */
+function validateRecurringRules(config) {
+  const seenIds = new Set();
+
+  (config.recurring || []).forEach(rule => {
+    if (seenIds.has(rule.id)) {
+      throw new Error(`Duplicate recurring rule id: ${rule.id}`);
+    }
+    seenIds.add(rule.id);
+
+    if (!config.facilities[rule.facility]) {
+      throw new Error(`Unknown facility '${rule.facility}' in recurring rule ${rule.id}`);
+    }
+    if (!isValidTimeRange(rule.startTime, rule.endTime)) {
+      throw new Error(`Recurring rule ${rule.id} needs a startTime before its endTime`);
+    }
+  });
+}
+
+/**
+ * Validates the HOA booking policies: rules for known facilities and time ranges that end
+ * after they start
+ */
+function validatePolicies(config) {
+  const policies = config.policies;
+  if (policies === undefined) {
+    return;
+  }
+
+  for (const [facilityKey, rules] of Object.entries(policies.facilities || {})) {
+    if (!config.facilities[facilityKey]) {
+      throw new Error(`Unknown facility '${facilityKey}' in config.policies.facilities`);
+    }
+    if (rules.openTime && rules.closeTime && !isValidTimeRange(rules.openTime, rules.closeTime)) {
+      throw new Error(`config.policies.facilities.${facilityKey}.openTime must be before closeTime`);
+    }
+  }
+
+  if (policies.peakHours !== undefined && !isValidTimeRange(policies.peakHours.start, policies.peakHours.end)) {
+    throw new Error('config.policies.peakHours.start must be before end');
+  }
+}
+
+/**
+ * Returns the retry policy from config.defaults.retry merged over the built-in defaults
+ */
+function getRetryPolicy(config, overrides = {}) {
+  return {
+    maxAttempts: 3,
+    initialDelayMs: 2000,
+    backoffFactor: 2,
+    maxDelayMs: 30000,
+    deadlineSeconds: 300,
+    ...(config.defaults && config.defaults.retry),
+    ...overrides
+  };
+}
+
 /**
  * Gets facility configuration by key
  */
@@ -141,7 +426,7 @@ function getFacility(config, facilityKey) {
   
   if (!facility) {
     const availableFacilities = Object.keys(config.facilities).join(', ');
-    throw new Error(`Facility '${facilityKey}' not found. Available facilities: ${availableFacilities}`);
+    throw withErrorCode(new Error(`Facility '${facilityKey}' not found${config.venue ? ` at venue ${config.venue}` : ''}. Available facilities: ${availableFacilities}`), 'invalid_input');
   }
   
   return facility;
@@ -158,10 +443,11 @@ function listFacilities(config) {
 }
 
 /**
- * Creates a sample config file
+ * Sample config the init command starts from
  */
-function createSampleConfig(outputPath) {
-  const sampleConfig = {
+function getSampleConfig() {
+  return {
+    schemaVersion: CONFIG_SCHEMA_VERSION,
     credentials: {
       email: "your-email@example.com",
       password: "your-password"
@@ -171,6 +457,19 @@ function createSampleConfig(outputPath) {
       bufferMinutes: 15,
       headless: true,
       bookInAdvanceDays: 15, // Default days to book in advance
+      windowOpensAt: "00:00:00", // Clock time the booking window opens each day
+      schedulerLeadSeconds: 120, // How early the scheduler logs in before a window opens
+      maxParallelBookings: 3, // Bookings book-plan --parallel and the scheduler run at once
+      captureArtifacts: true, // Save screenshots, HTML, console and network logs per attempt
+      trace: false, // Also record a Puppeteer performance trace per attempt
+      persistSessions: true, // Reuse saved login cookies per profile between runs
+      retry: {
+        maxAttempts: 3, // Total attempts, including the first
+        initialDelayMs: 2000,
+        backoffFactor: 2,
+        maxDelayMs: 30000,
+        deadlineSeconds: 300 // No retry starts after this long
+      },
       timeout: 30000
     },
     facilities: {
@@ -182,17 +481,29 @@ function createSampleConfig(outputPath) {
     urls: {
       baseUrl: "https://parkhurst.skedda.com/booking",
       loginUrl: "https://parkhurst.skedda.com/login"
-    }
+    },
+    recurring: []
   };
-  
-  fs.writeFileSync(outputPath, JSON.stringify(sampleConfig, null, 2));
+}
+
+/**
+ * Creates a sample config file
+ */
+function createSampleConfig(outputPath) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, `${JSON.stringify(getSampleConfig(), null, 2)}\n`);
 }
 
 module.exports = {
+  getConfigPath,
   loadConfig,
+  resolveConfig,
+  listVenues,
   loadProfileCredentials,
   validateConfig,
+  getRetryPolicy,
   getFacility,
   listFacilities,
+  getSampleConfig,
   createSampleConfig
 };
\ No newline at end of file
@@ -0,0 +1,253 @@
+/**
+ * Error types worth retrying: the page or network misbehaved, but trying again may succeed.
+ * Everything else (Skedda rejecting the booking, an unconfirmed submit, unknown errors) is
+ * treated as permanent so a retry can never double-book a slot. A login_failed error for
+ * rejected credentials (error.credentialsRejected) is permanent too.
+ */
+const TRANSIENT_ERROR_TYPES = [
+  'navigation_timeout',
+  'browser_error',
+  'login_failed',
+  'button_not_found'
+];
+
+/**
+ * Process exit codes so wrapper scripts can react to the kind of failure. Booking failures
+ * keep to two ranges: 65-74 are permanent (retrying will not help) and 75-79 are transient
+ * (retries were exhausted; trying again later may help).
+ */
+const EXIT_CODES = {
+  success: 0,
+  error: 1, // Unexpected failure outside the cases below
+  invalidInput: 2, // Bad arguments or input files: date, time, facility, profile, plan or import rows
+  configInvalid: 3, // Config file missing or invalid, or credentials not found
+  policyBlocked: 4, // Refused by the HOA policies in the config; nothing was submitted
+  notificationFailed: 5, // A notifier could not deliver the notify-test message
+  permanent: 65, // Skedda rejected the booking, or the failure was not recognised
+  slotUnavailable: 66, // The slot is already taken
+  policyViolation: 67, // Skedda refused the booking under its own rules
+  noConfirmation: 68, // Submitted but never confirmed; the booking may exist
+  transient: 75, // The browser failed
+  navigationTimeout: 76, // A page did not load in time
+  loginFailed: 77, // Could not log in
+  buttonNotFound: 78 // The booking form did not show the confirm button
+};
+
+/**
+ * Exit code for each error code. Errors carry a code either from classifyError (errorType) or
+ * from the checks that run before the browser starts (error.code).
+ */
+const ERROR_EXIT_CODES = {
+  invalid_input: EXIT_CODES.invalidInput,
+  config_invalid: EXIT_CODES.configInvalid,
+  policy_blocked: EXIT_CODES.policyBlocked,
+  notification_failed: EXIT_CODES.notificationFailed,
+  booking_rejected: EXIT_CODES.permanent,
+  unknown: EXIT_CODES.permanent,
+  slot_unavailable: EXIT_CODES.slotUnavailable,
+  policy_violation: EXIT_CODES.policyViolation,
+  no_confirmation: EXIT_CODES.noConfirmation,
+  browser_error: EXIT_CODES.transient,
+  navigation_timeout: EXIT_CODES.navigationTimeout,
+  login_failed: EXIT_CODES.loginFailed,
+  button_not_found: EXIT_CODES.buttonNotFound
+};
+
+/**
+ * Classifies a booking error into a short machine-readable type for logs and the history ledger
+ */
+function classifyError(error) {
+  const message = (error && error.message) || '';
+
+  if (error && error.errorType) {
+    return error.errorType;
+  }
+  if (error && error.name === 'TimeoutError') {
+    return 'navigation_timeout';
+  }
+  if (/Failed to launch the browser|Could not find Chrome|Target closed|Session closed|detached Frame/i.test(message)) {
+    return 'browser_error';
+  }
+  if (/Login form not found|Missing (email|password)/i.test(message)) {
+    return 'login_failed';
+  }
+  if (/Confirm booking button not found/i.test(message)) {
+    return 'button_not_found';
+  }
+  if (/Detected error message/i.test(message)) {
+    if (/already (been )?(booked|taken|reserved)|not available|unavailable|conflict|overlap/i.test(message)) {
+      return 'slot_unavailable';
+    }
+    if (/policy|limit|exceed|maximum|not (allowed|permitted)/i.test(message)) {
+      return 'policy_violation';
+    }
+    return 'booking_rejected';
+  }
+  if (/Did not redirect to success URL/i.test(message)) {
+    return 'no_confirmation';
+  }
+  if (/timeout|timed out/i.test(message)) {
+    return 'navigation_timeout';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Whether an error is worth retrying
+ */
+function isTransientError(error) {
+  return !(error && error.credentialsRejected) && TRANSIENT_ERROR_TYPES.includes(classifyError(error));
+}
+
+/**
+ * Tags an error with a code from ERROR_EXIT_CODES unless it already carries one, and returns it
+ */
+function withErrorCode(error, code) {
+  if (!ERROR_EXIT_CODES[error.code]) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * Machine-readable code of an error thrown by a command ('error' when it has none)
+ */
+function getErrorCode(error) {
+  if (!error) {
+    return 'error';
+  }
+  if (ERROR_EXIT_CODES[error.code]) {
+    return error.code;
+  }
+  if (error.errorType) {
+    // A normally transient failure after the confirm click leaves the booking unconfirmed
+    if (error.transient === false && !error.credentialsRejected && TRANSIENT_ERROR_TYPES.includes(error.errorType)) {
+      return 'no_confirmation';
+    }
+    return ERROR_EXIT_CODES[error.errorType] ? error.errorType : 'unknown';
+  }
+  return 'error';
+}
+
+/**
+ * Picks the process exit code for an error thrown by a command
+ */
+function exitCodeForError(error) {
+  return ERROR_EXIT_CODES[getErrorCode(error)] || EXIT_CODES.error;
+}
+
+/**
+ * Picks one exit code for a run with several failures: their shared code when they agree,
+ * otherwise 65 if any booking failed permanently (retrying the run would repeat it), 75 if any
+ * failed transiently, and 1 for a mix of failures before booking
+ */
+function exitCodeForErrors(errors) {
+  const codes = [...new Set(errors.map(exitCodeForError))];
+  if (codes.length <= 1) {
+    return codes.length === 1 ? codes[0] : EXIT_CODES.success;
+  }
+  if (codes.some(code => code >= EXIT_CODES.permanent && code < EXIT_CODES.transient)) {
+    return EXIT_CODES.permanent;
+  }
+  return codes.some(code => code >= EXIT_CODES.transient) ? EXIT_CODES.transient : EXIT_CODES.error;
+}
+
+/**
+ * Plain-object form of an error for --json output
+ */
+function describeError(error) {
+  return {
+    message: error.message,
+    code: getErrorCode(error),
+    exitCode: exitCodeForError(error),
+    errorType: error.errorType || null,
+    transient: error.transient === undefined ? null : error.transient,
+    attempts: error.attempts || null,
+    retriesExhausted: Boolean(error.retriesExhausted),
+    artifactsPath: error.artifactsPath || null,
+    matchedSelectors: error.matchedSelectors || null,
+    problems: error.problems || null
+  };
+}
+
+/**
+ * Base class of the errors the library API throws. Every one carries a machine-readable
+ * code and the exit code the CLI would use for it.
+ */
+class BookingSystemError extends Error {
+  constructor(message, code = 'error') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = ERROR_EXIT_CODES[code] || EXIT_CODES.error;
+  }
+}
+
+/**
+ * Bad booking input: date, times, facility, profile, retry or submit time options
+ */
+class ValidationError extends BookingSystemError {}
+
+/**
+ * Config missing or invalid, or credentials not found
+ */
+class ConfigError extends BookingSystemError {}
+
+/**
+ * Refused by the HOA policies in the config before anything was submitted
+ */
+class PolicyError extends BookingSystemError {}
+
+/**
+ * The booking run in the browser failed; errorType and transient say how
+ */
+class BookingError extends BookingSystemError {}
+
+const ERROR_CLASSES = {
+  invalid_input: ValidationError,
+  config_invalid: ConfigError,
+  policy_blocked: PolicyError
+};
+
+/**
+ * Converts an error thrown inside the system into the matching BookingSystemError subclass,
+ * keeping its details (errorType, attempts, artifactsPath, ...) and the original as cause
+ */
+function toTypedError(error) {
+  if (error instanceof BookingSystemError) {
+    return error;
+  }
+  if (!(error instanceof Error)) {
+    error = new Error(String(error));
+  }
+
+  const code = getErrorCode(error);
+  const ErrorClass = ERROR_CLASSES[code] || (code === 'error' ? BookingSystemError : BookingError);
+  const { code: originalCode, ...details } = error;
+  const typed = Object.assign(new ErrorClass(error.message, code), details);
+  typed.cause = error;
+  if (error.stack) {
+    typed.stack = error.stack.replace(/^\w*Error\b/, typed.name);
+  }
+  return typed;
+}
+
+module.exports = {
+  TRANSIENT_ERROR_TYPES,
+  EXIT_CODES,
+  ERROR_EXIT_CODES,
+  classifyError,
+  isTransientError,
+  withErrorCode,
+  getErrorCode,
+  exitCodeForError,
+  exitCodeForErrors,
+  describeError,
+  BookingSystemError,
+  ValidationError,
+  ConfigError,
+  PolicyError,
+  BookingError,
+  toTypedError
+};
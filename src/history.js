@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDataDir, ensureDir } = require('./store');
+const { log } = require('./utils');
+
+/**
+ * Path of the booking history ledger (one JSON object per line)
+ */
+function getHistoryPath(config) {
+  return path.join(getDataDir(config), 'history.jsonl');
+}
+
+/**
+ * Appends a booking attempt to the history ledger. Failing to write history never fails a booking.
+ */
+function recordAttempt(config, entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...(config.venue ? { venue: config.venue } : {}),
+    ...entry
+  };
+
+  try {
+    const historyPath = getHistoryPath(config);
+    ensureDir(path.dirname(historyPath));
+    fs.appendFileSync(historyPath, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    log(`Failed to record booking history: ${error.message}`, 'warn');
+  }
+
+  return record;
+}
+
+/**
+ * Reads history entries, optionally filtered by venue, profile, facility, booking date range and
+ * outcome. Entries recorded without a venue belong to the default venue.
+ */
+function readHistory(config, filters = {}) {
+  const historyPath = getHistoryPath(config);
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+
+  const { venue, profile, facility, from, to, outcome } = filters;
+
+  return fs.readFileSync(historyPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        log(`Skipping unreadable history line ${index + 1}`, 'warn');
+        return null;
+      }
+    })
+    .filter(entry => entry &&
+      (!venue || (entry.venue || config.defaultVenue) === venue) &&
+      (!profile || (entry.profile || '').toLowerCase() === profile.toLowerCase()) &&
+      (!facility || entry.facility === facility) &&
+      (!from || entry.date >= from) &&
+      (!to || entry.date <= to) &&
+      (!outcome || entry.outcome === outcome));
+}
+
+module.exports = {
+  getHistoryPath,
+  recordAttempt,
+  readHistory
+};
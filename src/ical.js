@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { getDataDir, ensureDir } = require('./store');
+const { getBufferMinutes } = require('./titles');
+const { log } = require('./utils');
+
+const PRODUCT_ID = '-//Parkhurst Community Booking System//EN';
+const UID_DOMAIN = 'parkhurst-community-booking-system';
+const DEFAULT_CALENDAR_NAME = 'Community Bookings';
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets per line, never splitting a UTF-8 character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Stable UID of a booking: the same venue, profile, facility, date and start time always give
+ * the same UID, so re-exported or re-imported events update instead of duplicating
+ */
+function getBookingUid(booking) {
+  const key = [
+    booking.venue || '',
+    (booking.profile || '').toLowerCase(),
+    booking.facility,
+    booking.date,
+    booking.startTime
+  ].join('|');
+  return `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}@${UID_DOMAIN}`;
+}
+
+/**
+ * Builds the VEVENT of a booking (a history entry or a booking result) in the venue timezone.
+ * The event spans the buffered times, like the booking title.
+ */
+function buildEvent(config, booking) {
+  const timezone = config.timezone || moment.tz.guess();
+  const facility = config.facilities[booking.facility] || {};
+  const facilityName = booking.facilityName || facility.name || booking.facility;
+  const bufferMinutes = getBufferMinutes(config, facility);
+  // Wall-clock arithmetic in UTC, so a buffer across midnight moves to the right day
+  const start = moment.utc(`${booking.date} ${booking.startTime}`, 'YYYY-MM-DD HH:mm').subtract(bufferMinutes, 'minutes');
+  const end = moment.utc(`${booking.date} ${booking.endTime}`, 'YYYY-MM-DD HH:mm').add(bufferMinutes, 'minutes');
+  const description = [
+    booking.title && `Booking title: ${booking.title}`,
+    `Booked: ${booking.startTime}-${booking.endTime}${bufferMinutes ? ` (${bufferMinutes} min buffer on each side)` : ''}`,
+    booking.profile && `Profile: ${booking.profile}`,
+    booking.bookingId && `Skedda booking: ${booking.bookingId}`
+  ].filter(Boolean).join('\n');
+
+  const uid = getBookingUid({ ...booking, venue: booking.venue || config.venue });
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${moment.utc(booking.timestamp || undefined).format('YYYYMMDD[T]HHmmss[Z]')}`,
+    `DTSTART;TZID=${timezone}:${start.format('YYYYMMDD[T]HHmmss')}`,
+    `DTEND;TZID=${timezone}:${end.format('YYYYMMDD[T]HHmmss')}`,
+    `SUMMARY:${escapeText(facilityName)}`,
+    `LOCATION:${escapeText(config.venue ? `${facilityName}, ${config.venue}` : facilityName)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(config.urls && config.urls.baseUrl ? [`URL:${config.urls.baseUrl}`] : []),
+    'STATUS:CONFIRMED',
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+
+  return { uid, timezone, date: start.format('YYYY-MM-DD'), lines };
+}
+
+/**
+ * Builds a VTIMEZONE with one observance per offset change between the given dates, plus the
+ * one in effect when they start, so calendar apps without the IANA database place events right
+ */
+function buildTimezone(timezone, fromDate, toDate) {
+  const zone = moment.tz.zone(timezone);
+  const rangeStart = moment.utc(fromDate).startOf('year').valueOf();
+  const rangeEnd = moment.utc(toDate).add(1, 'year').startOf('year').valueOf();
+
+  const changes = zone.untils.filter(until => Number.isFinite(until) && until < rangeEnd);
+  const firstInRange = changes.findIndex(until => until >= rangeStart);
+  const transitions = firstInRange === -1 ? changes.slice(-1) : changes.slice(Math.max(0, firstInRange - 1));
+
+  const observance = (instant, offsetFrom) => {
+    const at = moment.tz(instant, timezone);
+    const type = at.isDST() ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${type}`,
+      `DTSTART:${moment.utc(instant).add(offsetFrom, 'minutes').format('YYYYMMDD[T]HHmmss')}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(at.utcOffset())}`,
+      `TZNAME:${at.zoneAbbr()}`,
+      `END:${type}`
+    ];
+  };
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  if (transitions.length === 0) {
+    // A zone without offset changes, e.g. UTC
+    const at = moment.tz(rangeStart, timezone);
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(at.utcOffset())}`,
+      `TZOFFSETTO:${formatOffset(at.utcOffset())}`,
+      `TZNAME:${at.zoneAbbr()}`,
+      'END:STANDARD'
+    );
+  } else {
+    for (const instant of transitions) {
+      lines.push(...observance(instant, moment.tz(instant - 1, timezone).utcOffset()));
+    }
+  }
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+}
+
+/**
+ * Renders a calendar with the given events (from buildEvent or parseCalendarEvents)
+ */
+function renderCalendar(events, name = DEFAULT_CALENDAR_NAME) {
+  const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date) || a.uid.localeCompare(b.uid));
+  const timezones = new Map();
+  for (const event of sorted) {
+    const span = timezones.get(event.timezone) || { from: event.date, to: event.date };
+    span.from = event.date < span.from ? event.date : span.from;
+    span.to = event.date > span.to ? event.date : span.to;
+    timezones.set(event.timezone, span);
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...Array.from(timezones.entries()).flatMap(([timezone, span]) => buildTimezone(timezone, span.from, span.to)),
+    ...sorted.flatMap(event => event.lines),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Reads the events of a calendar file written by renderCalendar (unfolding continued lines);
+ * the VTIMEZONE blocks are dropped and rebuilt on render
+ */
+function parseCalendarEvents(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = { uid: null, timezone: 'UTC', date: '', lines: [] };
+    }
+    if (!current) {
+      continue;
+    }
+
+    current.lines.push(line);
+    const dtstart = /^DTSTART(?:;TZID=([^:]+))?:(\d{4})(\d{2})(\d{2})/.exec(line);
+    if (line.startsWith('UID:')) {
+      current.uid = line.slice(4);
+    } else if (dtstart) {
+      current.timezone = dtstart[1] || 'UTC';
+      current.date = `${dtstart[2]}-${dtstart[3]}-${dtstart[4]}`;
+    } else if (line === 'END:VEVENT') {
+      if (current.uid) {
+        events.push(current);
+      }
+      current = null;
+    }
+  }
+
+  return events;
+}
+
+function getCalendarSettings(config) {
+  return { enabled: true, name: DEFAULT_CALENDAR_NAME, ...(config.calendar || {}) };
+}
+
+/**
+ * Path of the per-booking .ics file written when no calendar file is configured
+ */
+function getBookingIcsPath(config, booking) {
+  const settings = getCalendarSettings(config);
+  const directory = settings.directory ? path.resolve(settings.directory) : path.join(getDataDir(config), 'calendar');
+  const venue = booking.venue || config.venue;
+  const name = `${venue ? `${venue}--` : ''}${booking.facility}-${booking.date}-${booking.startTime.replace(':', '')}.ics`;
+  return path.join(directory, name);
+}
+
+/**
+ * Writes a calendar with the given events to a file, creating its directory
+ */
+function writeCalendarFile(filePath, events, name) {
+  ensureDir(path.dirname(filePath));
+  fs.writeFileSync(filePath, renderCalendar(events, name));
+}
+
+/**
+ * Adds or removes events in a calendar file, matching them by UID
+ */
+function updateCalendarFile(filePath, name, { add = [], removeUids = [] }) {
+  const existing = fs.existsSync(filePath) ? parseCalendarEvents(fs.readFileSync(filePath, 'utf8')) : [];
+  const replaced = new Set([...removeUids, ...add.map(event => event.uid)]);
+  writeCalendarFile(filePath, [...existing.filter(event => !replaced.has(event.uid)), ...add], name);
+}
+
+/**
+ * Writes a successful booking to the calendar: merged into calendar.file when configured,
+ * otherwise as its own .ics file. Returns the path written, or null. Like history, a failure
+ * here never fails the booking.
+ */
+function writeBookingCalendar(config, booking) {
+  const settings = getCalendarSettings(config);
+  if (settings.enabled === false) {
+    return null;
+  }
+
+  try {
+    const event = buildEvent(config, booking);
+    if (settings.file) {
+      const filePath = path.resolve(settings.file);
+      updateCalendarFile(filePath, settings.name, { add: [event] });
+      return filePath;
+    }
+
+    const filePath = getBookingIcsPath(config, booking);
+    writeCalendarFile(filePath, [event], settings.name);
+    return filePath;
+  } catch (error) {
+    log(`Failed to write calendar event: ${error.message}`, 'warn');
+    return null;
+  }
+}
+
+/**
+ * Removes a cancelled booking from the calendar file, or deletes its own .ics file
+ */
+function removeBookingFromCalendar(config, booking) {
+  const settings = getCalendarSettings(config);
+  if (settings.enabled === false) {
+    return;
+  }
+
+  try {
+    if (settings.file) {
+      const filePath = path.resolve(settings.file);
+      if (fs.existsSync(filePath)) {
+        const uid = getBookingUid({ ...booking, venue: booking.venue || config.venue });
+        updateCalendarFile(filePath, settings.name, { removeUids: [uid] });
+      }
+      return;
+    }
+
+    const filePath = getBookingIcsPath(config, booking);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    log(`Failed to update calendar: ${error.message}`, 'warn');
+  }
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  getBookingUid,
+  buildEvent,
+  renderCalendar,
+  parseCalendarEvents,
+  writeCalendarFile,
+  getCalendarSettings,
+  writeBookingCalendar,
+  removeBookingFromCalendar
+};
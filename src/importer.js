@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { parseCsv } = require('./plan');
+const { isValidDate, isValidTime, isValidTimeRange, isValidBookingDate, getWindowOpeningTime, venueTime } = require('./utils');
+
+// Accepted CSV column spellings, compared case-insensitively with separators removed
+const CSV_COLUMNS = {
+  uid: ['uid', 'id'],
+  summary: ['summary', 'title', 'subject', 'name', 'event'],
+  location: ['location', 'court', 'field', 'place'],
+  facility: ['facility'],
+  date: ['date', 'startdate'],
+  startTime: ['starttime', 'start'],
+  endTime: ['endtime', 'end']
+};
+
+/**
+ * Undoes RFC 5545 TEXT escaping
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Splits an iCalendar content line into name, parameters and value
+ */
+function parseContentLine(line) {
+  const match = /^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+  if (!match) {
+    return null;
+  }
+
+  const params = {};
+  for (const [, key, value] of match[2].matchAll(/;([^:;=]+)=("[^"]*"|[^:;]*)/g)) {
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+/**
+ * Converts a DTSTART/DTEND property to a moment in the venue timezone: UTC values ("Z") and
+ * values with a TZID are converted, floating values are taken as venue time
+ */
+function parseIcsDateTime(property, timezone) {
+  if (property.params.VALUE === 'DATE' || /^\d{8}$/.test(property.value)) {
+    return { allDay: true };
+  }
+
+  const format = 'YYYYMMDD[T]HHmmss';
+  const value = property.value.replace(/Z$/, '');
+  let instant;
+  if (property.value.endsWith('Z')) {
+    instant = moment.utc(value, format, true);
+  } else if (property.params.TZID) {
+    if (!moment.tz.zone(property.params.TZID)) {
+      throw new Error(`unknown timezone ${property.params.TZID}`);
+    }
+    instant = moment.tz(value, format, true, property.params.TZID);
+  } else {
+    instant = timezone ? moment.tz(value, format, true, timezone) : moment(value, format, true);
+  }
+
+  if (!instant.isValid()) {
+    throw new Error(`invalid date-time ${property.value}`);
+  }
+  return { time: timezone ? instant.tz(timezone) : instant.local() };
+}
+
+/**
+ * Parses a DURATION value such as PT1H30M or P1D into minutes
+ */
+function parseIcsDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`invalid duration ${value}`);
+  }
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (Number(weeks || 0) * 7 * 24 + Number(days || 0) * 24 + Number(hours || 0)) * 60 + Number(minutes || 0);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Reads the VEVENTs of an iCalendar file as import events with the date and times in the
+ * venue timezone. Events that cannot become a booking carry a skip reason instead.
+ */
+function parseIcsEvents(text, timezone) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let properties = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      properties = {};
+    } else if (line === 'END:VEVENT' && properties) {
+      events.push(toImportEvent(properties, timezone));
+      properties = null;
+    } else if (properties) {
+      const property = parseContentLine(line);
+      // Nested components (VALARM) repeat property names; the event's own come first
+      if (property && !properties[property.name]) {
+        properties[property.name] = property;
+      }
+    }
+  }
+
+  return events;
+}
+
+function toImportEvent(properties, timezone) {
+  const text = name => (properties[name] ? unescapeText(properties[name].value).trim() : '');
+  const event = {
+    uid: text('UID') || null,
+    summary: text('SUMMARY'),
+    location: text('LOCATION'),
+    date: null,
+    startTime: null,
+    endTime: null,
+    skipReason: null
+  };
+
+  try {
+    if (!properties.DTSTART) {
+      throw new Error('no start time');
+    }
+    if (properties.STATUS && properties.STATUS.value.toUpperCase() === 'CANCELLED') {
+      throw new Error('cancelled in the calendar');
+    }
+    if (properties.RRULE) {
+      throw new Error('recurring events are not expanded; add a recurring rule to config instead');
+    }
+
+    const start = parseIcsDateTime(properties.DTSTART, timezone);
+    if (start.allDay) {
+      throw new Error('all-day event');
+    }
+
+    let end;
+    if (properties.DTEND) {
+      end = parseIcsDateTime(properties.DTEND, timezone).time;
+    } else if (properties.DURATION) {
+      end = start.time.clone().add(parseIcsDuration(properties.DURATION.value), 'minutes');
+    } else {
+      throw new Error('no end time or duration');
+    }
+
+    event.date = start.time.format('YYYY-MM-DD');
+    event.startTime = start.time.format('HH:mm');
+    event.endTime = end.format('HH:mm');
+    if (!end.isSame(start.time, 'day')) {
+      throw new Error('ends on another day');
+    }
+  } catch (error) {
+    event.skipReason = error.message;
+  }
+
+  return event;
+}
+
+/**
+ * Reads the rows of a CSV file as import events; dates and times are taken as venue time
+ */
+function parseCsvEvents(text) {
+  return parseCsv(text).map(row => {
+    const event = { uid: null, summary: '', location: '', facility: null, date: null, startTime: null, endTime: null, skipReason: null };
+
+    for (const [key, value] of Object.entries(row)) {
+      const normalizedKey = key.toLowerCase().replace(/[^a-z]/g, '');
+      const field = Object.keys(CSV_COLUMNS).find(name => CSV_COLUMNS[name].includes(normalizedKey));
+      if (field) {
+        event[field] = value;
+      }
+    }
+
+    return event;
+  });
+}
+
+/**
+ * Loads events to import from an iCalendar (.ics, .ical) or CSV file
+ */
+function loadImportEvents(filePath, timezone) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Import file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.ics' || extension === '.ical') {
+    if (!content.includes('BEGIN:VCALENDAR')) {
+      throw new Error(`${filePath} is not an iCalendar file`);
+    }
+    return parseIcsEvents(content, timezone);
+  }
+  if (extension === '.csv') {
+    return parseCsvEvents(content);
+  }
+  throw new Error(`Unsupported import format '${extension}'. Use .ics or .csv`);
+}
+
+/**
+ * Finds the facility for an event: the first config.import.rules entry whose location and/or
+ * summary patterns (case-insensitive regular expressions) all match, else the facility whose
+ * key or name the location matches
+ */
+function matchFacility(config, event) {
+  const rules = (config.import && config.import.rules) || [];
+  const matches = (pattern, value) => pattern === undefined || new RegExp(pattern, 'i').test(value || '');
+
+  const rule = rules.find(candidate => matches(candidate.location, event.location) && matches(candidate.summary, event.summary));
+  if (rule) {
+    return rule.facility;
+  }
+
+  const location = (event.location || '').trim().toLowerCase();
+  if (!location) {
+    return null;
+  }
+  const found = Object.entries(config.facilities).find(([key, facility]) =>
+    key.toLowerCase() === location || (facility.name || '').toLowerCase() === location);
+  return found ? found[0] : null;
+}
+
+/**
+ * Decides what to do with each event: book now (window open), queue for the scheduler
+ * (window not open yet) or skip (with the reason). options.facility maps every event to one
+ * facility; options.from/options.to limit the dates.
+ */
+function planImport(config, events, options = {}, now = moment()) {
+  const advanceDays = typeof config.defaults.bookInAdvanceDays === 'number' ? config.defaults.bookInAdvanceDays : 15;
+
+  return events.map(event => {
+    const row = { event, facility: null, date: event.date, startTime: event.startTime, endTime: event.endTime, action: 'skip', reason: null, opensAt: null };
+    const skip = reason => ({ ...row, reason });
+
+    if (event.skipReason) {
+      return skip(event.skipReason);
+    }
+    if (!isValidDate(event.date)) {
+      return skip(`invalid date '${event.date || ''}' (use YYYY-MM-DD)`);
+    }
+    if (!isValidTime(event.startTime) || !isValidTime(event.endTime)) {
+      return skip('invalid time (use HH:MM)');
+    }
+    if (!isValidTimeRange(event.startTime, event.endTime)) {
+      return skip('start time must be before end time');
+    }
+    if ((options.from && event.date < options.from) || (options.to && event.date > options.to)) {
+      return skip('outside --from/--to');
+    }
+    // Today's events that have already started are as past as yesterday's
+    if (!isValidBookingDate(event.date, config.timezone) || venueTime(event.date, event.startTime, config.timezone).isBefore(now)) {
+      return skip('in the past');
+    }
+
+    row.facility = options.facility || event.facility || matchFacility(config, event);
+    if (!row.facility) {
+      return skip(`no facility matches location '${event.location || ''}'`);
+    }
+    if (!config.facilities[row.facility]) {
+      return skip(`unknown facility '${row.facility}'`);
+    }
+
+    const opensAt = getWindowOpeningTime(event.date, advanceDays, config.defaults.windowOpensAt, config.timezone);
+    row.opensAt = opensAt.valueOf();
+    row.action = opensAt.isAfter(now) ? 'queue' : 'book';
+    return row;
+  });
+}
+
+/**
+ * Id under which an imported event is queued, so importing the same file twice queues it once
+ */
+function getImportId(row) {
+  const key = row.event.uid || `${row.event.summary}|${row.date}|${row.startTime}`;
+  return `import-${crypto.createHash('sha256').update(`${key}|${row.facility}`).digest('hex').slice(0, 12)}`;
+}
+
+module.exports = {
+  parseIcsEvents,
+  parseCsvEvents,
+  loadImportEvents,
+  matchFacility,
+  planImport,
+  getImportId
+};
@@ -0,0 +1,18 @@
+/**
+ * Library entry point: require('parkhurst-community-booking-system') from other Node code.
+ * The CLI in index.js is built on the same client.
+ */
+const { BookingClient, createClient, groupResultsByTarget } = require('./client');
+const { EXIT_CODES, BookingSystemError, ValidationError, ConfigError, PolicyError, BookingError } = require('./errors');
+
+module.exports = {
+  createClient,
+  BookingClient,
+  groupResultsByTarget,
+  BookingSystemError,
+  ValidationError,
+  ConfigError,
+  PolicyError,
+  BookingError,
+  EXIT_CODES
+};
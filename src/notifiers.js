@@ -0,0 +1,198 @@
+const http = require('http');
+const https = require('https');
+const { spawn } = require('child_process');
+const nodemailer = require('nodemailer');
+const { log } = require('./utils');
+const { classifyError } = require('./errors');
+
+/**
+ * Events a notifier can subscribe to; notifiers without an `events` list receive all of them.
+ * `notify-test` sends a `test` event, which every notifier receives.
+ */
+const NOTIFICATION_EVENTS = ['success', 'failure', 'retries_exhausted'];
+
+const NOTIFIER_TIMEOUT_MS = 30000;
+
+/**
+ * Builds the notification payload for a booking outcome. `booking` holds the facility key
+ * and name, date, times and title; `outcome` is the booking result or the error thrown.
+ */
+function buildPayload(event, config, booking, outcome = {}) {
+  const error = outcome instanceof Error ? outcome : null;
+
+  return {
+    event,
+    timestamp: new Date().toISOString(),
+    profile: config.credentials.email,
+    venue: config.venue || null,
+    facility: booking.facility || null,
+    facilityName: booking.facilityName,
+    date: booking.date,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    title: booking.title || null,
+    error: error ? error.message : null,
+    errorType: error ? classifyError(error) : null,
+    attempts: error ? error.attempts || null : null,
+    artifactsPath: outcome.artifactsPath || null
+  };
+}
+
+/**
+ * One-line human-readable summary of a payload, used as email subject
+ */
+function describePayload(payload) {
+  const slot = `${payload.facilityName} on ${payload.date} ${payload.startTime}-${payload.endTime}`;
+  switch (payload.event) {
+    case 'success':
+      return `✅ Booked ${slot}`;
+    case 'retries_exhausted':
+      return `⚠️ Gave up booking ${slot} after ${payload.attempts} attempt(s)`;
+    case 'test':
+      return `🔔 Test notification for ${slot}`;
+    default:
+      return `❌ Failed to book ${slot}`;
+  }
+}
+
+/**
+ * POSTs the payload as JSON to a webhook URL
+ */
+function sendWebhook(notifier, payload) {
+  const client = notifier.url.startsWith('https:') ? https : http;
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(notifier.url, {
+      method: 'POST',
+      timeout: NOTIFIER_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...(notifier.headers || {})
+      }
+    }, (response) => {
+      response.resume();
+      if (response.statusCode >= 400) {
+        reject(new Error(`Webhook responded with HTTP ${response.statusCode}`));
+        return;
+      }
+      resolve(`HTTP ${response.statusCode}`);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out posting to ${notifier.url}`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Sends the payload as a plain-text email over SMTP
+ */
+async function sendEmail(notifier, payload) {
+  const transport = nodemailer.createTransport({
+    host: notifier.host,
+    port: notifier.port || 587,
+    secure: Boolean(notifier.secure),
+    auth: notifier.user ? { user: notifier.user, pass: notifier.pass || process.env.SMTP_PASSWORD } : undefined,
+    connectionTimeout: NOTIFIER_TIMEOUT_MS
+  });
+
+  const lines = Object.entries(payload)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => `${key}: ${value}`);
+
+  const info = await transport.sendMail({
+    from: notifier.from,
+    to: notifier.to,
+    subject: describePayload(payload),
+    text: `${lines.join('\n')}\n`
+  });
+
+  return info.messageId ? `sent ${info.messageId}` : 'sent';
+}
+
+/**
+ * Runs a local command with the payload as JSON on stdin and as BOOKING_* environment variables
+ */
+function runCommand(notifier, payload) {
+  const env = { ...process.env };
+  for (const [key, value] of Object.entries(payload)) {
+    env[`BOOKING_${key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`] = value === null ? '' : String(value);
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(notifier.command, { shell: true, env, stdio: ['pipe', 'ignore', 'inherit'], timeout: NOTIFIER_TIMEOUT_MS });
+
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve('exit 0');
+      } else {
+        reject(new Error(signal ? `Command killed by ${signal}` : `Command exited with code ${code}`));
+      }
+    });
+    child.stdin.on('error', () => {}); // The command may exit without reading its input
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+const SENDERS = {
+  webhook: sendWebhook,
+  email: sendEmail,
+  command: runCommand
+};
+
+/**
+ * Sends a payload to every configured notifier subscribed to its event. A failing
+ * notifier is logged and reported in the results but never fails the booking.
+ */
+async function notify(config, payload) {
+  const notifiers = config.notifiers || [];
+  const results = [];
+
+  for (const [index, notifier] of notifiers.entries()) {
+    const name = notifier.name || `${notifier.type} #${index + 1}`;
+    if (payload.event !== 'test' && notifier.events && !notifier.events.includes(payload.event)) {
+      continue;
+    }
+
+    try {
+      const detail = await SENDERS[notifier.type](notifier, payload);
+      log(`Notified ${name} (${payload.event}): ${detail}`);
+      results.push({ name, type: notifier.type, success: true, detail });
+    } catch (error) {
+      log(`Notifier ${name} failed: ${error.message}`, 'warn');
+      results.push({ name, type: notifier.type, success: false, error });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Checks that each notifier has the settings its type needs
+ */
+function validateNotifiers(config) {
+  (config.notifiers || []).forEach((notifier, index) => {
+    const label = notifier.name || `#${index + 1}`;
+
+    if (notifier.type === 'webhook' && !notifier.url) {
+      throw new Error(`Webhook notifier ${label} needs a url`);
+    }
+    if (notifier.type === 'email' && (!notifier.host || !notifier.from || !notifier.to)) {
+      throw new Error(`Email notifier ${label} needs host, from and to`);
+    }
+    if (notifier.type === 'command' && !notifier.command) {
+      throw new Error(`Command notifier ${label} needs a command`);
+    }
+  });
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  buildPayload,
+  describePayload,
+  notify,
+  validateNotifiers
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Accepted column/key spellings for each plan field, compared case-insensitively
+// with separators removed (so "start_time", "Start Time" and "startTime" all match)
+const FIELD_ALIASES = {
+  facility: ['facility'],
+  date: ['date'],
+  bookInAdvance: ['bookinadvance', 'advancedays', 'daysinadvance'],
+  startTime: ['starttime', 'start'],
+  endTime: ['endtime', 'end'],
+  profile: ['profile'],
+  venue: ['venue'],
+  title: ['title'],
+  signature: ['signature']
+};
+
+/**
+ * Splits a single CSV line into fields, honouring double-quoted values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Parses CSV text with a header row into an array of objects
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return headers.reduce((row, header, index) => {
+      if (values[index] !== undefined && values[index] !== '') {
+        row[header] = values[index];
+      }
+      return row;
+    }, {});
+  });
+}
+
+/**
+ * Maps a raw plan entry onto the booking option names used by the book command
+ */
+function normalizePlanEntry(raw) {
+  const entry = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    const normalizedKey = key.toLowerCase().replace(/[^a-z]/g, '');
+    const field = Object.keys(FIELD_ALIASES).find(name => FIELD_ALIASES[name].includes(normalizedKey));
+    if (field && value !== null && value !== undefined && value !== '') {
+      entry[field] = typeof value === 'string' ? value : String(value);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Loads a booking plan from a JSON, YAML or CSV file
+ */
+function loadPlan(planPath) {
+  if (!fs.existsSync(planPath)) {
+    throw new Error(`Plan file not found: ${planPath}`);
+  }
+
+  const content = fs.readFileSync(planPath, 'utf8');
+  const extension = path.extname(planPath).toLowerCase();
+  let entries;
+
+  try {
+    if (extension === '.csv') {
+      entries = parseCsv(content);
+    } else if (extension === '.yaml' || extension === '.yml') {
+      // The core schema keeps unquoted dates such as 2025-06-16 as strings instead of Date objects
+      entries = yaml.load(content, { schema: yaml.CORE_SCHEMA });
+    } else if (extension === '.json') {
+      entries = JSON.parse(content);
+    } else {
+      throw new Error(`Unsupported plan format '${extension}'. Use .json, .yaml, .yml or .csv`);
+    }
+  } catch (error) {
+    throw new Error(`Failed to parse plan file: ${error.message}`);
+  }
+
+  // Allow either a bare list or an object with a "bookings" list
+  if (entries && !Array.isArray(entries) && Array.isArray(entries.bookings)) {
+    entries = entries.bookings;
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Plan file must contain a non-empty list of bookings');
+  }
+
+  return entries.map(normalizePlanEntry);
+}
+
+module.exports = {
+  loadPlan,
+  parseCsv,
+  normalizePlanEntry
+};
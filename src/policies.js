@@ -0,0 +1,149 @@
+const moment = require('moment');
+const { timeToMinutes, parseWeekday } = require('./utils');
+
+/**
+ * Resolves the household a profile email belongs to; profiles not listed in
+ * policies.households form a household of their own
+ */
+function getHousehold(policies, email) {
+  const normalized = (email || '').toLowerCase();
+  const households = (policies && policies.households) || {};
+
+  for (const [name, members] of Object.entries(households)) {
+    if (members.some(member => member.toLowerCase() === normalized)) {
+      return name;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Returns the bookings from the history ledger that are still active: successful
+ * attempts that have not been cancelled afterwards
+ */
+function getActiveBookings(history) {
+  const keyOf = entry => `${(entry.profile || '').toLowerCase()}|${entry.facility}|${entry.date}|${entry.startTime}`;
+  const active = new Map();
+
+  for (const entry of history) {
+    if (entry.outcome === 'success') {
+      active.set(keyOf(entry), entry);
+    } else if (entry.outcome === 'cancelled') {
+      active.delete(keyOf(entry));
+    }
+  }
+
+  return Array.from(active.values());
+}
+
+/**
+ * Whether a booking on a date overlaps the configured peak window
+ */
+function isPeakBooking(peakHours, booking) {
+  if (!peakHours) {
+    return false;
+  }
+
+  if (Array.isArray(peakHours.days) && peakHours.days.length > 0) {
+    const weekday = moment(booking.date, 'YYYY-MM-DD').day();
+    if (!peakHours.days.some(day => parseWeekday(day) === weekday)) {
+      return false;
+    }
+  }
+
+  return timeToMinutes(booking.startTime) < timeToMinutes(peakHours.end) &&
+    timeToMinutes(booking.endTime) > timeToMinutes(peakHours.start);
+}
+
+/**
+ * Checks a booking request against config.policies before any browser is launched.
+ *
+ * `request` is { profile, facility (key), date, startTime, endTime }. `history` is the booking
+ * ledger and `pending` holds other requests from the same run (e.g. earlier plan rows), which
+ * count towards the limits as if they were already booked. Returns a list of violation messages.
+ */
+function checkBookingPolicies(config, request, { history = [], pending = [] } = {}) {
+  const policies = config.policies;
+  if (!policies) {
+    return [];
+  }
+
+  const violations = [];
+  const start = timeToMinutes(request.startTime);
+  const end = timeToMinutes(request.endTime);
+  const duration = end - start;
+
+  if (typeof policies.maxMinutesPerBooking === 'number' && duration > policies.maxMinutesPerBooking) {
+    violations.push(`Booking is ${duration} minutes long; the maximum is ${policies.maxMinutesPerBooking} minutes`);
+  }
+
+  const facilityRules = (policies.facilities && policies.facilities[request.facility]) || {};
+  if (facilityRules.openTime && start < timeToMinutes(facilityRules.openTime)) {
+    violations.push(`${request.facility} opens at ${facilityRules.openTime}`);
+  }
+  if (facilityRules.closeTime && end > timeToMinutes(facilityRules.closeTime)) {
+    violations.push(`${request.facility} closes at ${facilityRules.closeTime}`);
+  }
+  if (typeof facilityRules.slotMinutes === 'number' && facilityRules.slotMinutes > 0) {
+    const origin = facilityRules.openTime ? timeToMinutes(facilityRules.openTime) : 0;
+    if ((start - origin) % facilityRules.slotMinutes !== 0 || (end - origin) % facilityRules.slotMinutes !== 0) {
+      violations.push(`${request.facility} must be booked in ${facilityRules.slotMinutes}-minute slots${facilityRules.openTime ? ` starting from ${facilityRules.openTime}` : ''}`);
+    }
+  }
+
+  const household = getHousehold(policies, request.profile);
+  const householdBookings = [...getActiveBookings(history), ...pending]
+    .filter(booking => getHousehold(policies, booking.profile) === household);
+
+  const week = moment(request.date, 'YYYY-MM-DD');
+  const sameWeek = householdBookings.filter(booking => moment(booking.date, 'YYYY-MM-DD').isSame(week, 'isoWeek'));
+
+  if (typeof policies.maxBookingsPerWeek === 'number' && sameWeek.length >= policies.maxBookingsPerWeek) {
+    violations.push(`Household '${household}' already has ${sameWeek.length} booking(s) in the week of ${week.clone().startOf('isoWeek').format('YYYY-MM-DD')}; the maximum is ${policies.maxBookingsPerWeek}`);
+  }
+
+  if (policies.noBackToBack) {
+    const adjacent = householdBookings.find(booking =>
+      booking.facility === request.facility &&
+      booking.date === request.date &&
+      (booking.endTime === request.startTime || booking.startTime === request.endTime));
+    if (adjacent) {
+      violations.push(`Back-to-back booking with ${adjacent.startTime}-${adjacent.endTime} on ${adjacent.date} is not allowed`);
+    }
+  }
+
+  const peakHours = policies.peakHours;
+  if (peakHours && typeof peakHours.maxPerWeek === 'number' && isPeakBooking(peakHours, request)) {
+    const peakCount = sameWeek.filter(booking => isPeakBooking(peakHours, booking)).length;
+    if (peakCount >= peakHours.maxPerWeek) {
+      violations.push(`Household '${household}' already has ${peakCount} peak-hour booking(s) (${peakHours.start}-${peakHours.end}) this week; the maximum is ${peakHours.maxPerWeek}`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Finds a booking of the same household as `request` that overlaps it on the same facility
+ * and date, i.e. one that would make the household hold the slot twice. Returns null if none.
+ */
+function findDoubleBooking(policies, request, bookings) {
+  const household = getHousehold(policies, request.profile);
+  const start = timeToMinutes(request.startTime);
+  const end = timeToMinutes(request.endTime);
+
+  return bookings.find(booking =>
+    booking.facility === request.facility &&
+    booking.date === request.date &&
+    getHousehold(policies, booking.profile) === household &&
+    timeToMinutes(booking.startTime) < end &&
+    timeToMinutes(booking.endTime) > start) || null;
+}
+
+module.exports = {
+  getHousehold,
+  getActiveBookings,
+  checkBookingPolicies,
+  findDoubleBooking
+};
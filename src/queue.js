@@ -0,0 +1,220 @@
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./utils');
+const { classifyError, withErrorCode } = require('./errors');
+const { getDataDir, readJson, writeJsonAtomic } = require('./store');
+
+// Finished jobs older than this are dropped from the queue file
+const JOB_RETENTION_DAYS = 30;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Persistent queue of booking jobs submitted through the HTTP API. Jobs are written to
+ * data/jobs.json after every change, so queued jobs survive a restart. At most
+ * `perProfileConcurrency` jobs run at once for the same profile (so one account never
+ * logs in twice in parallel) and at most `maxConcurrency` run overall.
+ */
+class JobQueue {
+  constructor(config, options) {
+    const api = config.api || {};
+    const {
+      runJob,
+      statePath = path.join(getDataDir(config), 'jobs.json'),
+      perProfileConcurrency = api.perProfileConcurrency ?? 1,
+      maxConcurrency = api.maxConcurrentJobs ?? 2
+    } = options;
+
+    this.runJob = runJob;
+    this.statePath = statePath;
+    this.perProfileConcurrency = perProfileConcurrency;
+    this.maxConcurrency = maxConcurrency;
+    this.running = new Map();
+    this.stopped = false;
+    this.state = readJson(this.statePath, { jobs: {} });
+  }
+
+  saveState() {
+    writeJsonAtomic(this.statePath, this.state);
+  }
+
+  updateJob(id, changes) {
+    this.state.jobs[id] = { ...this.state.jobs[id], ...changes, updatedAt: new Date().toISOString() };
+    this.saveState();
+    return this.state.jobs[id];
+  }
+
+  /**
+   * Marks jobs left "running" by a previous process as interrupted. Whether the booking went
+   * through is unknown, so they are not retried automatically to avoid double booking.
+   */
+  recoverInterruptedJobs() {
+    for (const [id, job] of Object.entries(this.state.jobs)) {
+      if (job.status === 'running') {
+        log(`Job ${id} was interrupted by a previous shutdown; check it manually, it will not be retried`, 'warn');
+        this.updateJob(id, { status: 'interrupted', finishedAt: new Date().toISOString() });
+      }
+    }
+  }
+
+  /**
+   * Drops finished jobs created well in the past so the queue file does not grow forever
+   */
+  pruneState(now = Date.now()) {
+    const cutoff = now - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let pruned = false;
+
+    for (const [id, job] of Object.entries(this.state.jobs)) {
+      if (!ACTIVE_STATUSES.includes(job.status) && Date.parse(job.createdAt) < cutoff) {
+        delete this.state.jobs[id];
+        pruned = true;
+      }
+    }
+
+    if (pruned) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Adds a validated booking request to the queue and starts it if a slot is free
+   */
+  enqueue(profile, request) {
+    const id = crypto.randomUUID();
+    const job = this.updateJob(id, {
+      id,
+      status: 'queued',
+      profile,
+      request,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      errorType: null
+    });
+
+    log(`Queued job ${id} for ${profile}`);
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Validates a POST /jobs body with the library client, the same way the book command validates
+   * its options, and queues it. Queued and running jobs count towards the household limits as if
+   * they were booked; dry runs skip the policies. Throws the client's typed errors.
+   */
+  submit(body, client) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw withErrorCode(new Error('Request body must be a JSON object'), 'invalid_input');
+    }
+
+    const pending = this.activeJobs()
+      .filter(job => !job.request.dryRun)
+      .map(job => ({ ...job.request, profile: job.profile }));
+    const booking = client.validateBooking({
+      facility: body.facility,
+      date: body.date,
+      bookInAdvance: body.bookInAdvance === undefined || body.bookInAdvance === true ? body.bookInAdvance : String(body.bookInAdvance),
+      startTime: body.startTime,
+      endTime: body.endTime,
+      profile: body.profile,
+      venue: body.venue
+    }, { pending, checkPolicies: !body.dryRun });
+
+    return this.enqueue(booking.profile, {
+      facility: booking.facility,
+      date: booking.date,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      profile: body.profile || null,
+      venue: booking.venue,
+      title: body.title || null,
+      signature: body.signature || null,
+      dryRun: Boolean(body.dryRun)
+    });
+  }
+
+  get(id) {
+    return this.state.jobs[id] || null;
+  }
+
+  /**
+   * Lists jobs, newest first
+   */
+  list() {
+    return Object.values(this.state.jobs).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Jobs that are queued or running, for counting them towards booking policies
+   */
+  activeJobs() {
+    return this.list().filter(job => ACTIVE_STATUSES.includes(job.status));
+  }
+
+  /**
+   * Starts queued jobs, oldest first, as far as the concurrency limits allow
+   */
+  pump() {
+    if (this.stopped) {
+      return;
+    }
+
+    // Jobs are stored in submission order
+    const queued = Object.values(this.state.jobs).filter(job => job.status === 'queued');
+
+    for (const job of queued) {
+      if (this.running.size >= this.maxConcurrency) {
+        break;
+      }
+
+      const profileRunning = Array.from(this.running.keys())
+        .filter(id => this.state.jobs[id].profile === job.profile).length;
+      if (profileRunning >= this.perProfileConcurrency) {
+        continue;
+      }
+
+      this.running.set(job.id, this.execute(job.id));
+    }
+  }
+
+  async execute(id) {
+    const job = this.updateJob(id, { status: 'running', startedAt: new Date().toISOString() });
+    log(`Starting job ${id} (${job.request.facility} ${job.request.date} ${job.request.startTime}-${job.request.endTime}) for ${job.profile}`);
+
+    try {
+      const result = await this.runJob(job);
+      this.updateJob(id, { status: 'succeeded', result, finishedAt: new Date().toISOString() });
+      log(`Job ${id} succeeded`);
+    } catch (error) {
+      this.updateJob(id, {
+        status: 'failed',
+        error: error.message,
+        errorType: classifyError(error),
+        result: error.artifactsPath ? { artifactsPath: error.artifactsPath } : null,
+        finishedAt: new Date().toISOString()
+      });
+      log(`Job ${id} failed: ${error.message}`, 'error');
+    } finally {
+      this.running.delete(id);
+      this.pump();
+    }
+  }
+
+  start() {
+    this.recoverInterruptedJobs();
+    this.pruneState();
+    this.pump();
+  }
+
+  /**
+   * Stops starting new jobs and waits for running ones; queued jobs stay queued for the next start
+   */
+  async stop() {
+    this.stopped = true;
+    await Promise.all(this.running.values());
+  }
+}
+
+module.exports = JobQueue;
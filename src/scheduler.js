@@ -0,0 +1,295 @@
+const path = require('path');
+const moment = require('moment');
+const { getWindowOpeningTime, venueTime, toVenueTime, venueToday, parseWeekday, log } = require('./utils');
+const { getDataDir, readJson, writeJsonAtomic } = require('./store');
+
+// Jobs older than this are dropped from the state file
+const STATE_RETENTION_DAYS = 30;
+
+/**
+ * Lists the dates (YYYY-MM-DD) between fromDate and toDate inclusive on which a rule occurs
+ */
+function expandOccurrences(rule, fromDate, toDate) {
+  const weekdays = rule.days.map(parseWeekday);
+  const dates = [];
+
+  for (const day = moment(fromDate, 'YYYY-MM-DD'); day.isSameOrBefore(toDate, 'day'); day.add(1, 'day')) {
+    if (weekdays.includes(day.day())) {
+      dates.push(day.format('YYYY-MM-DD'));
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Path of a scheduler file (state or queued bookings); venues other than the default keep
+ * their own copy, since each venue runs its own scheduler
+ */
+function getSchedulerFilePath(config, baseName) {
+  const suffix = config.venue && config.venue !== config.defaultVenue ? `-${config.venue}` : '';
+  return path.join(getDataDir(config), `${baseName}${suffix}.json`);
+}
+
+/**
+ * Reads the one-off bookings queued for the scheduler (e.g. by import)
+ */
+function readQueuedBookings(config) {
+  return readJson(getSchedulerFilePath(config, 'scheduled-bookings'), { bookings: [] }).bookings;
+}
+
+/**
+ * Queues one-off bookings ({ id, facility, date, startTime, endTime, profile, title, signature })
+ * for the scheduler to book when their windows open. A booking with an id that is already
+ * queued replaces it; bookings whose date has passed are dropped. Returns the number queued.
+ */
+function queueBookings(config, bookings) {
+  const today = venueToday(config.timezone);
+  const ids = new Set(bookings.map(booking => booking.id));
+  const kept = readQueuedBookings(config).filter(booking => !ids.has(booking.id) && booking.date >= today);
+  const addedAt = new Date().toISOString();
+
+  writeJsonAtomic(getSchedulerFilePath(config, 'scheduled-bookings'), {
+    bookings: [...kept, ...bookings.map(booking => ({ ...booking, addedAt }))]
+  });
+  return bookings.length;
+}
+
+/**
+ * Long-running scheduler that books each occurrence of the configured recurring rules, and
+ * each queued one-off booking, as soon as its booking window opens. Job state is persisted after every change so a restart
+ * never books an occurrence twice or forgets one whose window opened while it was down.
+ */
+class Scheduler {
+  constructor(config, options) {
+    const {
+      runJob,
+      statePath = getSchedulerFilePath(config, 'scheduler-state'),
+      bookingsPath = getSchedulerFilePath(config, 'scheduled-bookings'),
+      pollIntervalMs = 30000,
+      leadTimeMs = (config.defaults.schedulerLeadSeconds ?? 120) * 1000,
+      concurrency = config.defaults.maxParallelBookings || 3
+    } = options;
+
+    this.config = config;
+    this.runJob = runJob;
+    this.statePath = statePath;
+    this.bookingsPath = bookingsPath;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leadTimeMs = leadTimeMs;
+    this.advanceDays = typeof config.defaults.bookInAdvanceDays === 'number' ? config.defaults.bookInAdvanceDays : 15;
+    this.running = new Map();
+    // Jobs whose windows open together are held side by side so each is submitted at the
+    // opening, but at most `concurrency` run at once so a backlog after downtime doesn't
+    // launch a browser per job
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+    this.stopped = false;
+    this.state = readJson(this.statePath, { jobs: {} });
+  }
+
+  saveState() {
+    writeJsonAtomic(this.statePath, this.state);
+  }
+
+  updateJob(id, changes) {
+    this.state.jobs[id] = { ...this.state.jobs[id], ...changes, updatedAt: new Date().toISOString() };
+    this.saveState();
+  }
+
+  /**
+   * Marks jobs left "running" by a previous process as interrupted. Whether the booking went
+   * through is unknown, so they are not retried automatically to avoid double booking.
+   */
+  recoverInterruptedJobs() {
+    for (const [id, job] of Object.entries(this.state.jobs)) {
+      if (job.status === 'running') {
+        log(`Job ${id} was interrupted by a previous shutdown; check it manually, it will not be retried`, 'warn');
+        this.updateJob(id, { status: 'interrupted' });
+      }
+    }
+  }
+
+  /**
+   * Drops finished jobs for dates well in the past so the state file does not grow forever
+   */
+  pruneState(now = moment()) {
+    const cutoff = now.clone().subtract(STATE_RETENTION_DAYS, 'days').format('YYYY-MM-DD');
+    let pruned = false;
+
+    for (const [id, job] of Object.entries(this.state.jobs)) {
+      if (job.date < cutoff) {
+        delete this.state.jobs[id];
+        pruned = true;
+      }
+    }
+
+    if (pruned) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Lists the upcoming occurrences of every rule and the queued one-off bookings, along with
+   * when they become bookable. A queued booking is a rule for a single date, re-read on every
+   * call so bookings queued while the scheduler runs are picked up.
+   */
+  listJobs(now = moment()) {
+    // Occurrence dates and times are the venue's, whatever the host timezone
+    const timezone = this.config.timezone;
+    const today = (timezone ? now.clone().tz(timezone) : now.clone()).startOf('day');
+    // One extra day covers windows opening shortly after midnight within the lead time
+    const horizon = today.clone().add(this.advanceDays + 1, 'days');
+    const occurrences = [];
+
+    for (const rule of this.config.recurring || []) {
+      for (const date of expandOccurrences(rule, today.format('YYYY-MM-DD'), horizon.format('YYYY-MM-DD'))) {
+        occurrences.push({ rule, date });
+      }
+    }
+    for (const booking of readJson(this.bookingsPath, { bookings: [] }).bookings) {
+      occurrences.push({ rule: booking, date: booking.date });
+    }
+
+    const jobs = [];
+    for (const { rule, date } of occurrences) {
+      const startsAt = venueTime(date, rule.startTime, timezone);
+      if (startsAt.isBefore(now)) {
+        continue;
+      }
+
+      const id = `${rule.id}@${date}`;
+      jobs.push({
+        id,
+        rule,
+        date,
+        opensAt: getWindowOpeningTime(date, this.advanceDays, this.config.defaults.windowOpensAt, timezone).valueOf(),
+        status: (this.state.jobs[id] && this.state.jobs[id].status) || 'pending'
+      });
+    }
+
+    return jobs.sort((a, b) => a.opensAt - b.opensAt);
+  }
+
+  /**
+   * Starts every pending job whose window opens within the lead time (or is already open)
+   */
+  tick(now = moment()) {
+    const started = [];
+
+    for (const job of this.listJobs(now)) {
+      if (job.status !== 'pending' || this.running.has(job.id)) {
+        continue;
+      }
+
+      if (now.valueOf() >= job.opensAt - this.leadTimeMs) {
+        this.running.set(job.id, new Promise(resolve => this.waiting.push({ job, resolve })));
+        started.push(job);
+      }
+    }
+
+    this.startWaitingJobs();
+    return started;
+  }
+
+  /**
+   * Runs waiting jobs, earliest window first, while fewer than the concurrency limit are running
+   */
+  startWaitingJobs() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const { job, resolve } = this.waiting.shift();
+      this.active++;
+      this.execute(job).finally(() => {
+        this.active--;
+        resolve();
+        this.startWaitingJobs();
+      });
+    }
+  }
+
+  async execute(job) {
+    if (this.stopped) {
+      // Leave queued jobs pending so the next run picks them up
+      this.running.delete(job.id);
+      return;
+    }
+
+    // Windows opening in the future are sniped at the exact instant; already open ones book straight away
+    const submitAt = job.opensAt > Date.now() ? job.opensAt : null;
+    log(`Starting job ${job.id} (${job.rule.facility} ${job.rule.startTime}-${job.rule.endTime}), window opens ${toVenueTime(job.opensAt, this.config.timezone).format('YYYY-MM-DD HH:mm:ss')}`);
+
+    this.updateJob(job.id, { status: 'running', ruleId: job.rule.id, date: job.date, startedAt: new Date().toISOString() });
+
+    try {
+      await this.runJob(job, submitAt);
+      this.updateJob(job.id, { status: 'booked', finishedAt: new Date().toISOString() });
+      log(`Job ${job.id} booked successfully`);
+    } catch (error) {
+      this.updateJob(job.id, {
+        status: 'failed',
+        error: error.message,
+        errorType: error.errorType || null,
+        finishedAt: new Date().toISOString()
+      });
+      log(`Job ${job.id} failed: ${error.message}`, 'error');
+    } finally {
+      this.running.delete(job.id);
+    }
+  }
+
+  /**
+   * Milliseconds until the next pending job is due to start, capped at the poll interval
+   */
+  msUntilNextJob(now = moment()) {
+    const next = this.listJobs(now).find(job => job.status === 'pending' && !this.running.has(job.id));
+    if (!next) {
+      return this.pollIntervalMs;
+    }
+    return Math.max(0, Math.min(this.pollIntervalMs, next.opensAt - this.leadTimeMs - now.valueOf()));
+  }
+
+  async run() {
+    this.recoverInterruptedJobs();
+    this.pruneState();
+    log(`Scheduler started with ${(this.config.recurring || []).length} recurring rule(s) and ${readJson(this.bookingsPath, { bookings: [] }).bookings.length} queued booking(s)`);
+
+    while (!this.stopped) {
+      this.tick();
+      await this.sleep(Math.max(this.msUntilNextJob(), 1000));
+    }
+
+    await Promise.all(this.running.values());
+    log('Scheduler stopped');
+  }
+
+  /**
+   * Waits until the next tick is due, or until stop() is called
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+      const timer = setTimeout(this.wakeUp, ms);
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+}
+
+module.exports = {
+  Scheduler,
+  getSchedulerFilePath,
+  readQueuedBookings,
+  queueBookings,
+  expandOccurrences,
+  parseWeekday
+};
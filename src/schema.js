@@ -0,0 +1,271 @@
+const CONFIG_SCHEMA = require('../config/config.schema.json');
+const { isValidTime, isValidClockTime, parseWeekday } = require('./utils');
+
+/**
+ * Version of the config shape this code reads. Configs without schemaVersion are version 1.
+ */
+const CONFIG_SCHEMA_VERSION = CONFIG_SCHEMA.properties.schemaVersion.const;
+
+// Checks for the "format" keyword, with the message shown when a value fails
+const FORMATS = {
+  email: { check: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), message: 'must be an email address' },
+  url: { check: value => /^https?:\/\/\S+$/.test(value), message: 'must be an http(s) URL' },
+  time: { check: isValidTime, message: 'must be a time in HH:MM format' },
+  'clock-time': { check: isValidClockTime, message: 'must be a time in HH:MM:SS format' },
+  weekday: { check: value => parseWeekday(value) !== -1, message: 'must be a weekday name (e.g. "Tue" or "Tuesday")' },
+  timezone: { check: isKnownTimezone, message: 'must be an IANA timezone name such as America/Los_Angeles' }
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+/**
+ * Whether a timezone name is known to the runtime
+ */
+function isKnownTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local schema references are supported, not ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Checks a value against a JSON Schema (the subset the config schema uses: type, const, enum,
+ * required, properties, additionalProperties, minProperties, propertyNames, items, minItems, minLength,
+ * pattern, minimum, maximum, format and local $ref). Returns every problem found, each with
+ * the path of the offending value (e.g. config.facilities.tennis_lower.spaceId).
+ */
+function checkSchema(value, schema = CONFIG_SCHEMA, at = 'config', root = schema) {
+  if (schema.$ref) {
+    return checkSchema(value, resolveRef(root, schema.$ref), at, root);
+  }
+
+  const problems = [];
+  const add = message => problems.push({ path: at, message });
+
+  if (schema.const !== undefined && value !== schema.const) {
+    add(`must be ${JSON.stringify(schema.const)}`);
+    return problems;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    add(`must be one of: ${schema.enum.join(', ')}`);
+    return problems;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      add(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+      return problems;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      add(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      add(`must match ${schema.pattern}`);
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].check(value)) {
+      add(FORMATS[schema.format].message);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      add(`must be at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      add(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add(`must list at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...checkSchema(item, schema.items, `${at}[${index}]`, root)));
+    }
+  } else if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        problems.push({ path: `${at}.${key}`, message: 'is required' });
+      }
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      add('must not be empty');
+    }
+    if (schema.propertyNames) {
+      for (const key of Object.keys(value)) {
+        problems.push(...checkSchema(key, schema.propertyNames, `${at}.${key}`, root)
+          .map(problem => ({ ...problem, message: `name ${problem.message}` })));
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (childSchema === false) {
+        problems.push({ path: `${at}.${key}`, message: 'is not a known setting' });
+      } else if (isPlainObject(childSchema) && child !== undefined) {
+        problems.push(...checkSchema(child, childSchema, `${at}.${key}`, root));
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Formats a problem from checkSchema as one line
+ */
+function formatProblem(problem) {
+  return `${problem.path} ${problem.message}`;
+}
+
+/**
+ * Schema version of a config object (1 when it has no schemaVersion)
+ */
+function getConfigSchemaVersion(config) {
+  if (config.schemaVersion === undefined) {
+    return 1;
+  }
+  if (!Number.isInteger(config.schemaVersion) || config.schemaVersion < 1) {
+    throw new Error('config.schemaVersion must be a whole number');
+  }
+  return config.schemaVersion;
+}
+
+/**
+ * Blocks of settings that can appear at the top level and in each venue
+ */
+function settingsBlocks(config) {
+  const venues = isPlainObject(config.venues) ? Object.entries(config.venues) : [];
+  return [
+    ['config', config],
+    ...venues.filter(([, venue]) => isPlainObject(venue)).map(([name, venue]) => [`config.venues.${name}`, venue])
+  ];
+}
+
+/**
+ * Upgrades from one schema version to the next. Each migration edits the config in place and
+ * reports every value it changes through note(path, before, after).
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Numbers, booleans and space ids written as strings get their proper types; windowOpensAt gets seconds',
+    migrate(config, note) {
+      const toNumber = (object, key, at) => {
+        if (typeof object[key] === 'string' && /^\d+(\.\d+)?$/.test(object[key].trim())) {
+          note(`${at}.${key}`, object[key], Number(object[key]));
+          object[key] = Number(object[key]);
+        }
+      };
+      const toBoolean = (object, key, at) => {
+        if (typeof object[key] === 'string' && /^(true|false)$/i.test(object[key].trim())) {
+          note(`${at}.${key}`, object[key], object[key].trim().toLowerCase() === 'true');
+          object[key] = object[key].trim().toLowerCase() === 'true';
+        }
+      };
+
+      for (const [at, settings] of settingsBlocks(config)) {
+        const defaults = settings.defaults;
+        if (isPlainObject(defaults)) {
+          ['bufferMinutes', 'bookInAdvanceDays', 'schedulerLeadSeconds', 'timeout'].forEach(key => toNumber(defaults, key, `${at}.defaults`));
+          ['headless', 'captureArtifacts', 'trace', 'persistSessions'].forEach(key => toBoolean(defaults, key, `${at}.defaults`));
+          if (isPlainObject(defaults.retry)) {
+            Object.keys(defaults.retry).forEach(key => toNumber(defaults.retry, key, `${at}.defaults.retry`));
+          }
+          if (typeof defaults.windowOpensAt === 'string' && isValidTime(defaults.windowOpensAt)) {
+            note(`${at}.defaults.windowOpensAt`, defaults.windowOpensAt, `${defaults.windowOpensAt}:00`);
+            defaults.windowOpensAt = `${defaults.windowOpensAt}:00`;
+          }
+        }
+
+        for (const [key, facility] of Object.entries(isPlainObject(settings.facilities) ? settings.facilities : {})) {
+          if (!isPlainObject(facility)) {
+            continue;
+          }
+          if (typeof facility.spaceId === 'number') {
+            note(`${at}.facilities.${key}.spaceId`, facility.spaceId, String(facility.spaceId));
+            facility.spaceId = String(facility.spaceId);
+          }
+          toNumber(facility, 'bufferMinutes', `${at}.facilities.${key}`);
+        }
+      }
+    }
+  }
+];
+
+/**
+ * Upgrades a parsed config file to the current schema version without touching the original.
+ * Returns the upgraded config, the version it started at and the changes made
+ * ({ path, before, after }); a config already at the current version is returned as is.
+ */
+function migrateConfig(config) {
+  const fromVersion = getConfigSchemaVersion(config);
+  if (fromVersion > CONFIG_SCHEMA_VERSION) {
+    throw new Error(`Config schema version ${fromVersion} is newer than this version of the booking system supports (${CONFIG_SCHEMA_VERSION}); update the booking system`);
+  }
+  if (fromVersion === CONFIG_SCHEMA_VERSION) {
+    return { config, fromVersion, changes: [] };
+  }
+
+  const migrated = JSON.parse(JSON.stringify(config));
+  delete migrated.schemaVersion;
+  const { $schema, ...rest } = migrated;
+  const changes = [];
+  for (const migration of MIGRATIONS.filter(candidate => candidate.version > fromVersion)) {
+    migration.migrate(rest, (path, before, after) => changes.push({ path, before, after }));
+  }
+
+  return {
+    config: { ...($schema === undefined ? {} : { $schema }), schemaVersion: CONFIG_SCHEMA_VERSION, ...rest },
+    fromVersion,
+    changes
+  };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CONFIG_SCHEMA_VERSION,
+  MIGRATIONS,
+  checkSchema,
+  formatProblem,
+  getConfigSchemaVersion,
+  migrateConfig
+};
@@ -0,0 +1,172 @@
+const http = require('http');
+const crypto = require('crypto');
+const { log } = require('./utils');
+const { getErrorCode } = require('./errors');
+
+// Booking requests are tiny; anything bigger is a mistake or abuse
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Errors from the callbacks that reject the request itself rather than failing the server
+const CLIENT_ERROR_CODES = ['invalid_input', 'config_invalid', 'policy_blocked'];
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(response, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  response.end(payload);
+}
+
+/**
+ * Compares the request's bearer token with the configured one in constant time
+ */
+function isAuthorized(request, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || '');
+  if (!match) {
+    return false;
+  }
+
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading, but keep the socket open long enough to send the 413
+        request.removeAllListeners('data');
+        request.pause();
+        reject(httpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Creates the booking API server. The server only handles HTTP concerns; what a job is and
+ * how it is validated and run is supplied by the caller:
+ *
+ * - `queue`: a JobQueue holding submitted jobs
+ * - `submitJob(body)`: validates a POST /jobs body and returns the queued job. Errors coded
+ *   invalid_input, config_invalid or policy_blocked are answered with 400 and their code
+ * - `listFacilities()`: returns the configured facilities
+ * - `validateConfig()`: throws if the configuration is invalid
+ *
+ * Every request must carry `Authorization: Bearer <token>`.
+ */
+function createApiServer({ token, queue, submitJob, listFacilities, validateConfig }) {
+  if (!token) {
+    throw new Error('An API token is required to start the server');
+  }
+
+  const routes = [
+    {
+      method: 'POST',
+      pattern: /^\/jobs$/,
+      handle: async (request) => [202, await submitJob(await readJsonBody(request))]
+    },
+    {
+      method: 'GET',
+      pattern: /^\/jobs$/,
+      handle: async () => [200, { jobs: queue.list() }]
+    },
+    {
+      method: 'GET',
+      pattern: /^\/jobs\/([\w-]+)$/,
+      handle: async (request, [, id]) => {
+        const job = queue.get(id);
+        if (!job) {
+          throw httpError(404, `Job ${id} not found`);
+        }
+        return [200, job];
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/facilities$/,
+      handle: async () => [200, { facilities: listFacilities() }]
+    },
+    {
+      method: 'GET',
+      pattern: /^\/config\/validate$/,
+      handle: async () => {
+        try {
+          validateConfig();
+          return [200, { valid: true }];
+        } catch (error) {
+          return [200, { valid: false, error: error.message }];
+        }
+      }
+    }
+  ];
+
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    try {
+      if (!isAuthorized(request, token)) {
+        response.setHeader('WWW-Authenticate', 'Bearer');
+        throw httpError(401, 'Missing or invalid bearer token');
+      }
+
+      const matching = routes.filter(route => route.pattern.test(pathname));
+      if (matching.length === 0) {
+        throw httpError(404, `No route for ${pathname}`);
+      }
+
+      const route = matching.find(candidate => candidate.method === request.method);
+      if (!route) {
+        response.setHeader('Allow', matching.map(candidate => candidate.method).join(', '));
+        throw httpError(405, `${request.method} not allowed on ${pathname}`);
+      }
+
+      const [status, body] = await route.handle(request, route.pattern.exec(pathname));
+      sendJson(response, status, body);
+    } catch (error) {
+      const code = getErrorCode(error);
+      const status = error.status || (CLIENT_ERROR_CODES.includes(code) ? 400 : 500);
+      if (status === 413) {
+        // The rest of the body is never read, so the connection cannot be reused
+        response.setHeader('Connection', 'close');
+      }
+      if (status === 500) {
+        log(`API error on ${request.method} ${pathname}: ${error.stack || error.message}`, 'error');
+      }
+      sendJson(response, status, CLIENT_ERROR_CODES.includes(code) ? { error: error.message, code } : { error: error.message });
+    }
+
+    log(`${request.method} ${pathname} -> ${response.statusCode}`);
+  });
+}
+
+module.exports = {
+  createApiServer,
+  httpError
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir, ensureDir, readJson, writeJsonAtomic } = require('./store');
+
+// Last holder of each session file's lock in this process, keyed by session path
+const sessionLocks = new Map();
+
+/**
+ * Directory holding saved login sessions; readable by the owner only
+ */
+function getSessionsDir(config) {
+  return path.join(getDataDir(config), 'sessions');
+}
+
+/**
+ * Path of the saved session for a profile email. Sessions at the default venue keep the
+ * plain per-profile file; other venues get their own, since cookies belong to one site.
+ */
+function getSessionPath(config, email) {
+  const key = email.toLowerCase().replace(/[^a-z0-9]/g, '_');
+  const prefix = config.venue && config.venue !== config.defaultVenue ? `${config.venue}--` : '';
+  return path.join(getSessionsDir(config), `${prefix}${key}.json`);
+}
+
+/**
+ * Loads the saved session (cookies and local storage) for a profile, or null if there is none
+ */
+function loadSession(config, email) {
+  try {
+    return readJson(getSessionPath(config, email));
+  } catch (error) {
+    // A corrupt session file is as good as no session; a fresh login will overwrite it
+    return null;
+  }
+}
+
+/**
+ * Saves a profile's session with owner-only permissions. Returns its savedAt stamp.
+ */
+function saveSession(config, email, session) {
+  const dir = ensureDir(getSessionsDir(config), 0o700);
+  fs.chmodSync(dir, 0o700);
+  const savedAt = new Date().toISOString();
+  writeJsonAtomic(getSessionPath(config, email), { ...session, email, venue: config.venue, savedAt }, 0o600);
+  return savedAt;
+}
+
+/**
+ * Waits until no other browser context in this process holds the profile's session, then
+ * holds it. Resolves with the function that releases it; waiters are served in order.
+ */
+async function lockSession(config, email) {
+  const key = getSessionPath(config, email);
+  const previous = sessionLocks.get(key) || Promise.resolve();
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const held = previous.then(() => released);
+  sessionLocks.set(key, held);
+  await previous;
+
+  return () => {
+    release();
+    if (sessionLocks.get(key) === held) {
+      sessionLocks.delete(key);
+    }
+  };
+}
+
+/**
+ * Deletes the saved session of one profile, or of every profile when email is null.
+ * Returns the number of sessions removed.
+ */
+function clearSessions(config, email = null) {
+  const dir = getSessionsDir(config);
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  const files = email
+    ? [getSessionPath(config, email)].filter(file => fs.existsSync(file))
+    : fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => path.join(dir, file));
+
+  files.forEach(file => fs.unlinkSync(file));
+  return files.length;
+}
+
+/**
+ * Lists saved sessions with their profile, venue and save time
+ */
+function listSessions(config) {
+  const dir = getSessionsDir(config);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return readJson(path.join(dir, file));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map(session => ({ email: session.email, venue: session.venue || null, savedAt: session.savedAt, cookies: (session.cookies || []).length }));
+}
+
+module.exports = {
+  getSessionPath,
+  loadSession,
+  saveSession,
+  lockSession,
+  clearSessions,
+  listSessions
+};
@@ -0,0 +1,99 @@
+/**
+ * Calls to Skedda's JSON endpoints. These run inside the authenticated Puppeteer page so
+ * the session cookies and anti-forgery token of the logged-in user are used.
+ */
+
+/**
+ * Derives the venue origin (e.g. https://parkhurst.skedda.com) from the booking base URL
+ */
+function getVenueOrigin(config) {
+  return new URL(config.urls.baseUrl).origin;
+}
+
+/**
+ * Performs a same-origin fetch from the page, attaching the anti-forgery token when present
+ */
+async function pageFetch(page, url, { method = 'GET', body = null } = {}) {
+  const response = await page.evaluate(async (requestUrl, requestMethod, requestBody) => {
+    const tokenInput = document.querySelector('input[name="__RequestVerificationToken"]');
+    const headers = { Accept: 'application/json' };
+    if (tokenInput) {
+      headers['X-Skedda-RequestVerificationToken'] = tokenInput.value;
+    }
+    if (requestBody !== null) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const res = await fetch(requestUrl, {
+      method: requestMethod,
+      credentials: 'same-origin',
+      headers,
+      body: requestBody === null ? undefined : JSON.stringify(requestBody)
+    });
+    const text = await res.text();
+    return { ok: res.ok, status: res.status, text };
+  }, url, method, body);
+
+  if (!response.ok) {
+    throw new Error(`Skedda request ${method} ${url} failed with HTTP ${response.status}`);
+  }
+
+  try {
+    return response.text ? JSON.parse(response.text) : null;
+  } catch (error) {
+    throw new Error(`Skedda request ${method} ${url} returned invalid JSON`);
+  }
+}
+
+/**
+ * Normalizes a Skedda booking record to the fields this tool uses
+ */
+function normalizeBooking(booking) {
+  return {
+    id: String(booking.id),
+    start: String(booking.start).slice(0, 19),
+    end: String(booking.end).slice(0, 19),
+    spaces: (booking.spaces || []).map(String),
+    title: booking.title || '',
+    venueUser: booking.venueuser !== undefined && booking.venueuser !== null ? String(booking.venueuser) : null
+  };
+}
+
+/**
+ * Fetches all bookings between two local ISO datetimes (YYYY-MM-DDTHH:mm:ss)
+ */
+async function fetchBookings(page, config, start, end) {
+  const url = `${getVenueOrigin(config)}/bookingslists?start=${encodeURIComponent(start)}&end=${encodeURIComponent(end)}`;
+  const data = await pageFetch(page, url);
+  return ((data && data.bookings) || []).map(normalizeBooking);
+}
+
+/**
+ * Returns the venue user id of the logged-in account, used to tell its bookings apart
+ */
+async function fetchCurrentVenueUserId(page, config) {
+  const data = await pageFetch(page, `${getVenueOrigin(config)}/webs`);
+  const venueUser = data && (data.venueuser || (Array.isArray(data.venueusers) && data.venueusers[0]));
+
+  if (!venueUser || venueUser.id === undefined) {
+    throw new Error('Could not determine the logged-in Skedda user');
+  }
+
+  return String(venueUser.id);
+}
+
+/**
+ * Cancels (deletes) a booking by id
+ */
+async function cancelBooking(page, config, bookingId) {
+  await pageFetch(page, `${getVenueOrigin(config)}/bookings/${encodeURIComponent(bookingId)}`, { method: 'DELETE' });
+}
+
+module.exports = {
+  getVenueOrigin,
+  pageFetch,
+  normalizeBooking,
+  fetchBookings,
+  fetchCurrentVenueUserId,
+  cancelBooking
+};
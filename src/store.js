@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolves the directory used for local state (scheduler jobs, history, sessions)
+ */
+function getDataDir(config = {}) {
+  const configured = config.defaults && config.defaults.dataDir;
+  return configured ? path.resolve(configured) : path.join(__dirname, '..', 'data');
+}
+
+/**
+ * Creates a directory (and parents) if it does not exist yet
+ */
+function ensureDir(dirPath, mode) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true, mode });
+  }
+  return dirPath;
+}
+
+/**
+ * Reads a JSON file, returning the fallback when it does not exist
+ */
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a JSON file atomically (temp file + rename) so a crash never leaves it half-written
+ */
+function writeJsonAtomic(filePath, data, mode) {
+  ensureDir(path.dirname(filePath));
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode });
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  getDataDir,
+  ensureDir,
+  readJson,
+  writeJsonAtomic
+};
@@ -0,0 +1,162 @@
+const moment = require('moment');
+
+const DEFAULT_TITLE_TEMPLATE = '{bufStart} - {bufEnd}';
+const DEFAULT_TIME_FORMAT = 'h:mmA';
+
+const TIME_TOKENS = ['start', 'end', 'bufStart', 'bufEnd'];
+const TEXT_TOKENS = ['signature', 'facility', 'profileName'];
+const TITLE_TOKENS = [...TIME_TOKENS, ...TEXT_TOKENS, 'duration', 'date'];
+const TEXT_MODIFIERS = ['upper', 'lower', 'initials'];
+const DURATION_MODIFIERS = ['min', 'h', 'hm'];
+
+const TOKEN_PATTERN = /\{(\w+)(?::([^}]*))?\}/g;
+
+/**
+ * Applies a text modifier (upper, lower, initials) to a token value
+ */
+function modifyText(value, modifier) {
+  switch (modifier) {
+    case 'upper':
+      return value.toUpperCase();
+    case 'lower':
+      return value.toLowerCase();
+    case 'initials':
+      return value.split(/[\s._-]+/).filter(Boolean).map(word => word[0].toUpperCase()).join('');
+    default:
+      return value;
+  }
+}
+
+/**
+ * Formats a duration in minutes: "90" (min, the default), "1.5" (h) or "1:30" (hm)
+ */
+function formatDuration(minutes, modifier = 'min') {
+  if (modifier === 'h') {
+    return String(Math.round((minutes / 60) * 100) / 100);
+  }
+  if (modifier === 'hm') {
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+  return String(minutes);
+}
+
+/**
+ * Checks a title template for unknown tokens and modifiers; returns a list of problems
+ */
+function checkTitleTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return ['must be a non-empty string'];
+  }
+
+  const problems = [];
+  for (const [, token, modifier] of template.matchAll(TOKEN_PATTERN)) {
+    if (!TITLE_TOKENS.includes(token)) {
+      problems.push(`unknown token {${token}} (use ${TITLE_TOKENS.map(name => `{${name}}`).join(', ')})`);
+    } else if (modifier !== undefined && TEXT_TOKENS.includes(token) && !TEXT_MODIFIERS.includes(modifier)) {
+      problems.push(`unknown modifier '${modifier}' for {${token}} (use ${TEXT_MODIFIERS.join(', ')})`);
+    } else if (modifier !== undefined && token === 'duration' && !DURATION_MODIFIERS.includes(modifier)) {
+      problems.push(`unknown modifier '${modifier}' for {duration} (use ${DURATION_MODIFIERS.join(', ')})`);
+    } else if (modifier === '') {
+      problems.push(`empty format for {${token}}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Renders a title template. Times take a moment format after a colon ({start:HH:mm}, default
+ * h:mmA), {date} one too (default YYYY-MM-DD), text tokens take upper, lower or initials and
+ * {duration} takes min, h or hm. Unknown tokens are left as written.
+ */
+function renderTitleTemplate(template, context) {
+  return template.replace(TOKEN_PATTERN, (match, token, modifier) => {
+    if (TIME_TOKENS.includes(token)) {
+      // Wall-clock arithmetic in UTC, so a host DST change cannot shift the times
+      return context[token].format(modifier || DEFAULT_TIME_FORMAT);
+    }
+    if (token === 'date') {
+      return moment.utc(context.date, 'YYYY-MM-DD').format(modifier || 'YYYY-MM-DD');
+    }
+    if (token === 'duration') {
+      return formatDuration(context.duration, modifier);
+    }
+    if (TEXT_TOKENS.includes(token)) {
+      return modifyText(context[token] || '', modifier);
+    }
+    return match;
+  });
+}
+
+/**
+ * Display name of a profile: titles.profiles[email].name, or the email's local part
+ * ("john.doe@example.com" becomes "John Doe")
+ */
+function getProfileName(config, email) {
+  const settings = getProfileTitleSettings(config, email);
+  if (settings.name) {
+    return settings.name;
+  }
+
+  return (email || '').split('@')[0]
+    .split(/[._-]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function getProfileTitleSettings(config, email) {
+  const profiles = (config.titles && config.titles.profiles) || {};
+  const key = Object.keys(profiles).find(candidate => candidate.toLowerCase() === (email || '').toLowerCase());
+  return key ? profiles[key] : {};
+}
+
+/**
+ * Buffer minutes for a facility: its own bufferMinutes, else defaults.bufferMinutes, else 15
+ */
+function getBufferMinutes(config, facility = {}) {
+  if (typeof facility.bufferMinutes === 'number') {
+    return facility.bufferMinutes;
+  }
+  return typeof config.defaults.bufferMinutes === 'number' ? config.defaults.bufferMinutes : 15;
+}
+
+/**
+ * The title template for a booking: the facility's titleTemplate (the committee's labeling
+ * convention wins), then the active profile's, then titles.template, then the built-in default
+ */
+function getTitleTemplate(config, facility = {}) {
+  return facility.titleTemplate ||
+    getProfileTitleSettings(config, config.credentials.email).template ||
+    (config.titles && config.titles.template) ||
+    DEFAULT_TITLE_TEMPLATE;
+}
+
+/**
+ * Builds the booking title for a facility (config.facilities entry), date, times and signature
+ */
+function buildBookingTitle(config, { facility, date, startTime, endTime, signature = config.defaults.signature }) {
+  const bufferMinutes = getBufferMinutes(config, facility);
+  const start = moment.utc(startTime, 'HH:mm');
+  const end = moment.utc(endTime, 'HH:mm');
+
+  return renderTitleTemplate(getTitleTemplate(config, facility), {
+    start,
+    end,
+    bufStart: start.clone().subtract(bufferMinutes, 'minutes'),
+    bufEnd: end.clone().add(bufferMinutes, 'minutes'),
+    date,
+    duration: end.diff(start, 'minutes'),
+    signature: signature || '',
+    facility: facility.name,
+    profileName: getProfileName(config, config.credentials.email)
+  });
+}
+
+module.exports = {
+  DEFAULT_TITLE_TEMPLATE,
+  TITLE_TOKENS,
+  checkTitleTemplate,
+  renderTitleTemplate,
+  getBufferMinutes,
+  buildBookingTitle
+};
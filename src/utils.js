@@ -1,22 +1,71 @@
-const moment = require('moment');
+const moment = require('moment-timezone');
 
 /**
  * Formats booking title with buffer time
  */
 function formatBookingTitle(startTime, endTime, bufferMinutes = 15) {
-  const startMoment = moment(startTime, 'HH:mm').subtract(bufferMinutes, 'minutes');
-  const endMoment = moment(endTime, 'HH:mm').add(bufferMinutes, 'minutes');
+  // Wall-clock arithmetic in UTC, so a host DST change today cannot shift the times
+  const startMoment = moment.utc(startTime, 'HH:mm').subtract(bufferMinutes, 'minutes');
+  const endMoment = moment.utc(endTime, 'HH:mm').add(bufferMinutes, 'minutes');
   
   return `${startMoment.format('h:mmA')} - ${endMoment.format('h:mmA')}`;
 }
 
 /**
- * Converts time string to ISO format for URL
+ * Converts time string to ISO format for URL. Skedda expects the venue's local wall-clock
+ * time without an offset, so the date and time are never converted to another zone.
  */
 function timeToISO(date, time) {
   return `${date}T${time}:00`;
 }
 
+/**
+ * The current time in the venue's timezone, or in the host timezone when none is configured
+ */
+function venueNow(timezone = null) {
+  return timezone ? moment.tz(timezone) : moment();
+}
+
+/**
+ * An instant (milliseconds or Date) as a moment in the venue's timezone
+ */
+function toVenueTime(instant, timezone = null) {
+  return timezone ? moment.tz(instant, timezone) : moment(instant);
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the venue's timezone
+ */
+function venueToday(timezone = null) {
+  return venueNow(timezone).format('YYYY-MM-DD');
+}
+
+/**
+ * Adds calendar days to a YYYY-MM-DD date; days never gain or lose hours to DST
+ */
+function addDays(date, days) {
+  return moment.utc(date, 'YYYY-MM-DD', true).add(days, 'days').format('YYYY-MM-DD');
+}
+
+/**
+ * The instant a wall-clock date and time (HH:MM or HH:MM:SS) occurs in the venue's timezone.
+ * A time skipped by a DST change resolves to the same offset past the change (02:30 becomes 03:30).
+ */
+function venueTime(date, time, timezone = null) {
+  const text = `${date} ${time}`;
+  const format = ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm'];
+  return timezone ? moment.tz(text, format, true, timezone) : moment(text, format, true);
+}
+
+/**
+ * The next instant the venue clock shows a clock time (HH:MM:SS): today if it is still ahead, else tomorrow
+ */
+function nextVenueTime(time, timezone = null) {
+  const today = venueToday(timezone);
+  const instant = venueTime(today, time, timezone);
+  return instant.isAfter(venueNow(timezone)) ? instant : venueTime(addDays(today, 1), time, timezone);
+}
+
 /**
  * Generates booking URL with parameters
  */
@@ -41,6 +90,24 @@ function isValidTime(time) {
   return moment(time, 'HH:mm', true).isValid();
 }
 
+/**
+ * Validates clock time format with seconds (HH:MM:SS)
+ */
+function isValidClockTime(time) {
+  return moment(time, 'HH:mm:ss', true).isValid();
+}
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Converts a weekday name, abbreviated ("Tue") or in full ("tuesday"), to its moment day
+ * index (0 = Sunday); -1 for anything else
+ */
+function parseWeekday(day) {
+  const name = String(day).toLowerCase();
+  return WEEKDAY_NAMES.findIndex(fullName => name === fullName || name === fullName.slice(0, 3));
+}
+
 /**
  * Validates time range (start before end)
  */
@@ -51,12 +118,122 @@ function isValidTimeRange(startTime, endTime) {
 }
 
 /**
- * Validates booking date (not in the past)
+ * Validates booking date (not before today at the venue)
  */
-function isValidBookingDate(date) {
-  const bookingDate = moment(date, 'YYYY-MM-DD');
-  const today = moment().startOf('day');
-  return bookingDate.isSameOrAfter(today);
+function isValidBookingDate(date, timezone = null) {
+  return isValidDate(date) && date >= venueToday(timezone);
+}
+
+/**
+ * Calculates when the booking window opens for a date, given how many days in
+ * advance bookings open and the venue clock time (HH:MM:SS) at which they open
+ */
+function getWindowOpeningTime(date, advanceDays, opensAt = '00:00:00', timezone = null) {
+  return venueTime(addDays(date, -advanceDays), opensAt, timezone);
+}
+
+/**
+ * Resolves the booking date (YYYY-MM-DD) from --date, --book-in-advance or the configured default.
+ * Days in advance count from fromDate when given (the day a held booking is submitted), else from today.
+ */
+function resolveBookingDate(options, config, fromDate = null) {
+  // "Today" is the venue's date, so a late-evening run on a host in another timezone
+  // still counts from the right day
+  const today = fromDate || venueToday(config.timezone);
+
+  const defaultAdvanceDaysFromConfig = config.defaults?.bookInAdvanceDays;
+  const hardcodedDefaultAdvanceDays = 15;
+
+  if (options.date && options.bookInAdvance !== undefined) {
+    throw new Error('--date and --book-in-advance are mutually exclusive. Please use one or the other.');
+  }
+
+  let calculatedDate; // YYYY-MM-DD
+
+  if (options.bookInAdvance !== undefined) {
+    let daysToAdvance;
+    if (typeof options.bookInAdvance === 'string') {
+      daysToAdvance = parseInt(options.bookInAdvance, 10);
+      if (isNaN(daysToAdvance) || daysToAdvance < 0) {
+        throw new Error('--book-in-advance must be a non-negative integer if a value is provided.');
+      }
+    } else { // options.bookInAdvance is true (flag used without value)
+      daysToAdvance = typeof defaultAdvanceDaysFromConfig === 'number' ? defaultAdvanceDaysFromConfig : hardcodedDefaultAdvanceDays;
+      log(`Using default days in advance: ${daysToAdvance} (from ${typeof defaultAdvanceDaysFromConfig === 'number' ? 'config' : 'hardcoded default'})`);
+    }
+    calculatedDate = addDays(today, daysToAdvance);
+  } else if (options.date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+      throw new Error('Date format for --date must be YYYY-MM-DD.');
+    }
+    if (!isValidDate(options.date)) {
+      throw new Error(`Invalid date provided: ${options.date}`);
+    }
+    calculatedDate = options.date;
+  } else {
+    // Neither --date nor --book-in-advance provided, use default
+    const daysToAdvance = typeof defaultAdvanceDaysFromConfig === 'number' ? defaultAdvanceDaysFromConfig : hardcodedDefaultAdvanceDays;
+    log(`Neither --date nor --book-in-advance specified. Using default days in advance: ${daysToAdvance} (from ${typeof defaultAdvanceDaysFromConfig === 'number' ? 'config' : 'hardcoded default'})`);
+    calculatedDate = addDays(today, daysToAdvance);
+  }
+
+  if (!options.forceDate && !isValidBookingDate(calculatedDate, config.timezone)) {
+    throw new Error(`Booking date ${calculatedDate} is in the past. Use --force-date to override.`);
+  }
+
+  return calculatedDate;
+}
+
+/**
+ * Converts HH:MM to minutes since midnight ("24:00" is allowed as end of day)
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Converts minutes since midnight back to HH:MM
+ */
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Splits a day window into taken and free intervals given the bookings of one space.
+ * Bookings are { start, end } local ISO datetimes and may extend beyond the given date.
+ */
+function getAvailabilityIntervals(bookings, date, dayStart = '00:00', dayEnd = '24:00') {
+  const windowStart = timeToMinutes(dayStart);
+  const windowEnd = timeToMinutes(dayEnd);
+  // Parsed as UTC so the minutes are wall-clock minutes whatever the host timezone
+  const dayMoment = moment.utc(date, 'YYYY-MM-DD');
+
+  const taken = bookings
+    .map(booking => ({
+      start: Math.max(windowStart, moment.utc(booking.start).diff(dayMoment, 'minutes')),
+      end: Math.min(windowEnd, moment.utc(booking.end).diff(dayMoment, 'minutes')),
+      title: booking.title
+    }))
+    .filter(interval => interval.start < interval.end)
+    .sort((a, b) => a.start - b.start);
+
+  const free = [];
+  let cursor = windowStart;
+  for (const interval of taken) {
+    if (interval.start > cursor) {
+      free.push({ start: cursor, end: interval.start });
+    }
+    cursor = Math.max(cursor, interval.end);
+  }
+  if (cursor < windowEnd) {
+    free.push({ start: cursor, end: windowEnd });
+  }
+
+  const toTimes = ({ start, end, ...rest }) => ({ start: minutesToTime(start), end: minutesToTime(end), ...rest });
+  return { taken: taken.map(toTimes), free: free.map(toTimes) };
 }
 
 /**
@@ -66,10 +243,29 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// BOOKING_LOG_FORMAT=json starts in JSON lines, e.g. for the scheduler under a log collector
+let logFormat = process.env.BOOKING_LOG_FORMAT === 'json' ? 'json' : 'text';
+
+/**
+ * Switches log() between text lines and JSON lines ('text' or 'json')
+ */
+function setLogFormat(format) {
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`Unknown log format '${format}' (use text or json)`);
+  }
+  logFormat = format;
+}
+
 /**
  * Logs message with timestamp
  */
 function log(message, level = 'info') {
+  if (logFormat === 'json') {
+    // One object per line on stderr, leaving stdout to the command's own output
+    process.stderr.write(`${JSON.stringify({ time: new Date().toISOString(), level, message: String(message) })}\n`);
+    return;
+  }
+  
   const timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
   const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
   
@@ -88,11 +284,25 @@ function log(message, level = 'info') {
 module.exports = {
   formatBookingTitle,
   timeToISO,
+  venueNow,
+  toVenueTime,
+  venueToday,
+  addDays,
+  venueTime,
+  nextVenueTime,
   generateBookingUrl,
   isValidDate,
   isValidTime,
+  isValidClockTime,
   isValidTimeRange,
   isValidBookingDate,
+  parseWeekday,
+  getWindowOpeningTime,
+  resolveBookingDate,
+  timeToMinutes,
+  minutesToTime,
+  getAvailabilityIntervals,
   delay,
+  setLogFormat,
   log
 };
\ No newline at end of file
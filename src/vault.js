@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDataDir, ensureDir, readJson, writeJsonAtomic } = require('./store');
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Derived keys by vault file, salt and secret digest, so loading the config several times
+// in one run derives the key only once
+const keyCache = new Map();
+
+/**
+ * Path of the credential vault: config.vault.path (resolved by loadConfig), else data/vault.json
+ */
+function getVaultPath(config) {
+  return (config.vault && config.vault.path) || path.join(getDataDir(config), 'vault.json');
+}
+
+/**
+ * Reads the secret that unlocks the vault without asking: BOOKING_VAULT_PASSPHRASE, else the
+ * contents of the key file named by BOOKING_VAULT_KEY_FILE or config.vault.keyFile. Returns
+ * null when neither is set.
+ */
+function readVaultSecret(config) {
+  if (process.env.BOOKING_VAULT_PASSPHRASE) {
+    return process.env.BOOKING_VAULT_PASSPHRASE;
+  }
+
+  const keyFile = process.env.BOOKING_VAULT_KEY_FILE || (config.vault && config.vault.keyFile);
+  if (!keyFile) {
+    return null;
+  }
+  try {
+    return fs.readFileSync(keyFile, 'utf8').replace(/\r?\n$/, '');
+  } catch (error) {
+    throw new Error(`Failed to read vault key file ${keyFile}: ${error.message}`);
+  }
+}
+
+function deriveKey(secret, kdf) {
+  const cacheKey = `${kdf.salt}|${kdf.N}|${kdf.r}|${kdf.p}|${crypto.createHash('sha256').update(secret).digest('hex')}`;
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, crypto.scryptSync(secret, Buffer.from(kdf.salt, 'base64'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    }));
+  }
+  return keyCache.get(cacheKey);
+}
+
+/**
+ * Encrypted store of profile credentials (login email, password, signature), keyed by profile
+ * email. The whole profile list is encrypted with AES-256-GCM under a key derived with scrypt
+ * from a master passphrase or key file, so the file reveals neither passwords nor who is in it.
+ */
+class CredentialVault {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.kdf = null;
+    this.key = null;
+    this.entries = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  isUnlocked() {
+    return this.entries !== null;
+  }
+
+  /**
+   * Starts an empty vault protected by the given secret; nothing is written until save()
+   */
+  create(secret) {
+    if (this.exists()) {
+      throw new Error(`A credential vault already exists at ${this.filePath}`);
+    }
+    this.setSecret(secret);
+    this.entries = {};
+    return this;
+  }
+
+  /**
+   * Decrypts the vault file with the passphrase or key file contents
+   */
+  unlock(secret) {
+    const file = readJson(this.filePath);
+    if (!file || file.version !== VAULT_VERSION || !file.kdf || !file.iv || !file.tag || !file.data) {
+      throw new Error(`${this.filePath} is not a credential vault this version can read`);
+    }
+
+    const key = deriveKey(secret, file.kdf);
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(file.iv, 'base64'));
+      decipher.setAAD(Buffer.from(JSON.stringify({ version: file.version, kdf: file.kdf })));
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+      this.entries = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error('Could not unlock the credential vault: wrong passphrase or key file, or the file was modified');
+    }
+
+    this.kdf = file.kdf;
+    this.key = key;
+    return this;
+  }
+
+  /**
+   * Replaces the secret (and salt) the vault is encrypted with; save() writes it
+   */
+  setSecret(secret) {
+    if (!secret || secret.length < 8) {
+      throw new Error('The vault passphrase or key must be at least 8 characters');
+    }
+    this.kdf = { name: 'scrypt', ...KDF_PARAMS, salt: crypto.randomBytes(16).toString('base64') };
+    this.key = deriveKey(secret, this.kdf);
+  }
+
+  ensureUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('The credential vault is locked');
+    }
+  }
+
+  /**
+   * Credentials stored for a profile email, or null
+   */
+  get(profile) {
+    this.ensureUnlocked();
+    return this.entries[profile.toLowerCase()] || null;
+  }
+
+  /**
+   * Stores a profile's credentials; returns true if the profile was already in the vault
+   */
+  set(profile, { email = profile, password, signature = null }) {
+    this.ensureUnlocked();
+    if (!password) {
+      throw new Error('A password is required');
+    }
+    const key = profile.toLowerCase();
+    const existed = Boolean(this.entries[key]);
+    this.entries[key] = { email, password, signature, updatedAt: new Date().toISOString() };
+    return existed;
+  }
+
+  /**
+   * Removes a profile; returns false if it was not in the vault
+   */
+  remove(profile) {
+    this.ensureUnlocked();
+    const key = profile.toLowerCase();
+    if (!this.entries[key]) {
+      return false;
+    }
+    delete this.entries[key];
+    return true;
+  }
+
+  /**
+   * Profiles in the vault without their passwords
+   */
+  list() {
+    this.ensureUnlocked();
+    return Object.entries(this.entries)
+      .map(([profile, entry]) => ({ profile, email: entry.email, signature: entry.signature, updatedAt: entry.updatedAt }))
+      .sort((a, b) => a.profile.localeCompare(b.profile));
+  }
+
+  /**
+   * Encrypts the profiles with a fresh IV and writes the vault with owner-only permissions
+   */
+  save() {
+    this.ensureUnlocked();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    cipher.setAAD(Buffer.from(JSON.stringify({ version: VAULT_VERSION, kdf: this.kdf })));
+    const data = Buffer.concat([cipher.update(JSON.stringify(this.entries), 'utf8'), cipher.final()]);
+
+    ensureDir(path.dirname(this.filePath), 0o700);
+    writeJsonAtomic(this.filePath, {
+      version: VAULT_VERSION,
+      kdf: this.kdf,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, 0o600);
+  }
+}
+
+/**
+ * Opens the config's vault and unlocks it if a passphrase or key file is available.
+ * Returns null when there is no vault file; a vault that stays locked is returned locked.
+ */
+function openVault(config) {
+  const vault = new CredentialVault(getVaultPath(config));
+  if (!vault.exists()) {
+    return null;
+  }
+
+  const secret = readVaultSecret(config);
+  if (secret) {
+    vault.unlock(secret);
+  }
+  return vault;
+}
+
+/**
+ * Writes a new random key file (owner-only) for unlocking the vault and returns its contents
+ */
+function generateKeyFile(filePath) {
+  const key = crypto.randomBytes(32).toString('base64');
+  ensureDir(path.dirname(filePath));
+  // "wx" refuses to overwrite an existing key file, which may still protect another vault
+  fs.writeFileSync(filePath, `${key}\n`, { mode: 0o600, flag: 'wx' });
+  return key;
+}
+
+module.exports = {
+  CredentialVault,
+  getVaultPath,
+  readVaultSecret,
+  openVault,
+  generateKeyFile
+};
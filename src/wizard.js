@@ -0,0 +1,132 @@
+const moment = require('moment-timezone');
+const { getSampleConfig } = require('./config');
+const { isValidClockTime } = require('./utils');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Asks until check(answer) returns no problem, printing each problem
+ */
+async function askUntilValid(ask, print, question, defaultValue, check) {
+  for (;;) {
+    const answer = (await ask(question, defaultValue)).trim();
+    const problem = check(answer);
+    if (!problem) {
+      return answer;
+    }
+    print(problem);
+  }
+}
+
+async function askYesNo(ask, print, question, defaultValue) {
+  const answer = await askUntilValid(ask, print, `${question} (y/n)`, defaultValue ? 'y' : 'n', value =>
+    (/^(y|yes|n|no)$/i.test(value) ? null : 'Please answer y or n'));
+  return /^y/i.test(answer);
+}
+
+function askNumber(ask, print, question, defaultValue) {
+  return askUntilValid(ask, print, question, String(defaultValue), value =>
+    (/^\d+$/.test(value) ? null : 'Please enter a whole number')).then(Number);
+}
+
+/**
+ * Asks for the venue, facilities, defaults and profiles and builds a config from the answers,
+ * starting from the sample config. ask(question, defaultValue) resolves to the answer (the
+ * default when left blank); print shows a message. Passwords are not asked for here: the
+ * result says whether to store them in the credential vault.
+ */
+async function runInitWizard({ ask, print }) {
+  const sample = getSampleConfig();
+
+  print('Venue');
+  const address = await askUntilValid(ask, print, 'Skedda address of your community (e.g. https://parkhurst.skedda.com)', 'https://parkhurst.skedda.com', value => {
+    try {
+      return /^https?:$/.test(new URL(value).protocol) ? null : 'Use an http(s) address';
+    } catch (error) {
+      return 'Use an address like https://parkhurst.skedda.com';
+    }
+  });
+  const origin = new URL(address).origin;
+  const timezone = await askUntilValid(ask, print, 'Venue timezone', moment.tz.guess(), value =>
+    (moment.tz.zone(value) ? null : `Unknown timezone '${value}' (use an IANA name such as America/Los_Angeles)`));
+
+  print('Facilities (the space id is the nbspaces number in a Skedda booking URL)');
+  const facilities = {};
+  for (;;) {
+    const first = Object.keys(facilities).length === 0;
+    const key = await askUntilValid(ask, print, `Facility key (e.g. tennis_lower${first ? '' : '; blank to finish'})`, '', value => {
+      if (!value) {
+        return first ? 'Add at least one facility' : null;
+      }
+      if (!/^[A-Za-z0-9_]+$/.test(value)) {
+        return 'Use letters, digits and _ only';
+      }
+      return facilities[value] ? `${value} is already added` : null;
+    });
+    if (!key) {
+      break;
+    }
+
+    const spaceId = await askUntilValid(ask, print, `Skedda space id of ${key}`, '', value => {
+      if (!/^\d+$/.test(value)) {
+        return 'The space id is a number';
+      }
+      const other = Object.keys(facilities).find(name => facilities[name].spaceId === value);
+      return other ? `${other} already uses space ${value}` : null;
+    });
+    const name = await askUntilValid(ask, print, `Name of ${key} as shown in Skedda`, '', value => (value ? null : 'Enter the name'));
+    facilities[key] = { spaceId, name };
+  }
+
+  print('Booking defaults');
+  const signature = (await ask('Signature (initials) added to booking titles', sample.defaults.signature)).trim();
+  const bufferMinutes = await askNumber(ask, print, 'Buffer minutes before and after each booking in its title', sample.defaults.bufferMinutes);
+  const bookInAdvanceDays = await askNumber(ask, print, 'How many days ahead the booking window opens', sample.defaults.bookInAdvanceDays);
+  const windowOpensAt = await askUntilValid(ask, print, 'Time of day the booking window opens (HH:MM:SS)', sample.defaults.windowOpensAt, value =>
+    (isValidClockTime(value) ? null : 'Use HH:MM:SS, e.g. 07:00:00'));
+  const headless = await askYesNo(ask, print, 'Run the browser headless?', sample.defaults.headless);
+
+  print('Profiles');
+  const email = await askUntilValid(ask, print, 'Email of the main Skedda account', '', value =>
+    (EMAIL_PATTERN.test(value) ? null : 'Enter an email address'));
+  const otherEmails = await askUntilValid(ask, print, 'Emails of other household profiles, comma-separated (blank for none)', '', value => {
+    const invalid = value.split(',').map(entry => entry.trim()).filter(entry => entry && !EMAIL_PATTERN.test(entry));
+    return invalid.length > 0 ? `Not an email address: ${invalid.join(', ')}` : null;
+  });
+
+  const profiles = [];
+  const titleProfiles = {};
+  for (const profile of otherEmails.split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const profileName = await ask(`Name of ${profile} for booking titles (blank to skip)`, '');
+    const profileSignature = await ask(`Signature (initials) of ${profile} (blank for ${signature})`, '');
+    if (profileName.trim()) {
+      titleProfiles[profile] = { name: profileName.trim() };
+    }
+    profiles.push({ email: profile, signature: profileSignature.trim() || null });
+  }
+  const household = profiles.length > 0 &&
+    await askYesNo(ask, print, 'Count all these profiles as one household for HOA policies?', true);
+  const storeInVault = await askYesNo(ask, print, 'Store the passwords in the encrypted credential vault?', true);
+
+  const config = {
+    schemaVersion: sample.schemaVersion,
+    credentials: { email },
+    defaults: { ...sample.defaults, signature, bufferMinutes, bookInAdvanceDays, windowOpensAt, headless },
+    facilities,
+    urls: { baseUrl: `${origin}/booking`, loginUrl: `${origin}/login` },
+    timezone,
+    recurring: []
+  };
+  if (Object.keys(titleProfiles).length > 0) {
+    config.titles = { profiles: titleProfiles };
+  }
+  if (household) {
+    config.policies = { households: { household: [email, ...profiles.map(profile => profile.email)] } };
+  }
+
+  return { config, email, profiles, storeInVault };
+}
+
+module.exports = {
+  runInitWizard
+};
@@ -0,0 +1,295 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BookingAutomator = require('../../src/booking');
+const { readHistory } = require('../../src/history');
+const { listSessions } = require('../../src/sessions');
+const { MockSkeddaServer } = require('../mock-skedda/server');
+const { createTestConfig, bookingRequest, removeDataDir } = require('./helpers');
+
+describe('booking flow against the mock Skedda server', function () {
+  const mock = new MockSkeddaServer({
+    bookings: [
+      { id: '1', start: '2030-01-15T10:00:00', end: '2030-01-15T11:00:00', spaces: ['1244466'], title: 'Neighbour', venueuser: 'user-neighbour@example.com' },
+      { id: '2', start: '2030-01-15T12:00:00', end: '2030-01-15T13:00:00', spaces: ['1244467'], title: 'Mine', venueuser: 'user-resident@example.com' }
+    ]
+  });
+  const originalCwd = process.cwd();
+  let workDir;
+  let config;
+
+  before(async function () {
+    await mock.start();
+    // booking_errors.log is written to the working directory
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkhurst-e2e-cwd-'));
+    process.chdir(workDir);
+  });
+
+  after(async function () {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await mock.stop();
+  });
+
+  beforeEach(function () {
+    mock.reset();
+    config = createTestConfig(mock);
+  });
+
+  afterEach(function () {
+    removeDataDir(config);
+  });
+
+  describe('successful bookings', function () {
+    it('logs in, fills the form, confirms the modal and records the booking', async function () {
+      const request = bookingRequest(config, { signature: 'JD' });
+      const result = await new BookingAutomator(config).book(request);
+
+      assert.strictEqual(mock.loginCount, 1);
+      assert.strictEqual(mock.bookings.length, 3);
+      const booking = mock.bookings[2];
+      assert.strictEqual(booking.start, `${request.date}T08:00:00`);
+      assert.strictEqual(booking.end, `${request.date}T09:00:00`);
+      assert.deepStrictEqual(booking.spaces, ['1244466']);
+      assert.strictEqual(booking.title, '7:45AM - 9:15AM');
+      assert.strictEqual(booking.signature, 'JD');
+      assert.strictEqual(result.title, '7:45AM - 9:15AM');
+
+      const [entry] = readHistory(config);
+      assert.strictEqual(entry.outcome, 'success');
+      assert.strictEqual(entry.facility, 'tennis_lower');
+
+      const calendar = fs.readFileSync(result.calendarPath, 'utf8');
+      assert.match(calendar, new RegExp(`DTSTART;TZID=[^:]+:${request.date.replace(/-/g, '')}T074500`));
+    });
+
+    it('books when the confirm button submits without a modal', async function () {
+      mock.setScenario('no_modal');
+      await new BookingAutomator(config).book(bookingRequest(config, { customTitle: 'Practice' }));
+
+      assert.strictEqual(mock.bookings.length, 3);
+      assert.strictEqual(mock.bookings[2].title, 'Practice');
+    });
+
+    it('holds the confirm click until the requested submit time', async function () {
+      const submitAt = Date.now() + 4000;
+      const result = await new BookingAutomator(config).book(bookingRequest(config, { submitAt }));
+
+      // The mock runs on the local clock, so the measured skew is close to zero
+      assert.ok(Math.abs(result.clockSkewMs) < 1000, `unexpected clock skew ${result.clockSkewMs}ms`);
+      assert.ok(mock.bookings[2].createdAt >= submitAt - 1000, 'booking was submitted before the target time');
+    });
+
+    it('retries a transient failure and books on the next attempt', async function () {
+      mock.setScenario('unavailable_once');
+      config.defaults.retry.maxAttempts = 2;
+
+      await new BookingAutomator(config).book(bookingRequest(config));
+
+      assert.strictEqual(mock.bookingPageLoads, 2);
+      assert.strictEqual(mock.bookings.length, 3);
+      assert.deepStrictEqual(readHistory(config).map(entry => entry.outcome), ['failure', 'success']);
+    });
+
+    it('fires the configured notifiers on success', async function () {
+      const outputPath = path.join(config.defaults.dataDir, 'notification.json');
+      config.notifiers = [{ type: 'command', command: `cat > "${outputPath}"` }];
+
+      await new BookingAutomator(config).book(bookingRequest(config));
+
+      const payload = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+      assert.strictEqual(payload.event, 'success');
+      assert.strictEqual(payload.facilityName, 'Tennis - Lower Court Whole');
+      assert.strictEqual(payload.profile, mock.email);
+    });
+  });
+
+  describe('failures', function () {
+    it('reports a taken slot as a permanent error without retrying', async function () {
+      mock.setScenario('slot_taken');
+      config.defaults.retry.maxAttempts = 3;
+      config.defaults.captureArtifacts = true;
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), error => {
+        assert.strictEqual(error.errorType, 'slot_unavailable');
+        assert.strictEqual(error.transient, false);
+        assert.ok(fs.existsSync(path.join(error.artifactsPath, 'page.html')));
+        return true;
+      });
+      assert.strictEqual(mock.bookingPageLoads, 1);
+    });
+
+    it('reports a venue rule rejection as a policy violation', async function () {
+      mock.setScenario('policy_violation');
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), error => {
+        assert.strictEqual(error.errorType, 'policy_violation');
+        return true;
+      });
+    });
+
+    it('does not retry when the booking was submitted but never confirmed', async function () {
+      mock.setScenario('no_redirect');
+      config.defaults.retry.maxAttempts = 3;
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), error => {
+        assert.strictEqual(error.errorType, 'no_confirmation');
+        assert.strictEqual(error.transient, false);
+        return true;
+      });
+      // The booking did go through, which is exactly why it must not be retried
+      assert.strictEqual(mock.bookings.length, 3);
+      assert.strictEqual(mock.bookingPageLoads, 1);
+    });
+
+    it('retries a missing confirm button until attempts run out', async function () {
+      mock.setScenario('no_confirm_button');
+      config.defaults.retry.maxAttempts = 2;
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), error => {
+        assert.strictEqual(error.errorType, 'button_not_found');
+        assert.strictEqual(error.retriesExhausted, true);
+        assert.strictEqual(error.attempts, 2);
+        return true;
+      });
+      assert.strictEqual(mock.bookingPageLoads, 2);
+      assert.strictEqual(mock.bookings.length, 2);
+    });
+
+    it('fails at once with login_failed when the password is wrong', async function () {
+      config.credentials.password = 'wrong-password';
+      config.defaults.retry = { ...config.defaults.retry, maxAttempts: 3 };
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), error => {
+        assert.strictEqual(error.errorType, 'login_failed');
+        assert.strictEqual(error.transient, false);
+        assert.strictEqual(error.attempts, 1);
+        assert.match(error.message, /Login rejected: "Invalid email or password"/);
+        return true;
+      });
+      assert.strictEqual(mock.loginCount, 0);
+    });
+
+    it('fails with a navigation timeout when the login form is missing', async function () {
+      mock.setScenario('no_login_form');
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), error => {
+        assert.strictEqual(error.errorType, 'navigation_timeout');
+        return true;
+      });
+    });
+  });
+
+  describe('dry run', function () {
+    it('fills the form and finds the confirm button without submitting', async function () {
+      const result = await new BookingAutomator(config).book(bookingRequest(config, { dryRun: true }));
+
+      assert.strictEqual(result.dryRun, true);
+      assert.strictEqual(result.confirmButtonError, null);
+      assert.strictEqual(result.matchedSelectors.title, 'input[name*="title"]');
+      assert.strictEqual(result.matchedSelectors.signature, 'input[name*="signature"]');
+      assert.strictEqual(result.matchedSelectors.confirmButton, '.row.pt-5 .col-12 button.btn.btn-success');
+      assert.strictEqual(mock.bookings.length, 2);
+      assert.deepStrictEqual(readHistory(config), []);
+
+      // Artifacts are off in these tests, so the screenshot goes to a temporary directory
+      assert.strictEqual(result.artifactsPath, null);
+      assert.ok(result.screenshotPath.startsWith(os.tmpdir()));
+      assert.ok(fs.statSync(result.screenshotPath).size > 0);
+      fs.rmSync(path.dirname(result.screenshotPath), { recursive: true, force: true });
+    });
+  });
+
+  describe('site adapter', function () {
+    it('fills extra form fields declared in the adapter', async function () {
+      mock.setScenario('purpose_required');
+      config.adapter = {
+        form: {
+          fields: [{ name: 'purpose', selector: 'select[name="purpose"]', type: 'select', value: 'Pickleball', required: true }]
+        }
+      };
+
+      const preview = await new BookingAutomator(config).book(bookingRequest(config, { dryRun: true }));
+      assert.deepStrictEqual(preview.matchedSelectors.fields, { purpose: 'select[name="purpose"]' });
+
+      await new BookingAutomator(config).book(bookingRequest(config));
+      assert.strictEqual(mock.bookings[2].purpose, 'pickleball');
+    });
+
+    it('is rejected by the venue when a required field is left empty', async function () {
+      mock.setScenario('purpose_required');
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), /purpose/);
+      assert.strictEqual(mock.bookings.length, 2);
+    });
+
+    it('books on restyled pages once the selectors are overridden', async function () {
+      mock.setScenario('restyled');
+
+      await assert.rejects(new BookingAutomator(config).book(bookingRequest(config)), error => {
+        assert.strictEqual(error.errorType, 'button_not_found');
+        return true;
+      });
+
+      config.adapter = {
+        form: {
+          titleSelectors: ['input[name="subject"]'],
+          signatureSelectors: ['input[name="resident-code"]']
+        },
+        confirmButton: { texts: ['Reserve'] }
+      };
+      await new BookingAutomator(config).book(bookingRequest(config, { customTitle: 'Ladder match', signature: 'RC' }));
+
+      assert.strictEqual(mock.bookings.length, 3);
+      assert.strictEqual(mock.bookings[2].title, 'Ladder match');
+      assert.strictEqual(mock.bookings[2].signature, 'RC');
+    });
+  });
+
+  describe('saved sessions', function () {
+    it('reuses the saved session instead of logging in again', async function () {
+      config.defaults.persistSessions = true;
+
+      await new BookingAutomator(config).book(bookingRequest(config, { startTime: '08:00', endTime: '09:00' }));
+      await new BookingAutomator(config).book(bookingRequest(config, { startTime: '10:00', endTime: '11:00' }));
+
+      assert.strictEqual(mock.loginCount, 1);
+      assert.strictEqual(mock.bookings.length, 4);
+      assert.strictEqual(listSessions(config).length, 1);
+    });
+
+    it('logs in again when the saved session has expired', async function () {
+      config.defaults.persistSessions = true;
+
+      await new BookingAutomator(config).book(bookingRequest(config));
+      mock.sessions.clear();
+      await new BookingAutomator(config).book(bookingRequest(config, { startTime: '10:00', endTime: '11:00' }));
+
+      assert.strictEqual(mock.loginCount, 2);
+    });
+  });
+
+  describe('booking lookups', function () {
+    it('lists all bookings on a date', async function () {
+      const bookings = await new BookingAutomator(config).getBookingsForDate('2030-01-15');
+
+      assert.deepStrictEqual(bookings.map(booking => booking.id), ['1', '2']);
+    });
+
+    it('lists and cancels only the logged-in user\'s bookings', async function () {
+      const automator = new BookingAutomator(config);
+      const mine = await automator.getMyBookings('2030-01-01', '2030-01-31');
+      assert.deepStrictEqual(mine.map(booking => booking.id), ['2']);
+
+      await assert.rejects(
+        new BookingAutomator(config).cancelMyBooking({ id: '1', fromDate: '2030-01-01', toDate: '2030-01-31' }),
+        /No booking with id 1/
+      );
+
+      const cancelled = await new BookingAutomator(config).cancelMyBooking({ id: '2', fromDate: '2030-01-01', toDate: '2030-01-31' });
+      assert.strictEqual(cancelled.id, '2');
+      assert.deepStrictEqual(mock.bookings.map(booking => booking.id), ['1']);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment');
+
+/**
+ * Builds a config pointing at a running mock Skedda server, with its own temporary data
+ * directory so history, sessions and artifacts never touch the real ones
+ */
+function createTestConfig(mock, overrides = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkhurst-e2e-'));
+
+  return {
+    credentials: {
+      email: mock.email,
+      password: mock.password
+    },
+    defaults: {
+      signature: 'ZZ',
+      bufferMinutes: 15,
+      headless: true,
+      bookInAdvanceDays: 15,
+      dataDir,
+      captureArtifacts: false,
+      persistSessions: false,
+      retry: { maxAttempts: 1, initialDelayMs: 100, backoffFactor: 2, maxDelayMs: 1000, deadlineSeconds: 120 },
+      timeout: 30000,
+      ...overrides.defaults
+    },
+    facilities: {
+      tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' },
+      tennis_upper: { spaceId: '1244467', name: 'Tennis - Upper Court Whole' }
+    },
+    urls: {
+      baseUrl: mock.baseUrl,
+      loginUrl: mock.loginUrl
+    },
+    ...overrides.config
+  };
+}
+
+/**
+ * A booking request for BookingAutomator.book a few days from now
+ */
+function bookingRequest(config, overrides = {}) {
+  return {
+    facility: config.facilities.tennis_lower,
+    date: moment().add(3, 'days').format('YYYY-MM-DD'),
+    startTime: '08:00',
+    endTime: '09:00',
+    headless: true,
+    ...overrides
+  };
+}
+
+function removeDataDir(config) {
+  fs.rmSync(config.defaults.dataDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  createTestConfig,
+  bookingRequest,
+  removeDataDir
+};
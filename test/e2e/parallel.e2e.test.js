@@ -0,0 +1,83 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment');
+const { createClient, groupResultsByTarget, PolicyError } = require('../../src');
+const { MockSkeddaServer } = require('../mock-skedda/server');
+const { listSessions } = require('../../src/sessions');
+const { createTestConfig, removeDataDir } = require('./helpers');
+
+describe('parallel bookings in browser contexts', function () {
+  const mock = new MockSkeddaServer();
+  const originalCwd = process.cwd();
+  let workDir;
+  let config;
+
+  before(async function () {
+    await mock.start();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkhurst-e2e-cwd-'));
+    process.chdir(workDir);
+  });
+
+  after(async function () {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await mock.stop();
+  });
+
+  beforeEach(function () {
+    mock.reset();
+    config = createTestConfig(mock);
+  });
+
+  afterEach(function () {
+    removeDataDir(config);
+  });
+
+  it('books both courts at once, each context logging in on its own', async function () {
+    const date = moment().add(3, 'days').format('YYYY-MM-DD');
+    const client = createClient(config);
+    const submitted = [];
+    client.on('submitted', step => submitted.push(step.facility));
+
+    const results = await client.bookAll([
+      { facility: 'tennis_lower', date, startTime: '08:00', endTime: '09:00' },
+      { facility: 'tennis_upper', date, startTime: '08:00', endTime: '09:00' },
+      // The same household must not take the lower court twice
+      { facility: 'tennis_lower', date, startTime: '08:30', endTime: '09:30' }
+    ], { parallel: true, concurrency: 2 });
+
+    assert.deepStrictEqual(results.map(result => result.success), [true, true, false]);
+    assert.ok(results[2].error instanceof PolicyError);
+    assert.deepStrictEqual(submitted.sort(), ['tennis_lower', 'tennis_upper']);
+    assert.deepStrictEqual(mock.bookings.map(booking => booking.spaces[0]).sort(), ['1244466', '1244467']);
+    assert.strictEqual(mock.loginCount, 2);
+
+    const targets = groupResultsByTarget(results);
+    assert.deepStrictEqual(targets.map(target => [target.facility, target.startTime, target.booked, target.rows]), [
+      ['tennis_lower', '08:00', true, [1]],
+      ['tennis_upper', '08:00', true, [2]],
+      ['tennis_lower', '08:30', false, [3]]
+    ]);
+  });
+
+  it('lets contexts of one profile take turns with its saved session', async function () {
+    config.defaults.persistSessions = true;
+    const date = moment().add(3, 'days').format('YYYY-MM-DD');
+    const client = createClient(config);
+    const logins = [];
+    client.on('loggedIn', step => logins.push(step.sessionReused));
+
+    const results = await client.bookAll([
+      { facility: 'tennis_lower', date, startTime: '08:00', endTime: '09:00' },
+      { facility: 'tennis_upper', date, startTime: '08:00', endTime: '09:00' }
+    ], { parallel: true, concurrency: 2 });
+
+    assert.deepStrictEqual(results.map(result => result.success), [true, true]);
+    // The second context loads the page meanwhile, then takes the session the first one saved
+    assert.deepStrictEqual(logins, [false, true]);
+    assert.strictEqual(mock.loginCount, 1);
+    assert.strictEqual(listSessions(config).length, 1);
+  });
+});
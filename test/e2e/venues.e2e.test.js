@@ -0,0 +1,79 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BookingAutomator = require('../../src/booking');
+const { loadConfig } = require('../../src/config');
+const { readHistory } = require('../../src/history');
+const { listSessions } = require('../../src/sessions');
+const { MockSkeddaServer } = require('../mock-skedda/server');
+const { createTestConfig, bookingRequest, removeDataDir } = require('./helpers');
+
+describe('several venues in one config', function () {
+  const home = new MockSkeddaServer();
+  const club = new MockSkeddaServer({ email: 'member@club.example.com', password: 'club-secret' });
+  const originalCwd = process.cwd();
+  let workDir;
+  let configPath;
+  let dataDir;
+
+  before(async function () {
+    await home.start();
+    await club.start();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkhurst-e2e-cwd-'));
+    process.chdir(workDir);
+  });
+
+  after(async function () {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await home.stop();
+    await club.stop();
+  });
+
+  beforeEach(function () {
+    home.reset();
+    club.reset();
+
+    const base = createTestConfig(home, { defaults: { persistSessions: true } });
+    dataDir = base.defaults.dataDir;
+    configPath = path.join(workDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      credentials: base.credentials,
+      defaults: base.defaults,
+      defaultVenue: 'home',
+      venues: {
+        home: { urls: base.urls, facilities: base.facilities },
+        club: {
+          urls: { baseUrl: club.baseUrl, loginUrl: club.loginUrl },
+          facilities: { court_1: { spaceId: '1244466', name: 'Club Court 1' } },
+          credentials: { email: club.email, password: club.password }
+        }
+      }
+    }));
+  });
+
+  afterEach(function () {
+    removeDataDir({ defaults: { dataDir } });
+  });
+
+  it('books at the selected venue with its own credentials and session', async function () {
+    const homeConfig = loadConfig(configPath);
+    const clubConfig = loadConfig(configPath, null, 'club');
+
+    await new BookingAutomator(homeConfig).book(bookingRequest(homeConfig));
+    await new BookingAutomator(clubConfig).book({ ...bookingRequest(clubConfig), facility: clubConfig.facilities.court_1 });
+
+    assert.strictEqual(home.bookings.length, 1);
+    assert.strictEqual(club.bookings.length, 1);
+    assert.strictEqual(club.bookings[0].venueuser, club.venueUserId);
+
+    // Both mocks run on localhost, so only the session file names keep them apart
+    assert.deepStrictEqual(listSessions(homeConfig).map(session => session.venue).sort(), ['club', 'home']);
+    await new BookingAutomator(clubConfig).book({ ...bookingRequest(clubConfig, { startTime: '10:00', endTime: '11:00' }), facility: clubConfig.facilities.court_1 });
+    assert.strictEqual(club.loginCount, 1);
+
+    assert.deepStrictEqual(readHistory(homeConfig, { venue: 'club' }).map(entry => entry.facility), ['court_1', 'court_1']);
+    assert.deepStrictEqual(readHistory(homeConfig, { venue: 'home' }).map(entry => entry.facility), ['tennis_lower']);
+  });
+});
@@ -0,0 +1,394 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL, URLSearchParams } = require('url');
+
+/**
+ * Failure scenarios the mock can be switched into. Each one reproduces a way the real
+ * Skedda venue has been seen to misbehave, so the automation can be tested against it.
+ */
+const SCENARIOS = {
+  success: 'Booking goes through and redirects to the base booking URL',
+  slot_taken: 'Skedda rejects the booking because the slot is already booked',
+  policy_violation: 'Skedda rejects the booking because it breaks a venue rule',
+  no_redirect: 'Booking is accepted but the page never redirects or shows a message',
+  no_modal: 'The confirm button books directly without a confirmation modal',
+  no_confirm_button: 'The booking form has no confirm button',
+  no_login_form: 'The login page renders without a login form',
+  unavailable_once: 'The first booking page load fails with a 503, later loads work',
+  purpose_required: 'The booking form has a required "purpose" dropdown',
+  restyled: 'The booking form uses renamed fields and a "Reserve" button the default selectors miss'
+};
+
+const SESSION_COOKIE = 'skedda_session';
+const VERIFICATION_TOKEN = 'mock-verification-token';
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - Mock Skedda</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    .modal { position: fixed; top: 30%; left: 30%; padding: 2rem; background: #fff; border: 1px solid #333; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * A local stand-in for a Skedda venue: login page, booking form driven by the
+ * nbstart/nbend/nbspaces query parameters, confirm modal, error alerts, success redirect
+ * and the JSON endpoints used by availability, my-bookings and cancel.
+ *
+ * Submitted bookings are kept in `bookings` so tests can check what was booked.
+ */
+class MockSkeddaServer {
+  constructor({ email = 'resident@example.com', password = 'secret', scenario = 'success', bookings = [] } = {}) {
+    this.email = email;
+    this.password = password;
+    this.initialBookings = bookings;
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        response.writeHead(500, { 'Content-Type': 'text/plain' });
+        response.end(error.stack);
+      });
+    });
+    this.reset();
+    this.setScenario(scenario);
+  }
+
+  /**
+   * Clears bookings, sessions and counters and goes back to the success scenario
+   */
+  reset() {
+    this.scenario = 'success';
+    this.sessions = new Set();
+    this.bookings = this.initialBookings.map(booking => ({ ...booking }));
+    this.nextId = 1000;
+    this.loginCount = 0;
+    this.bookingPageLoads = 0;
+  }
+
+  setScenario(scenario) {
+    if (!SCENARIOS[scenario]) {
+      throw new Error(`Unknown mock scenario '${scenario}'. Available: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+    this.scenario = scenario;
+  }
+
+  get origin() {
+    const { port } = this.server.address();
+    return `http://127.0.0.1:${port}`;
+  }
+
+  get baseUrl() {
+    return `${this.origin}/booking`;
+  }
+
+  get loginUrl() {
+    return `${this.origin}/login`;
+  }
+
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => resolve(this.origin));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      this.server.closeAllConnections();
+      this.server.close(() => resolve());
+    });
+  }
+
+  isLoggedIn(request) {
+    const cookies = Object.fromEntries((request.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name]) => name));
+    return this.sessions.has(cookies[SESSION_COOKIE]);
+  }
+
+  get venueUserId() {
+    return `user-${this.email}`;
+  }
+
+  send(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    response.end(body);
+  }
+
+  sendJson(response, status, body) {
+    this.send(response, status, JSON.stringify(body), { 'Content-Type': 'application/json' });
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, this.origin);
+
+    if (url.pathname === '/login') {
+      return request.method === 'POST' ? this.handleLogin(request, response, url) : this.showLogin(response, url);
+    }
+
+    if (url.pathname === '/__scenario' && request.method === 'POST') {
+      this.setScenario((await readBody(request)).trim());
+      return this.sendJson(response, 200, { scenario: this.scenario });
+    }
+
+    if (!this.isLoggedIn(request)) {
+      if (request.method === 'GET' && url.pathname === '/booking') {
+        return this.send(response, 302, '', { Location: `/login?next=${encodeURIComponent(url.pathname + url.search)}` });
+      }
+      return this.sendJson(response, 401, { error: 'Not logged in' });
+    }
+
+    if (url.pathname === '/booking' && request.method === 'GET') {
+      return url.searchParams.has('nbstart') ? this.showBookingForm(response, url) : this.showCalendar(response);
+    }
+    if (url.pathname === '/bookings' && request.method === 'POST') {
+      return this.createBooking(request, response);
+    }
+    if (url.pathname === '/bookingslists' && request.method === 'GET') {
+      return this.listBookings(response, url);
+    }
+    if (url.pathname === '/webs' && request.method === 'GET') {
+      return this.sendJson(response, 200, { venueuser: { id: this.venueUserId, email: this.email } });
+    }
+
+    const bookingMatch = /^\/bookings\/([^/]+)$/.exec(url.pathname);
+    if (bookingMatch && request.method === 'DELETE') {
+      return this.deleteBooking(request, response, decodeURIComponent(bookingMatch[1]));
+    }
+
+    return this.send(response, 404, renderPage('Not found', '<h1>Not found</h1>'));
+  }
+
+  showLogin(response, url, error = null) {
+    if (this.scenario === 'no_login_form') {
+      return this.send(response, 200, renderPage('Log in', '<h1>Log in</h1><p>Sign-in is temporarily unavailable.</p>'));
+    }
+
+    const next = url.searchParams.get('next') || '/booking';
+    return this.send(response, 200, renderPage('Log in', `
+<h1>Log in</h1>
+${error ? `<div class="alert alert-danger">${escapeHtml(error)}</div>` : ''}
+<form method="post" action="/login">
+  <input type="hidden" name="next" value="${escapeHtml(next)}">
+  <input type="email" name="email" placeholder="Email">
+  <input type="password" name="password" placeholder="Password">
+  <button type="submit" class="btn btn-primary">Log in</button>
+</form>`));
+  }
+
+  async handleLogin(request, response, url) {
+    const form = new URLSearchParams(await readBody(request));
+
+    const next = form.get('next') || '/booking';
+
+    if (form.get('email') !== this.email || form.get('password') !== this.password) {
+      url.searchParams.set('next', next);
+      return this.showLogin(response, url, 'Invalid email or password');
+    }
+
+    this.loginCount += 1;
+    const session = crypto.randomUUID();
+    this.sessions.add(session);
+
+    return this.send(response, 302, '', {
+      Location: next.startsWith('/') ? next : '/booking',
+      'Set-Cookie': `${SESSION_COOKIE}=${session}; Path=/; HttpOnly`
+    });
+  }
+
+  showCalendar(response) {
+    return this.send(response, 200, renderPage('Booking', `
+<input type="hidden" name="__RequestVerificationToken" value="${VERIFICATION_TOKEN}">
+<div id="booking-form" class="calendar">
+  <h1>Parkhurst bookings</h1>
+  <p>${this.bookings.length} booking(s) on the calendar.</p>
+</div>`));
+  }
+
+  showBookingForm(response, url) {
+    this.bookingPageLoads += 1;
+    if (this.scenario === 'unavailable_once' && this.bookingPageLoads === 1) {
+      return this.send(response, 503, renderPage('Unavailable', '<h1>Service temporarily unavailable</h1>'));
+    }
+
+    const booking = {
+      start: url.searchParams.get('nbstart'),
+      end: url.searchParams.get('nbend'),
+      spaces: (url.searchParams.get('nbspaces') || '').split(',').filter(Boolean)
+    };
+    const restyled = this.scenario === 'restyled';
+    let confirmButton = '<div class="row pt-5"><div class="col-12"><button type="button" class="btn btn-success" id="confirm">Confirm booking</button></div></div>';
+    if (this.scenario === 'no_confirm_button') {
+      confirmButton = '';
+    } else if (restyled) {
+      confirmButton = '<div class="actions"><button type="button" class="btn btn-primary reserve" id="confirm">Reserve now</button></div>';
+    }
+    const purposeField = this.scenario === 'purpose_required' ? `
+  <label>Purpose
+    <select name="purpose" data-field="purpose">
+      <option value="">Choose...</option>
+      <option value="tennis">Tennis</option>
+      <option value="pickleball">Pickleball</option>
+    </select>
+  </label>` : '';
+    const useModal = this.scenario !== 'no_modal' && !restyled;
+
+    return this.send(response, 200, renderPage('New booking', `
+<input type="hidden" name="__RequestVerificationToken" value="${VERIFICATION_TOKEN}">
+<form class="booking-form" onsubmit="return false">
+  <h1>New booking</h1>
+  <p>Space ${escapeHtml(booking.spaces.join(', '))} from ${escapeHtml(booking.start)} to ${escapeHtml(booking.end)}</p>
+  <label>Title <input type="text" name="${restyled ? 'subject' : 'title'}" data-field="title"></label>
+  <label>Signature <input type="text" name="${restyled ? 'resident-code' : 'signature'}" placeholder="${restyled ? 'Code' : 'Your initials'}" data-field="signature"></label>${purposeField}
+  ${confirmButton}
+  <div class="alert alert-danger" id="booking-alert" style="display: none"></div>
+</form>
+<div class="modal" id="confirm-modal" style="display: none">
+  <p>Are you sure you want to make this booking?</p>
+  <button type="button" class="btn btn-success" id="modal-confirm">OK</button>
+</div>
+<script>
+  const booking = ${JSON.stringify(booking)};
+  const modal = document.getElementById('confirm-modal');
+
+  async function submitBooking() {
+    modal.style.display = 'none';
+    const response = await fetch('/bookings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Skedda-RequestVerificationToken': '${VERIFICATION_TOKEN}' },
+      body: JSON.stringify({
+        ...booking,
+        title: document.querySelector('[data-field="title"]').value,
+        signature: document.querySelector('[data-field="signature"]').value,
+        purpose: document.querySelector('[data-field="purpose"]') ? document.querySelector('[data-field="purpose"]').value : null
+      })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      const alert = document.getElementById('booking-alert');
+      alert.textContent = result.error;
+      alert.style.display = 'block';
+      return;
+    }
+    if (result.redirect) {
+      window.location.href = result.redirect;
+    }
+  }
+
+  const confirm = document.getElementById('confirm');
+  if (confirm) {
+    confirm.addEventListener('click', () => {
+      if (${useModal}) {
+        modal.style.display = 'block';
+      } else {
+        submitBooking();
+      }
+    });
+  }
+  document.getElementById('modal-confirm').addEventListener('click', submitBooking);
+</script>`));
+  }
+
+  async createBooking(request, response) {
+    if (request.headers['x-skedda-requestverificationtoken'] !== VERIFICATION_TOKEN) {
+      return this.sendJson(response, 400, { error: 'Missing request verification token' });
+    }
+
+    const body = JSON.parse(await readBody(request));
+
+    if (this.scenario === 'slot_taken') {
+      return this.sendJson(response, 409, { error: 'This space has already been booked for the selected time.' });
+    }
+    if (this.scenario === 'policy_violation') {
+      return this.sendJson(response, 422, { error: 'This booking exceeds the maximum booking length allowed for your membership.' });
+    }
+    if (this.scenario === 'purpose_required' && !body.purpose) {
+      return this.sendJson(response, 422, { error: 'Please choose a purpose for this booking.' });
+    }
+
+    const booking = {
+      id: String(this.nextId++),
+      start: body.start,
+      end: body.end,
+      spaces: body.spaces,
+      title: body.title,
+      signature: body.signature,
+      purpose: body.purpose || null,
+      venueuser: this.venueUserId,
+      createdAt: Date.now()
+    };
+    this.bookings.push(booking);
+
+    return this.sendJson(response, 200, { id: booking.id, redirect: this.scenario === 'no_redirect' ? null : '/booking' });
+  }
+
+  listBookings(response, url) {
+    const start = url.searchParams.get('start') || '';
+    const end = url.searchParams.get('end') || '9999-12-31T23:59:59';
+    const bookings = this.bookings.filter(booking => booking.end > start && booking.start < end);
+    return this.sendJson(response, 200, { bookings });
+  }
+
+  deleteBooking(request, response, id) {
+    if (request.headers['x-skedda-requestverificationtoken'] !== VERIFICATION_TOKEN) {
+      return this.sendJson(response, 400, { error: 'Missing request verification token' });
+    }
+
+    const index = this.bookings.findIndex(booking => booking.id === id && booking.venueuser === this.venueUserId);
+    if (index === -1) {
+      return this.sendJson(response, 404, { error: `Booking ${id} not found` });
+    }
+
+    this.bookings.splice(index, 1);
+    return this.send(response, 204, '');
+  }
+}
+
+if (require.main === module) {
+  // Standalone mode for trying the CLI against the mock:
+  //   node test/mock-skedda/server.js [--port 4000] [--scenario slot_taken]
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const mock = new MockSkeddaServer({
+    email: process.env.BOOKING_EMAIL,
+    password: process.env.BOOKING_PASSWORD,
+    scenario: option('scenario') || 'success'
+  });
+
+  mock.start(parseInt(option('port') || '4000', 10)).then(() => {
+    console.log(`Mock Skedda listening on ${mock.origin} (scenario: ${mock.scenario}, login: ${mock.email})`);
+    console.log(`Use "baseUrl": "${mock.baseUrl}" and "loginUrl": "${mock.loginUrl}" in a test config.`);
+    console.log(`Switch scenarios with: curl -X POST -d slot_taken ${mock.origin}/__scenario`);
+  });
+}
+
+module.exports = {
+  MockSkeddaServer,
+  SCENARIOS
+};
@@ -0,0 +1,253 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const { createClient, BookingClient, groupResultsByTarget, BookingSystemError, ValidationError, ConfigError, PolicyError, BookingError, EXIT_CODES } = require('../../src');
+const { toTypedError } = require('../../src/errors');
+const { recordAttempt } = require('../../src/history');
+const BookingAutomator = require('../../src/booking');
+
+function clientConfig(dataDir, overrides = {}) {
+  return {
+    schemaVersion: 2,
+    credentials: { email: 'resident@example.com', password: 'secret' },
+    defaults: { signature: 'RS', bookInAdvanceDays: 15, windowOpensAt: '00:00:00', dataDir },
+    facilities: {
+      tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' },
+      tennis_upper: { spaceId: '1244467', name: 'Tennis - Upper Court Whole' }
+    },
+    urls: { baseUrl: 'https://parkhurst.skedda.com/booking' },
+    timezone: 'America/Los_Angeles',
+    policies: { maxMinutesPerBooking: 90, maxBookingsPerWeek: 2 },
+    ...overrides
+  };
+}
+
+describe('library client', function () {
+  const originalNow = moment.now;
+  const originalEnv = { ...process.env };
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-client-'));
+    // 10:00 on 1 June 2025 at the venue
+    moment.now = () => Date.parse('2025-06-01T17:00:00Z');
+    delete process.env.BOOKING_EMAIL;
+    delete process.env.BOOKING_PASSWORD;
+    delete process.env.BOOKING_SIGNATURE;
+  });
+
+  afterEach(function () {
+    moment.now = originalNow;
+    process.env = { ...originalEnv };
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('lists facilities from a config object, per venue when venues are named', function () {
+    const config = clientConfig(dataDir);
+    assert.deepStrictEqual(createClient(config).listFacilities().map(facility => facility.key), ['tennis_lower', 'tennis_upper']);
+
+    const venues = createClient(clientConfig(dataDir, {
+      venues: {
+        parkhurst: {},
+        riverside: { facilities: { court_1: { spaceId: '900001', name: 'Court 1' } } }
+      }
+    }));
+    assert.deepStrictEqual(venues.listFacilities().map(facility => `${facility.venue}/${facility.key}`), [
+      'parkhurst/tennis_lower',
+      'parkhurst/tennis_upper',
+      'riverside/court_1'
+    ]);
+    assert.deepStrictEqual(venues.listFacilities({ venue: 'riverside' }).map(facility => facility.key), ['court_1']);
+    // The caller's object is left as it was
+    assert.strictEqual(config.venue, undefined);
+  });
+
+  it('validates and normalizes a booking request without booking it', function () {
+    const client = createClient(clientConfig(dataDir));
+
+    assert.deepStrictEqual(client.validateBooking({ facility: 'tennis_lower', bookInAdvance: '15', startTime: '18:00', endTime: '19:00' }), {
+      venue: null,
+      profile: 'resident@example.com',
+      facility: 'tennis_lower',
+      facilityName: 'Tennis - Lower Court Whole',
+      date: '2025-06-16',
+      startTime: '18:00',
+      endTime: '19:00',
+      signature: 'RS',
+      title: null,
+      headless: true,
+      dryRun: false,
+      submitAt: null
+    });
+
+    const scheduled = client.validateBooking({ facility: 'tennis_upper', date: '2025-06-17', startTime: '18:00', endTime: '19:00', whenWindowOpens: true, signature: 'XY' });
+    assert.strictEqual(scheduled.submitAt, '2025-06-02T00:00:00-07:00');
+    assert.strictEqual(scheduled.signature, 'XY');
+  });
+
+  it('holds for the window about to open when started just before midnight', function () {
+    // 23:58 on 19 October at the venue; the window opens at midnight
+    moment.now = () => Date.parse('2026-10-20T06:58:00Z');
+    const client = createClient(clientConfig(dataDir));
+    const request = { facility: 'tennis_lower', startTime: '18:00', endTime: '19:00' };
+    const resolve = fields => {
+      const booking = client.validateBooking({ ...request, ...fields });
+      return [booking.date, booking.submitAt];
+    };
+
+    assert.deepStrictEqual(resolve({ bookInAdvance: true, whenWindowOpens: true }), ['2026-11-04', '2026-10-20T00:00:00-07:00']);
+    assert.deepStrictEqual(resolve({ whenWindowOpens: true }), ['2026-11-04', '2026-10-20T00:00:00-07:00']);
+    assert.deepStrictEqual(resolve({ bookInAdvance: '15', at: '00:00:00' }), ['2026-11-04', '2026-10-20T00:00:00-07:00']);
+    // A time still ahead today stays today
+    assert.deepStrictEqual(resolve({ bookInAdvance: '15', at: '23:59:30' }), ['2026-11-03', '2026-10-19T23:59:30-07:00']);
+    assert.deepStrictEqual(resolve({ date: '2026-11-04', whenWindowOpens: true }), ['2026-11-04', '2026-10-20T00:00:00-07:00']);
+
+    // The window for this date opened at the start of the day: never submit as if it were still ahead
+    assert.throws(() => resolve({ date: '2026-11-03', whenWindowOpens: true }), error =>
+      error instanceof ValidationError && /already opened at 2026-10-19 00:00:00/.test(error.message));
+  });
+
+  it('throws typed errors carrying their code and exit code', function () {
+    const client = createClient(clientConfig(dataDir));
+    const request = { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00' };
+
+    assert.throws(() => client.validateBooking({ ...request, facility: 'pool' }), error =>
+      error instanceof ValidationError && error instanceof BookingSystemError && error.code === 'invalid_input' && error.exitCode === EXIT_CODES.invalidInput);
+    assert.throws(() => client.validateBooking({ ...request, date: '2025-05-01' }), ValidationError);
+    assert.throws(() => client.validateBooking({ ...request, endTime: '21:00' }), error =>
+      error instanceof PolicyError && /maximum|90/.test(error.message) && error.exitCode === EXIT_CODES.policyBlocked);
+    assert.throws(() => createClient(clientConfig(dataDir, { timezone: 'Mars/Olympus' })).validateBooking(request), ConfigError);
+    assert.throws(() => createClient(path.join(dataDir, 'missing.json')).listFacilities(), ConfigError);
+
+    // Bookings earlier in the same run count towards the weekly limit
+    const pending = [client.validateBooking(request), client.validateBooking({ ...request, date: '2025-06-17' })];
+    assert.throws(() => client.validateBooking({ ...request, date: '2025-06-18' }, { pending }), PolicyError);
+    assert.doesNotThrow(() => client.validateBooking({ ...request, date: '2025-06-18' }, { pending, checkPolicies: false }));
+  });
+
+  it('turns booking failures into BookingErrors that keep their details', function () {
+    const failure = new Error('Booking failed. Detected error message: "Slot already booked"');
+    Object.assign(failure, { errorType: 'slot_unavailable', transient: false, attempts: 1, artifactsPath: 'data/runs/x' });
+
+    const error = toTypedError(failure);
+    assert.ok(error instanceof BookingError);
+    assert.deepStrictEqual(
+      [error.name, error.code, error.exitCode, error.errorType, error.attempts, error.artifactsPath, error.cause],
+      ['BookingError', 'slot_unavailable', 66, 'slot_unavailable', 1, 'data/runs/x', failure]
+    );
+    assert.strictEqual(toTypedError(error), error);
+    assert.strictEqual(toTypedError(new Error('Something else')).constructor, BookingSystemError);
+  });
+
+  it('re-emits the automation progress steps as events', function () {
+    const client = new BookingClient(clientConfig(dataDir));
+    const automator = client.createAutomator(client.loadConfig());
+    const events = [];
+    client.on('formFilled', details => events.push(['formFilled', details]));
+    client.on('verified', () => {
+      throw new Error('listener bug');
+    });
+
+    automator.currentBooking = { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00', attempt: 1 };
+    automator.reportProgress('formFilled', { title: 'Tennis' });
+    // A failing listener never breaks the booking
+    assert.doesNotThrow(() => automator.reportProgress('verified'));
+
+    assert.deepStrictEqual(events, [['formFilled', { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00', attempt: 1, title: 'Tennis' }]]);
+  });
+
+  describe('parallel bookings', function () {
+    const { launchBrowser } = BookingAutomator;
+    const { book } = BookingAutomator.prototype;
+    let browser;
+    let running;
+    let maxRunning;
+
+    beforeEach(function () {
+      // Stand-ins for the browser: each booking takes a moment and slot_taken rows fail
+      browser = { closed: false, close: async () => { browser.closed = true; } };
+      running = 0;
+      maxRunning = 0;
+      BookingAutomator.launchBrowser = async () => browser;
+      BookingAutomator.prototype.book = async function (request) {
+        assert.strictEqual(this.sharedBrowser, browser);
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+        if (request.customTitle === 'slot_taken') {
+          throw Object.assign(new Error('Booking failed. Detected error message: "Slot already booked"'), { errorType: 'slot_unavailable', transient: false });
+        }
+        return { title: `${request.facility.name} ${request.startTime}`, attempts: 1, submittedAt: Date.now() };
+      };
+
+      process.env.PROFILE_JOHN_SMITH_EXAMPLE_COM_USERNAME = 'john.smith@example.com';
+      process.env.PROFILE_JOHN_SMITH_EXAMPLE_COM_PASSWORD = 'secret';
+      process.env.PROFILE_JANE_SMITH_EXAMPLE_COM_USERNAME = 'jane.smith@example.com';
+      process.env.PROFILE_JANE_SMITH_EXAMPLE_COM_PASSWORD = 'secret';
+    });
+
+    afterEach(function () {
+      BookingAutomator.launchBrowser = launchBrowser;
+      BookingAutomator.prototype.book = book;
+    });
+
+    it('books each row in its own context, at most `concurrency` at once, and reports per target', async function () {
+      const client = createClient(clientConfig(dataDir, { policies: { households: { smith: ['john.smith@example.com', 'jane.smith@example.com'] } } }));
+      const planned = [];
+      client.on('planned', summary => planned.push(summary));
+
+      const results = await client.bookAll([
+        { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00', profile: 'john.smith@example.com' },
+        { facility: 'tennis_upper', date: '2025-06-16', startTime: '18:00', endTime: '19:00', profile: 'jane.smith@example.com' },
+        { facility: 'tennis_lower', date: '2025-06-16', startTime: '19:00', endTime: '20:00', profile: 'john.smith@example.com', title: 'slot_taken' },
+        { facility: 'tennis_upper', date: '2025-06-16', startTime: '19:00', endTime: '20:00' }
+      ], { parallel: true, concurrency: 2 });
+
+      assert.deepStrictEqual(planned, [{ total: 4, invalid: 0, sessions: 4, parallel: true, concurrency: 2 }]);
+      assert.strictEqual(maxRunning, 2);
+      assert.ok(browser.closed);
+      assert.deepStrictEqual(results.map(result => result.success), [true, true, false, true]);
+      assert.ok(results[2].error instanceof BookingError);
+      assert.strictEqual(results[0].outcome.title, 'Tennis - Lower Court Whole 18:00');
+
+      assert.deepStrictEqual(groupResultsByTarget(results).map(target => [target.facility, target.startTime, target.booked, target.bookedBy, target.rows]), [
+        ['tennis_lower', '18:00', true, ['john.smith@example.com'], [1]],
+        ['tennis_upper', '18:00', true, ['jane.smith@example.com'], [2]],
+        ['tennis_lower', '19:00', false, [], [3]],
+        ['tennis_upper', '19:00', true, [null], [4]]
+      ]);
+    });
+
+    it('never lets a household book the same slot twice', async function () {
+      const client = createClient(clientConfig(dataDir, { policies: { households: { smith: ['john.smith@example.com', 'jane.smith@example.com'] } } }));
+
+      const results = await client.bookAll([
+        { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00', profile: 'john.smith@example.com' },
+        { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:30', endTime: '19:30', profile: 'jane.smith@example.com' },
+        // Another household may compete for the same court
+        { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00' }
+      ], { parallel: true });
+
+      assert.deepStrictEqual(results.map(result => result.success), [true, false, true]);
+      assert.ok(results[1].error instanceof PolicyError);
+      assert.match(results[1].error.message, /Household 'smith' is already booking tennis_lower on 2025-06-16 at 18:00-19:00 in this run/);
+
+      // Once the booking is in the history a later run is refused too
+      recordAttempt(client.loadConfig(), { profile: 'john.smith@example.com', facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00', outcome: 'success' });
+      const [again] = await client.bookAll([{ facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00', profile: 'jane.smith@example.com' }], { parallel: true });
+      assert.ok(again.error instanceof PolicyError);
+      assert.match(again.error.message, /already has tennis_lower/);
+    });
+
+    it('needs parallel for timed submission and a positive concurrency', async function () {
+      const client = createClient(clientConfig(dataDir));
+      const rows = [{ facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00' }];
+
+      await assert.rejects(client.bookAll(rows, { whenWindowOpens: true }), ValidationError);
+      await assert.rejects(client.bookAll(rows, { parallel: true, concurrency: '0' }), ValidationError);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, validateConfig, getSampleConfig } = require('../../src/config');
+const { CONFIG_SCHEMA_VERSION, checkSchema, migrateConfig } = require('../../src/schema');
+const { runInitWizard } = require('../../src/wizard');
+
+const EXAMPLE_CONFIG = path.join(__dirname, '..', '..', 'config', 'config.example.json');
+
+function exampleConfig() {
+  return JSON.parse(fs.readFileSync(EXAMPLE_CONFIG, 'utf8'));
+}
+
+describe('config schema', function () {
+  it('accepts the example and sample configs', function () {
+    assert.deepStrictEqual(checkSchema(exampleConfig()), []);
+    assert.deepStrictEqual(checkSchema(getSampleConfig()), []);
+    assert.doesNotThrow(() => validateConfig(exampleConfig()));
+  });
+
+  it('reports every wrongly typed or unknown setting with its path', function () {
+    const config = exampleConfig();
+    config.defaults.headless = 'yes';
+    config.defaults.timeout = '30s';
+    config.defaults.colour = 'green';
+    config.facilities.tennis_upper.spaceId = 1244467;
+    config.policies.peakHours.days = ['Mon', 'Funday', 'Tuesdayish', 'Monkey', 'thursday'];
+    delete config.urls.baseUrl;
+
+    assert.deepStrictEqual(checkSchema(config).map(problem => `${problem.path} ${problem.message}`), [
+      'config.defaults.headless must be true or false',
+      'config.defaults.timeout must be a whole number',
+      'config.defaults.colour is not a known setting',
+      'config.facilities.tennis_upper.spaceId must be a string',
+      'config.urls.baseUrl is required',
+      'config.policies.peakHours.days[1] must be a weekday name (e.g. "Tue" or "Tuesday")',
+      'config.policies.peakHours.days[2] must be a weekday name (e.g. "Tue" or "Tuesday")',
+      'config.policies.peakHours.days[3] must be a weekday name (e.g. "Tue" or "Tuesday")'
+    ]);
+  });
+
+  it('checks venue settings against the same definitions', function () {
+    const config = exampleConfig();
+    config.venues = { club: { urls: { baseUrl: 'club.skedda.com' }, bufferMinutes: 10 } };
+
+    assert.deepStrictEqual(checkSchema(config).map(problem => `${problem.path} ${problem.message}`), [
+      'config.venues.club.urls.baseUrl must be an http(s) URL',
+      'config.venues.club.bufferMinutes is not a known setting'
+    ]);
+  });
+
+  it('fails validation with all problems listed and rejects duplicate space ids', function () {
+    const config = exampleConfig();
+    config.defaults.bufferMinutes = '15';
+    config.defaults.timeout = 'long';
+
+    assert.throws(() => validateConfig(config), error => {
+      assert.match(error.message, /Config does not match schema version 2:\n {2}- config\.defaults\.bufferMinutes must be a number\n {2}- config\.defaults\.timeout must be a whole number/);
+      assert.strictEqual(error.problems.length, 2);
+      return true;
+    });
+
+    const duplicate = exampleConfig();
+    duplicate.facilities.tennis_upper.spaceId = '1244466';
+    assert.throws(() => validateConfig(duplicate), /Facilities tennis_lower and tennis_upper have the same spaceId 1244466/);
+  });
+
+  it('reports shape problems by path before checking settings against each other', function () {
+    const config = exampleConfig();
+    config.defaults.bookInAdvanceDays = -1;
+    config.defaults.retry = { maxAttempts: 0 };
+    config.timezone = 'Mars/Olympus';
+    config.venues = { 'my club': { facilities: {} } };
+    config.recurring = [{ id: 'tue', facility: 'pool', days: ['Tue'], startTime: '18:00', endTime: '19:00' }];
+
+    assert.throws(() => validateConfig(config), error => {
+      assert.deepStrictEqual(error.problems.map(problem => `${problem.path} ${problem.message}`), [
+        'config.defaults.bookInAdvanceDays must be at least 0',
+        'config.defaults.retry.maxAttempts must be at least 1',
+        'config.timezone must be an IANA timezone name such as America/Los_Angeles',
+        'config.venues.my club name must match ^[A-Za-z0-9_-]+$',
+        'config.venues.my club.facilities must not be empty'
+      ]);
+      assert.strictEqual(error.code, 'config_invalid');
+      return true;
+    });
+
+    // Once the shape is right, references between sections are checked
+    const unknownFacility = exampleConfig();
+    unknownFacility.recurring = [{ id: 'tue', facility: 'pool', days: ['Tue'], startTime: '18:00', endTime: '19:00' }];
+    assert.throws(() => validateConfig(unknownFacility), /Unknown facility 'pool' in recurring rule tue/);
+    const backwards = exampleConfig();
+    backwards.recurring = [{ id: 'tue', facility: 'tennis_lower', days: ['Tue'], startTime: '19:00', endTime: '18:00' }];
+    assert.throws(() => validateConfig(backwards), /Recurring rule tue needs a startTime before its endTime/);
+  });
+});
+
+describe('config migration', function () {
+  it('upgrades unversioned configs and lists each change', function () {
+    const original = exampleConfig();
+    delete original.schemaVersion;
+    original.defaults.bufferMinutes = '15';
+    original.defaults.headless = 'False';
+    original.defaults.windowOpensAt = '07:00';
+    original.venues = { club: { facilities: { court: { spaceId: 42, name: 'Court' } } } };
+
+    const { config, fromVersion, changes } = migrateConfig(original);
+    assert.strictEqual(fromVersion, 1);
+    assert.strictEqual(Object.keys(config)[0], 'schemaVersion');
+    assert.strictEqual(config.schemaVersion, CONFIG_SCHEMA_VERSION);
+    assert.deepStrictEqual(changes.map(change => [change.path, change.after]), [
+      ['config.defaults.bufferMinutes', 15],
+      ['config.defaults.headless', false],
+      ['config.defaults.windowOpensAt', '07:00:00'],
+      ['config.venues.club.facilities.court.spaceId', '42']
+    ]);
+    assert.deepStrictEqual(checkSchema(config), []);
+    assert.strictEqual(original.defaults.bufferMinutes, '15');
+  });
+
+  it('leaves current configs alone and refuses newer ones', function () {
+    const config = exampleConfig();
+    assert.deepStrictEqual(migrateConfig(config), { config, fromVersion: CONFIG_SCHEMA_VERSION, changes: [] });
+    assert.throws(() => migrateConfig({ ...config, schemaVersion: CONFIG_SCHEMA_VERSION + 1 }), /is newer than this version/);
+  });
+
+  it('upgrades older files in memory when loading', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-config-'));
+    try {
+      const original = exampleConfig();
+      delete original.schemaVersion;
+      original.defaults.timeout = '30000';
+      const configPath = path.join(dir, 'config.json');
+      fs.writeFileSync(configPath, JSON.stringify(original));
+
+      const config = loadConfig(configPath);
+      assert.strictEqual(config.defaults.timeout, 30000);
+      assert.strictEqual(config.schemaVersion, CONFIG_SCHEMA_VERSION);
+      assert.ok(!fs.readFileSync(configPath, 'utf8').includes('schemaVersion'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('resolves calendar paths from the config file, not the working directory', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-config-'));
+    try {
+      const original = exampleConfig();
+      original.calendar = { file: 'calendars/bookings.ics', directory: 'calendars', name: 'Courts' };
+      const configPath = path.join(dir, 'config.json');
+      fs.writeFileSync(configPath, JSON.stringify(original));
+
+      const config = loadConfig(configPath);
+      assert.strictEqual(config.calendar.file, path.join(dir, 'calendars', 'bookings.ics'));
+      assert.strictEqual(config.calendar.directory, path.join(dir, 'calendars'));
+      assert.strictEqual(config.calendar.name, 'Courts');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('init wizard', function () {
+  function scripted(answers) {
+    const messages = [];
+    const ask = async (question, defaultValue) => {
+      if (answers.length === 0) {
+        throw new Error(`No answer left for: ${question}`);
+      }
+      const answer = answers.shift();
+      return answer === '' ? defaultValue : answer;
+    };
+    return { ask, print: message => messages.push(message), messages };
+  }
+
+  it('builds a valid config from the answers, asking again after invalid ones', async function () {
+    const io = scripted([
+      'https://oakridge.skedda.com/booking?x=1', 'America/Denver',
+      'pool', '1200', 'Pool',
+      'pool', 'court_1', '1200', '1201', 'Court 1',
+      '',
+      'JS', '', '7', '7:00', '07:00:00', 'n',
+      'jane@example.com', 'sam@example.com, nope', 'sam@example.com',
+      'Sam Smith', 'SS',
+      'y', 'n'
+    ]);
+
+    const { config, email, profiles, storeInVault } = await runInitWizard(io);
+
+    assert.deepStrictEqual(checkSchema(config), []);
+    assert.deepStrictEqual(config.urls, { baseUrl: 'https://oakridge.skedda.com/booking', loginUrl: 'https://oakridge.skedda.com/login' });
+    assert.deepStrictEqual(config.facilities, { pool: { spaceId: '1200', name: 'Pool' }, court_1: { spaceId: '1201', name: 'Court 1' } });
+    assert.strictEqual(config.timezone, 'America/Denver');
+    assert.strictEqual(config.defaults.signature, 'JS');
+    assert.strictEqual(config.defaults.bufferMinutes, 15);
+    assert.strictEqual(config.defaults.bookInAdvanceDays, 7);
+    assert.strictEqual(config.defaults.windowOpensAt, '07:00:00');
+    assert.strictEqual(config.defaults.headless, false);
+    assert.deepStrictEqual(config.titles, { profiles: { 'sam@example.com': { name: 'Sam Smith' } } });
+    assert.deepStrictEqual(config.policies.households.household, ['jane@example.com', 'sam@example.com']);
+    assert.strictEqual(config.credentials.password, undefined);
+
+    assert.strictEqual(email, 'jane@example.com');
+    assert.deepStrictEqual(profiles, [{ email: 'sam@example.com', signature: 'SS' }]);
+    assert.strictEqual(storeInVault, false);
+    assert.ok(io.messages.includes('pool is already added'));
+    assert.ok(io.messages.includes('pool already uses space 1200'));
+    assert.ok(io.messages.includes('Use HH:MM:SS, e.g. 07:00:00'));
+    assert.ok(io.messages.includes('Not an email address: nope'));
+  });
+});
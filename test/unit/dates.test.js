@@ -0,0 +1,189 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const {
+  resolveBookingDate,
+  getWindowOpeningTime,
+  nextVenueTime,
+  isValidBookingDate,
+  venueToday,
+  generateBookingUrl,
+  formatBookingTitle,
+  getAvailabilityIntervals
+} = require('../../src/utils');
+const { Scheduler } = require('../../src/scheduler');
+
+const VENUE_TIMEZONE = 'America/Los_Angeles';
+// The venue's zone, a host on UTC and a host a day ahead of the venue
+const HOST_TIMEZONES = ['America/Los_Angeles', 'UTC', 'Pacific/Auckland'];
+
+function venueConfig(overrides = {}) {
+  return { timezone: VENUE_TIMEZONE, defaults: { bookInAdvanceDays: 15, windowOpensAt: '00:00:00' }, ...overrides };
+}
+
+for (const hostTimezone of HOST_TIMEZONES) {
+  describe(`venue date math on a host in ${hostTimezone}`, function () {
+    const originalTimezone = process.env.TZ;
+    const originalNow = moment.now;
+
+    // Freezes "now" for moment; all date math goes through it
+    const freezeClock = iso => {
+      moment.now = () => Date.parse(iso);
+    };
+
+    before(function () {
+      process.env.TZ = hostTimezone;
+    });
+
+    after(function () {
+      if (originalTimezone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = originalTimezone;
+      }
+    });
+
+    afterEach(function () {
+      moment.now = originalNow;
+    });
+
+    describe('resolveBookingDate', function () {
+      it('counts --book-in-advance from the venue date during a late-evening run', function () {
+        // 22:30 on Friday 13 June at the venue, already Saturday in UTC and Auckland
+        freezeClock('2025-06-14T05:30:00Z');
+
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: '15' }, venueConfig()), '2025-06-28');
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: true }, venueConfig()), '2025-06-28');
+        assert.strictEqual(resolveBookingDate({}, venueConfig()), '2025-06-28');
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: '0' }, venueConfig()), '2025-06-13');
+      });
+
+      it('returns --date unchanged and rejects dates before the venue\'s today', function () {
+        freezeClock('2025-06-14T05:30:00Z');
+
+        assert.strictEqual(resolveBookingDate({ date: '2025-06-13' }, venueConfig()), '2025-06-13');
+        assert.throws(() => resolveBookingDate({ date: '2025-06-12' }, venueConfig()), /in the past/);
+        assert.strictEqual(resolveBookingDate({ date: '2025-06-12', forceDate: true }, venueConfig()), '2025-06-12');
+        assert.throws(() => resolveBookingDate({ date: '2025-02-30' }, venueConfig()), /Invalid date/);
+      });
+
+      it('adds whole calendar days across the spring-forward change', function () {
+        // 23:30 on Saturday 8 March at the venue; clocks go forward at 02:00 on the 9th
+        freezeClock('2025-03-09T07:30:00Z');
+
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: '1' }, venueConfig()), '2025-03-09');
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: '2' }, venueConfig()), '2025-03-10');
+      });
+
+      it('adds whole calendar days across the fall-back change', function () {
+        // 23:30 on Saturday 1 November at the venue; clocks go back at 02:00 on the 2nd
+        freezeClock('2025-11-02T06:30:00Z');
+
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: '1' }, venueConfig()), '2025-11-02');
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: '15' }, venueConfig()), '2025-11-16');
+      });
+
+      it('uses the host date when no timezone is configured', function () {
+        freezeClock('2025-06-14T05:30:00Z');
+
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: '0' }, { defaults: {} }), moment().format('YYYY-MM-DD'));
+      });
+
+      it('counts from the submission day when one is given', function () {
+        // 23:58 on 19 October at the venue, holding for the midnight window
+        freezeClock('2026-10-20T06:58:00Z');
+
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: true }, venueConfig()), '2026-11-03');
+        assert.strictEqual(resolveBookingDate({ bookInAdvance: true }, venueConfig(), '2026-10-20'), '2026-11-04');
+        assert.strictEqual(resolveBookingDate({ date: '2026-11-01' }, venueConfig(), '2026-10-20'), '2026-11-01');
+      });
+    });
+
+    describe('nextVenueTime', function () {
+      it('moves a time that has passed at the venue to tomorrow', function () {
+        // 23:58 on 19 October at the venue, already the 20th in UTC and Auckland
+        freezeClock('2026-10-20T06:58:00Z');
+
+        assert.strictEqual(nextVenueTime('00:00:00', VENUE_TIMEZONE).format(), '2026-10-20T00:00:00-07:00');
+        assert.strictEqual(nextVenueTime('23:59:00', VENUE_TIMEZONE).format(), '2026-10-19T23:59:00-07:00');
+        assert.strictEqual(nextVenueTime('23:58:00', VENUE_TIMEZONE).format(), '2026-10-20T23:58:00-07:00');
+      });
+    });
+
+    describe('isValidBookingDate', function () {
+      it('compares against today at the venue', function () {
+        freezeClock('2025-06-14T05:30:00Z');
+
+        assert.strictEqual(venueToday(VENUE_TIMEZONE), '2025-06-13');
+        assert.strictEqual(isValidBookingDate('2025-06-13', VENUE_TIMEZONE), true);
+        assert.strictEqual(isValidBookingDate('2025-06-12', VENUE_TIMEZONE), false);
+        assert.strictEqual(isValidBookingDate('not-a-date', VENUE_TIMEZONE), false);
+      });
+    });
+
+    describe('getWindowOpeningTime', function () {
+      it('opens at the venue clock time', function () {
+        assert.strictEqual(getWindowOpeningTime('2025-06-28', 15, '00:00:00', VENUE_TIMEZONE).toISOString(), '2025-06-13T07:00:00.000Z');
+        assert.strictEqual(getWindowOpeningTime('2025-06-28', 15, '07:00:00', VENUE_TIMEZONE).toISOString(), '2025-06-13T14:00:00.000Z');
+      });
+
+      it('follows the UTC offset change on the spring-forward day', function () {
+        assert.strictEqual(getWindowOpeningTime('2025-03-23', 15, '07:00:00', VENUE_TIMEZONE).toISOString(), '2025-03-08T15:00:00.000Z');
+        assert.strictEqual(getWindowOpeningTime('2025-03-24', 15, '07:00:00', VENUE_TIMEZONE).toISOString(), '2025-03-09T14:00:00.000Z');
+        // 02:30 does not exist that day and resolves to 03:30 daylight time
+        assert.strictEqual(getWindowOpeningTime('2025-03-24', 15, '02:30:00', VENUE_TIMEZONE).toISOString(), '2025-03-09T10:30:00.000Z');
+      });
+
+      it('spaces windows 25 hours apart across the fall-back change', function () {
+        const before = getWindowOpeningTime('2025-11-17', 15, '00:00:00', VENUE_TIMEZONE);
+        const after = getWindowOpeningTime('2025-11-18', 15, '00:00:00', VENUE_TIMEZONE);
+
+        assert.strictEqual(before.toISOString(), '2025-11-02T07:00:00.000Z');
+        assert.strictEqual(after.diff(before, 'hours'), 25);
+      });
+    });
+
+    describe('wall-clock times', function () {
+      it('sends venue times to Skedda without converting them', function () {
+        freezeClock('2025-03-09T12:00:00Z');
+        const url = generateBookingUrl({ baseUrl: 'https://venue.skedda.com/booking', spaceId: '1', date: '2025-03-09', startTime: '01:30', endTime: '03:30' });
+
+        assert.ok(url.includes('nbstart=2025-03-09T01%3A30%3A00'), url);
+        assert.ok(url.includes('nbend=2025-03-09T03%3A30%3A00'), url);
+      });
+
+      it('builds titles without DST shifts', function () {
+        freezeClock('2025-03-09T12:00:00Z');
+
+        assert.strictEqual(formatBookingTitle('02:00', '03:00', 15), '1:45AM - 3:15AM');
+      });
+
+      it('measures availability in wall-clock minutes on DST days', function () {
+        const bookings = [{ start: '2025-03-09T01:00:00', end: '2025-03-09T04:00:00', title: 'Night owls' }];
+        const { taken, free } = getAvailabilityIntervals(bookings, '2025-03-09', '00:00', '06:00');
+
+        assert.deepStrictEqual(taken, [{ start: '01:00', end: '04:00', title: 'Night owls' }]);
+        assert.deepStrictEqual(free, [{ start: '00:00', end: '01:00' }, { start: '04:00', end: '06:00' }]);
+      });
+    });
+
+    describe('Scheduler', function () {
+      it('lists occurrences by venue date and opens their windows in venue time', function () {
+        const config = venueConfig({
+          recurring: [{ id: 'late', facility: 'tennis_lower', days: ['Fri'], startTime: '23:00', endTime: '23:30' }]
+        });
+        const scheduler = new Scheduler(config, {
+          runJob: () => {},
+          statePath: path.join(os.tmpdir(), 'parkhurst-unit-missing', 'scheduler-state.json')
+        });
+
+        // 22:30 on Friday 13 June at the venue: tonight's 23:00 slot is still upcoming
+        const [job] = scheduler.listJobs(moment('2025-06-14T05:30:00Z'));
+
+        assert.strictEqual(job.id, 'late@2025-06-13');
+        assert.strictEqual(new Date(job.opensAt).toISOString(), '2025-05-29T07:00:00.000Z');
+      });
+    });
+  });
+}
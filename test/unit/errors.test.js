@@ -0,0 +1,95 @@
+const assert = require('assert');
+const { EXIT_CODES, withErrorCode, getErrorCode, exitCodeForError, exitCodeForErrors, describeError } = require('../../src/errors');
+const { setLogFormat, log } = require('../../src/utils');
+
+function bookingError(errorType, transient) {
+  const error = new Error(`Sample ${errorType}`);
+  error.errorType = errorType;
+  error.transient = transient;
+  return error;
+}
+
+describe('exit codes', function () {
+  it('gives each kind of failure its own code', function () {
+    assert.strictEqual(exitCodeForError(withErrorCode(new Error('Invalid time format'), 'invalid_input')), EXIT_CODES.invalidInput);
+    assert.strictEqual(exitCodeForError(withErrorCode(new Error('Config file not found'), 'config_invalid')), EXIT_CODES.configInvalid);
+    assert.strictEqual(exitCodeForError(withErrorCode(new Error('Booking violates HOA policies'), 'policy_blocked')), EXIT_CODES.policyBlocked);
+    assert.strictEqual(exitCodeForError(withErrorCode(new Error('1 of 1 notifier(s) failed: webhook #1'), 'notification_failed')), EXIT_CODES.notificationFailed);
+    assert.strictEqual(exitCodeForError(bookingError('slot_unavailable', false)), 66);
+    assert.strictEqual(exitCodeForError(bookingError('login_failed', true)), 77);
+    assert.strictEqual(exitCodeForError(bookingError('navigation_timeout', true)), 76);
+    assert.strictEqual(exitCodeForError(bookingError('unknown', false)), EXIT_CODES.permanent);
+    assert.strictEqual(exitCodeForError(new Error('Something else')), EXIT_CODES.error);
+  });
+
+  it('keeps the first code and treats failures after the confirm click as unconfirmed', function () {
+    const error = withErrorCode(withErrorCode(new Error('Facility not found'), 'invalid_input'), 'config_invalid');
+    assert.strictEqual(error.code, 'invalid_input');
+    // Node's own codes (ENOENT, ...) are replaced
+    assert.strictEqual(withErrorCode(Object.assign(new Error('missing'), { code: 'ENOENT' }), 'config_invalid').code, 'config_invalid');
+
+    assert.strictEqual(getErrorCode(bookingError('navigation_timeout', false)), 'no_confirmation');
+    assert.strictEqual(exitCodeForError(bookingError('navigation_timeout', false)), EXIT_CODES.noConfirmation);
+    // Rejected credentials are permanent without a confirm click
+    const rejected = Object.assign(bookingError('login_failed', false), { credentialsRejected: true });
+    assert.strictEqual(getErrorCode(rejected), 'login_failed');
+    assert.strictEqual(exitCodeForError(rejected), EXIT_CODES.loginFailed);
+  });
+
+  it('picks one code for a run with several failures', function () {
+    const timeout = bookingError('navigation_timeout', true);
+    const login = bookingError('login_failed', true);
+    const taken = bookingError('slot_unavailable', false);
+    const invalid = withErrorCode(new Error('Invalid time format'), 'invalid_input');
+    const config = withErrorCode(new Error('Config file not found'), 'config_invalid');
+
+    assert.strictEqual(exitCodeForErrors([timeout, timeout]), EXIT_CODES.navigationTimeout);
+    assert.strictEqual(exitCodeForErrors([timeout, login, invalid]), EXIT_CODES.transient);
+    assert.strictEqual(exitCodeForErrors([timeout, taken]), EXIT_CODES.permanent);
+    assert.strictEqual(exitCodeForErrors([invalid, config]), EXIT_CODES.error);
+  });
+
+  it('describes errors for --json output', function () {
+    const error = bookingError('slot_unavailable', false);
+    error.attempts = 1;
+    error.artifactsPath = 'data/runs/x';
+
+    assert.deepStrictEqual(describeError(error), {
+      message: 'Sample slot_unavailable',
+      code: 'slot_unavailable',
+      exitCode: 66,
+      errorType: 'slot_unavailable',
+      transient: false,
+      attempts: 1,
+      retriesExhausted: false,
+      artifactsPath: 'data/runs/x',
+      matchedSelectors: null,
+      problems: null
+    });
+  });
+});
+
+describe('log', function () {
+  afterEach(function () {
+    setLogFormat('text');
+  });
+
+  it('writes JSON lines to stderr in json format', function () {
+    const written = [];
+    const write = process.stderr.write;
+    process.stderr.write = chunk => written.push(chunk);
+    try {
+      setLogFormat('json');
+      log('Booking details: Tennis', 'warn');
+    } finally {
+      process.stderr.write = write;
+    }
+
+    assert.strictEqual(written.length, 1);
+    assert.ok(written[0].endsWith('\n'));
+    const line = JSON.parse(written[0]);
+    assert.deepStrictEqual({ level: line.level, message: line.message }, { level: 'warn', message: 'Booking details: Tennis' });
+    assert.ok(!isNaN(Date.parse(line.time)));
+    assert.throws(() => setLogFormat('xml'), /Unknown log format 'xml'/);
+  });
+});
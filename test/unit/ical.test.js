@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  escapeText,
+  foldLine,
+  getBookingUid,
+  buildEvent,
+  renderCalendar,
+  parseCalendarEvents,
+  writeBookingCalendar,
+  removeBookingFromCalendar
+} = require('../../src/ical');
+
+function calendarConfig(dataDir, overrides = {}) {
+  return {
+    venue: null,
+    timezone: 'America/Los_Angeles',
+    credentials: { email: 'resident@example.com' },
+    defaults: { bufferMinutes: 15, dataDir },
+    urls: { baseUrl: 'https://parkhurst.skedda.com/booking' },
+    facilities: {
+      tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' },
+      clubhouse: { spaceId: '1244470', name: 'Clubhouse', bufferMinutes: 30 }
+    },
+    ...overrides
+  };
+}
+
+function booking(overrides = {}) {
+  return {
+    profile: 'resident@example.com',
+    facility: 'tennis_lower',
+    facilityName: 'Tennis - Lower Court Whole',
+    date: '2025-06-15',
+    startTime: '12:00',
+    endTime: '13:00',
+    title: '11:45AM - 1:15PM',
+    timestamp: '2025-06-01T07:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('iCalendar export', function () {
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-ical-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('escapes text values and folds long lines at 75 octets', function () {
+    assert.strictEqual(escapeText('Court 1; Lower, East\\West\nNote'), 'Court 1\\; Lower\\, East\\\\West\\nNote');
+
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    assert.ok(lines.length > 1);
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.slice(1).every(line => line.startsWith(' ')));
+    assert.strictEqual(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join(''), `DESCRIPTION:${'é'.repeat(60)}`);
+  });
+
+  it('gives the same booking the same UID and other bookings different ones', function () {
+    assert.strictEqual(getBookingUid(booking()), getBookingUid(booking({ profile: 'Resident@Example.com', title: 'Other' })));
+    assert.notStrictEqual(getBookingUid(booking()), getBookingUid(booking({ startTime: '13:00' })));
+    assert.notStrictEqual(getBookingUid(booking()), getBookingUid(booking({ venue: 'club' })));
+  });
+
+  it('spans the buffered times in the venue timezone', function () {
+    const event = buildEvent(calendarConfig(dataDir), booking());
+    assert.ok(event.lines.includes('DTSTART;TZID=America/Los_Angeles:20250615T114500'));
+    assert.ok(event.lines.includes('DTEND;TZID=America/Los_Angeles:20250615T131500'));
+    assert.ok(event.lines.includes('SUMMARY:Tennis - Lower Court Whole'));
+
+    const late = buildEvent(calendarConfig(dataDir), booking({ facility: 'clubhouse', facilityName: 'Clubhouse', startTime: '22:00', endTime: '23:45' }));
+    assert.ok(late.lines.includes('DTSTART;TZID=America/Los_Angeles:20250615T213000'));
+    assert.ok(late.lines.includes('DTEND;TZID=America/Los_Angeles:20250616T001500'));
+  });
+
+  it('describes the venue timezone changes in a VTIMEZONE', function () {
+    const calendar = renderCalendar([buildEvent(calendarConfig(dataDir), booking())]);
+    assert.match(calendar, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(calendar, /BEGIN:VTIMEZONE\r\nTZID:America\/Los_Angeles\r\n/);
+    assert.match(calendar, /BEGIN:DAYLIGHT\r\nDTSTART:20250309T020000\r\nTZOFFSETFROM:-0800\r\nTZOFFSETTO:-0700\r\nTZNAME:PDT\r\n/);
+    assert.match(calendar, /BEGIN:STANDARD\r\nDTSTART:20251102T020000\r\nTZOFFSETFROM:-0700\r\nTZOFFSETTO:-0800\r\n/);
+    assert.match(calendar, /END:VCALENDAR\r\n$/);
+  });
+
+  it('writes one .ics file per booking by default and deletes it on cancel', function () {
+    const config = calendarConfig(dataDir);
+    const filePath = writeBookingCalendar(config, booking());
+
+    assert.strictEqual(filePath, path.join(dataDir, 'calendar', 'tennis_lower-2025-06-15-1200.ics'));
+    const [event] = parseCalendarEvents(fs.readFileSync(filePath, 'utf8'));
+    assert.strictEqual(event.uid, getBookingUid(booking()));
+
+    removeBookingFromCalendar(config, booking({ outcome: 'cancelled' }));
+    assert.ok(!fs.existsSync(filePath));
+  });
+
+  it('merges bookings into calendar.file by UID', function () {
+    const calendarFile = path.join(dataDir, 'shared', 'bookings.ics');
+    const config = calendarConfig(dataDir, { calendar: { file: calendarFile, name: 'Smith household' } });
+
+    writeBookingCalendar(config, booking());
+    writeBookingCalendar(config, booking({ date: '2025-06-16' }));
+    writeBookingCalendar(config, booking({ title: 'Rebooked' }));
+
+    let events = parseCalendarEvents(fs.readFileSync(calendarFile, 'utf8'));
+    assert.deepStrictEqual(events.map(event => event.date), ['2025-06-15', '2025-06-16']);
+    assert.ok(events[0].lines.some(line => line.includes('Rebooked')));
+    assert.match(fs.readFileSync(calendarFile, 'utf8'), /X-WR-CALNAME:Smith household/);
+
+    removeBookingFromCalendar(config, booking({ date: '2025-06-16' }));
+    events = parseCalendarEvents(fs.readFileSync(calendarFile, 'utf8'));
+    assert.deepStrictEqual(events.map(event => event.date), ['2025-06-15']);
+  });
+
+  it('writes nothing when the calendar is disabled', function () {
+    const config = calendarConfig(dataDir, { calendar: { enabled: false } });
+    assert.strictEqual(writeBookingCalendar(config, booking()), null);
+    assert.ok(!fs.existsSync(path.join(dataDir, 'calendar')));
+  });
+});
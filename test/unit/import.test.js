@@ -0,0 +1,185 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const { parseIcsEvents, parseCsvEvents, matchFacility, planImport, getImportId } = require('../../src/importer');
+const { Scheduler, queueBookings, readQueuedBookings } = require('../../src/scheduler');
+const { validateConfig } = require('../../src/config');
+
+const VENUE_TIMEZONE = 'America/Los_Angeles';
+
+function importConfig(dataDir, overrides = {}) {
+  return {
+    venue: null,
+    timezone: VENUE_TIMEZONE,
+    credentials: { email: 'resident@example.com' },
+    defaults: { bookInAdvanceDays: 15, windowOpensAt: '00:00:00', dataDir },
+    facilities: {
+      tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' },
+      tennis_upper: { spaceId: '1244467', name: 'Tennis - Upper Court Whole' }
+    },
+    import: {
+      rules: [
+        { location: 'lower', facility: 'tennis_lower' },
+        { summary: '^juniors', facility: 'tennis_upper' }
+      ]
+    },
+    ...overrides
+  };
+}
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+}
+
+describe('calendar import', function () {
+  const originalNow = moment.now;
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-import-'));
+    // 10:00 on 1 June 2025 at the venue
+    moment.now = () => Date.parse('2025-06-01T17:00:00Z');
+  });
+
+  afterEach(function () {
+    moment.now = originalNow;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('iCalendar parsing', function () {
+    it('converts UTC and TZID times to venue time and takes floating times as venue time', function () {
+      const events = parseIcsEvents(calendar(
+        ['UID:a', 'SUMMARY:UTC', 'DTSTART:20250615T170000Z', 'DTEND:20250615T183000Z'],
+        ['UID:b', 'SUMMARY:New York', 'DTSTART;TZID=America/New_York:20250615T130000', 'DTEND;TZID="America/New_York":20250615T140000'],
+        ['UID:c', 'SUMMARY:Floating', 'DTSTART:20250615T190000', 'DURATION:PT1H30M']
+      ), VENUE_TIMEZONE);
+
+      assert.deepStrictEqual(events.map(event => [event.date, event.startTime, event.endTime]), [
+        ['2025-06-15', '10:00', '11:30'],
+        ['2025-06-15', '10:00', '11:00'],
+        ['2025-06-15', '19:00', '20:30']
+      ]);
+    });
+
+    it('unfolds lines and unescapes text', function () {
+      const [event] = parseIcsEvents(calendar([
+        'UID:match-1@league',
+        'SUMMARY:Smith vs Jones\\, round 1\\; fin',
+        ' al',
+        'LOCATION:Lower Court',
+        'DTSTART:20250615T170000Z',
+        'DTEND:20250615T180000Z'
+      ]), VENUE_TIMEZONE);
+
+      assert.strictEqual(event.uid, 'match-1@league');
+      assert.strictEqual(event.summary, 'Smith vs Jones, round 1; final');
+      assert.strictEqual(event.location, 'Lower Court');
+    });
+
+    it('gives events that cannot be booked a skip reason', function () {
+      const events = parseIcsEvents(calendar(
+        ['SUMMARY:All day', 'DTSTART;VALUE=DATE:20250615'],
+        ['SUMMARY:Weekly', 'DTSTART:20250615T170000Z', 'DTEND:20250615T180000Z', 'RRULE:FREQ=WEEKLY'],
+        ['SUMMARY:Called off', 'STATUS:CANCELLED', 'DTSTART:20250615T170000Z', 'DTEND:20250615T180000Z'],
+        ['SUMMARY:Overnight', 'DTSTART:20250616T050000Z', 'DTEND:20250616T080000Z'],
+        ['SUMMARY:Windows zone', 'DTSTART;TZID=Pacific Standard Time:20250615T100000', 'DTEND;TZID=Pacific Standard Time:20250615T110000']
+      ), VENUE_TIMEZONE);
+
+      assert.deepStrictEqual(events.map(event => event.skipReason), [
+        'all-day event',
+        'recurring events are not expanded; add a recurring rule to config instead',
+        'cancelled in the calendar',
+        'ends on another day',
+        'unknown timezone Pacific Standard Time'
+      ]);
+    });
+  });
+
+  it('reads CSV columns under their usual names', function () {
+    const [event] = parseCsvEvents('Subject,Court,Date,Start Time,End Time\n"Juniors, group A",Upper,2025-06-15,09:00,10:00\n');
+    assert.strictEqual(event.summary, 'Juniors, group A');
+    assert.strictEqual(event.location, 'Upper');
+    assert.strictEqual(event.date, '2025-06-15');
+    assert.strictEqual(event.startTime, '09:00');
+    assert.strictEqual(event.endTime, '10:00');
+  });
+
+  it('maps events to facilities by rule, then by facility key or name', function () {
+    const config = importConfig(dataDir);
+    assert.strictEqual(matchFacility(config, { location: 'Lower Court', summary: 'Match' }), 'tennis_lower');
+    assert.strictEqual(matchFacility(config, { location: 'Clubhouse', summary: 'Juniors training' }), 'tennis_upper');
+    assert.strictEqual(matchFacility(config, { location: 'Tennis - Upper Court Whole', summary: 'Match' }), 'tennis_upper');
+    assert.strictEqual(matchFacility(config, { location: 'tennis_upper', summary: '' }), 'tennis_upper');
+    assert.strictEqual(matchFacility(config, { location: 'Elsewhere Park', summary: 'Away game' }), null);
+  });
+
+  it('rejects import rules with unknown facilities or bad patterns', function () {
+    const withRules = rules => ({
+      ...importConfig(dataDir, { import: { rules } }),
+      credentials: { email: 'resident@example.com', password: 'secret' },
+      urls: { baseUrl: 'https://venue.example.com/booking', loginUrl: 'https://venue.example.com/login' }
+    });
+
+    assert.doesNotThrow(() => validateConfig(withRules([{ location: 'lower', facility: 'tennis_lower' }])));
+    assert.throws(() => validateConfig(withRules([{ location: 'lower', facility: 'pool' }])), /Import rule #1 maps to unknown facility 'pool'/);
+    assert.throws(() => validateConfig(withRules([{ facility: 'tennis_lower' }])), /Import rule #1 needs a location and\/or summary pattern/);
+    assert.throws(() => validateConfig(withRules([{ summary: '(', facility: 'tennis_lower' }])), /Import rule #1 has an invalid summary pattern/);
+  });
+
+  it('books open windows, queues the rest and skips invalid events', function () {
+    const config = importConfig(dataDir);
+    const event = (date, startTime, endTime, location = 'Lower Court') => ({ summary: 'Match', location, date, startTime, endTime, skipReason: null });
+    const rows = planImport(config, [
+      event('2025-06-16', '10:00', '11:00'),
+      event('2025-06-20', '10:00', '11:00'),
+      event('2025-05-30', '10:00', '11:00'),
+      event('2025-06-31', '10:00', '11:00'),
+      event('2025-06-20', '1000', '11:00'),
+      event('2025-06-20', '11:00', '10:00'),
+      event('2025-06-20', '10:00', '11:00', 'Elsewhere Park'),
+      { ...event(null, null, null), skipReason: 'all-day event' }
+    ]);
+
+    assert.deepStrictEqual(rows.map(row => row.action), ['book', 'queue', 'skip', 'skip', 'skip', 'skip', 'skip', 'skip']);
+    assert.strictEqual(rows[1].opensAt, Date.parse('2025-06-05T07:00:00Z'));
+    assert.deepStrictEqual(rows.slice(2).map(row => row.reason), [
+      'in the past',
+      "invalid date '2025-06-31' (use YYYY-MM-DD)",
+      'invalid time (use HH:MM)',
+      'start time must be before end time',
+      "no facility matches location 'Elsewhere Park'",
+      'all-day event'
+    ]);
+
+    const forced = planImport(config, [event('2025-06-20', '10:00', '11:00', 'Elsewhere Park')], { facility: 'tennis_upper', to: '2025-06-19' });
+    assert.strictEqual(forced[0].reason, 'outside --from/--to');
+  });
+
+  it('skips events of today that have already started', function () {
+    const config = importConfig(dataDir);
+    const event = (startTime, endTime) => ({ summary: 'Match', location: 'Lower Court', date: '2025-06-01', startTime, endTime, skipReason: null });
+    // It is 10:00 at the venue
+    const rows = planImport(config, [event('09:00', '10:00'), event('09:30', '10:30'), event('10:30', '11:30')]);
+
+    assert.deepStrictEqual(rows.map(row => [row.action, row.reason]), [['skip', 'in the past'], ['skip', 'in the past'], ['book', null]]);
+  });
+
+  it('queues bookings once for the scheduler, which picks them up', function () {
+    const config = importConfig(dataDir);
+    const [row] = planImport(config, [{ uid: 'match-2@league', summary: 'Round 2', location: 'Lower Court', date: '2025-06-20', startTime: '10:00', endTime: '11:00', skipReason: null }]);
+    const booking = { id: getImportId(row), facility: row.facility, date: row.date, startTime: row.startTime, endTime: row.endTime };
+
+    queueBookings(config, [booking]);
+    queueBookings(config, [booking]);
+    assert.strictEqual(readQueuedBookings(config).length, 1);
+
+    const scheduler = new Scheduler(config, { runJob: () => {} });
+    const [job] = scheduler.listJobs();
+    assert.strictEqual(job.id, `${booking.id}@2025-06-20`);
+    assert.strictEqual(job.rule.facility, 'tennis_lower');
+    assert.strictEqual(job.opensAt, Date.parse('2025-06-05T07:00:00Z'));
+    assert.strictEqual(job.status, 'pending');
+  });
+});
@@ -0,0 +1,230 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { buildPayload, notify } = require('../../src/notifiers');
+
+const CONFIG = { credentials: { email: 'resident@example.com' }, venue: null };
+const BOOKING = {
+  facility: 'tennis_lower',
+  facilityName: 'Tennis - Lower Court Whole',
+  date: '2025-06-16',
+  startTime: '18:00',
+  endTime: '19:00',
+  title: '5:45PM - 7:15PM RS'
+};
+
+/**
+ * Listens on an ephemeral local port and resolves with the server once it is ready
+ */
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/**
+ * A local SMTP stand-in that records each message and can refuse recipients
+ */
+function smtpServer(messages, { refuseRecipients = false } = {}) {
+  return net.createServer(socket => {
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost ESMTP test');
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (data !== null) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        messages.push(data + buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        data = null;
+        reply('250 Queued');
+      }
+
+      let newline;
+      while (data === null && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const command = buffer.slice(0, newline).toUpperCase();
+        buffer = buffer.slice(newline + 2);
+
+        if (command.startsWith('EHLO') || command.startsWith('HELO')) {
+          reply('250 localhost');
+        } else if (command.startsWith('RCPT') && refuseRecipients) {
+          reply('550 No such user');
+        } else if (command.startsWith('DATA')) {
+          data = '';
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command.startsWith('QUIT')) {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+}
+
+describe('notifiers', function () {
+  const servers = [];
+  let workDir;
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-notifiers-'));
+  });
+
+  afterEach(async function () {
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('posts the payload to a webhook with its headers, only for subscribed events', async function () {
+    const received = [];
+    const server = await listen(http.createServer((request, response) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => {
+        received.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(Buffer.concat(chunks)) });
+        response.writeHead(204);
+        response.end();
+      });
+    }));
+    servers.push(server);
+
+    const config = {
+      ...CONFIG,
+      notifiers: [{ type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hooks/booking`, headers: { 'X-Token': 'abc' }, events: ['success'] }]
+    };
+
+    const results = await notify(config, buildPayload('success', config, BOOKING, { title: BOOKING.title }));
+    assert.deepStrictEqual(results.map(result => [result.name, result.success, result.detail]), [['webhook #1', true, 'HTTP 204']]);
+    assert.strictEqual(received.length, 1);
+    const [{ method, url, headers, body }] = received;
+    assert.deepStrictEqual([method, url, headers['x-token'], headers['content-type']], ['POST', '/hooks/booking', 'abc', 'application/json']);
+    assert.deepStrictEqual({ ...body, timestamp: null }, {
+      event: 'success',
+      timestamp: null,
+      profile: 'resident@example.com',
+      venue: null,
+      facility: 'tennis_lower',
+      facilityName: 'Tennis - Lower Court Whole',
+      date: '2025-06-16',
+      startTime: '18:00',
+      endTime: '19:00',
+      title: '5:45PM - 7:15PM RS',
+      error: null,
+      errorType: null,
+      attempts: null,
+      artifactsPath: null
+    });
+
+    // Not subscribed to failures
+    const failure = Object.assign(new Error('Booking failed. Detected error message: "Slot already booked"'), { attempts: 1 });
+    assert.deepStrictEqual(await notify(config, buildPayload('failure', config, BOOKING, failure)), []);
+    assert.strictEqual(received.length, 1);
+  });
+
+  it('reports a failing webhook without throwing', async function () {
+    const server = await listen(http.createServer((request, response) => {
+      request.resume();
+      response.writeHead(500);
+      response.end();
+    }));
+    servers.push(server);
+    // A closed port refuses the connection
+    const closed = await listen(net.createServer());
+    const closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const config = {
+      ...CONFIG,
+      notifiers: [
+        { name: 'broken', type: 'webhook', url: `http://127.0.0.1:${server.address().port}/` },
+        { name: 'down', type: 'webhook', url: `http://127.0.0.1:${closedPort}/` }
+      ]
+    };
+
+    const results = await notify(config, buildPayload('success', config, BOOKING));
+    assert.deepStrictEqual(results.map(result => [result.name, result.success]), [['broken', false], ['down', false]]);
+    assert.strictEqual(results[0].error.message, 'Webhook responded with HTTP 500');
+    assert.match(results[1].error.message, /ECONNREFUSED/);
+  });
+
+  it('emails the payload over SMTP', async function () {
+    const messages = [];
+    const server = await listen(smtpServer(messages));
+    servers.push(server);
+
+    const config = {
+      ...CONFIG,
+      notifiers: [{ type: 'email', host: '127.0.0.1', port: server.address().port, from: 'booking@example.com', to: 'resident@example.com' }]
+    };
+    const error = Object.assign(new Error('Navigation timeout of 30000 ms exceeded'), { name: 'TimeoutError', attempts: 3 });
+
+    const [result] = await notify(config, buildPayload('retries_exhausted', config, BOOKING, error));
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(messages.length, 1);
+    const message = messages[0].replace(/\r\n/g, '\n');
+    assert.match(message, /^From: booking@example\.com$/m);
+    assert.match(message, /^To: resident@example\.com$/m);
+    // The subject is encoded for its emoji
+    assert.match(message, /^Subject: =\?UTF-8\?Q\?=E2=9A=A0=EF=B8=8F_Gave_up_booking/m);
+    assert.match(message, /^errorType: navigation_timeout$/m);
+    assert.match(message, /^attempts: 3$/m);
+  });
+
+  it('reports a refused email without throwing', async function () {
+    const server = await listen(smtpServer([], { refuseRecipients: true }));
+    servers.push(server);
+
+    const config = {
+      ...CONFIG,
+      notifiers: [{ type: 'email', host: '127.0.0.1', port: server.address().port, from: 'booking@example.com', to: 'nobody@example.com' }]
+    };
+
+    const [result] = await notify(config, buildPayload('success', config, BOOKING));
+    assert.strictEqual(result.success, false);
+    assert.match(result.error.message, /No such user/);
+  });
+
+  it('runs a command with the payload on stdin and in BOOKING_* variables', async function () {
+    const outputPath = path.join(workDir, 'received.json');
+    const scriptPath = path.join(workDir, 'hook.js');
+    fs.writeFileSync(scriptPath, [
+      "const fs = require('fs');",
+      'fs.writeFileSync(process.argv[2], JSON.stringify({',
+      '  argv: process.argv.slice(3),',
+      '  facilityName: process.env.BOOKING_FACILITY_NAME,',
+      '  startTime: process.env.BOOKING_START_TIME,',
+      '  error: process.env.BOOKING_ERROR,',
+      "  stdin: JSON.parse(fs.readFileSync(0, 'utf8'))",
+      '}));'
+    ].join('\n'));
+
+    const config = {
+      ...CONFIG,
+      notifiers: [
+        { name: 'hook', type: 'command', command: `"${process.execPath}" "${scriptPath}" "${outputPath}" --event success` },
+        { name: 'failing', type: 'command', command: `"${process.execPath}" -e "process.exit(3)"` }
+      ]
+    };
+
+    const results = await notify(config, buildPayload('success', config, BOOKING));
+    assert.deepStrictEqual(results.map(result => [result.name, result.success]), [['hook', true], ['failing', false]]);
+    assert.strictEqual(results[1].error.message, 'Command exited with code 3');
+
+    const received = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    assert.deepStrictEqual(received.argv, ['--event', 'success']);
+    assert.strictEqual(received.facilityName, 'Tennis - Lower Court Whole');
+    assert.strictEqual(received.startTime, '18:00');
+    // Empty values are passed as empty strings
+    assert.strictEqual(received.error, '');
+    assert.strictEqual(received.stdin.event, 'success');
+    assert.strictEqual(received.stdin.facility, 'tennis_lower');
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlan } = require('../../src/plan');
+
+describe('booking plans', function () {
+  let planDir;
+
+  beforeEach(function () {
+    planDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-plan-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(planDir, { recursive: true, force: true });
+  });
+
+  const writePlan = (name, content) => {
+    const planPath = path.join(planDir, name);
+    fs.writeFileSync(planPath, content);
+    return planPath;
+  };
+
+  it('reads unquoted YAML dates and times as written', function () {
+    const planPath = writePlan('week.yaml', [
+      '- facility: tennis_lower',
+      '  date: 2025-06-16',
+      '  startTime: 18:00',
+      '  endTime: 19:30',
+      '- facility: tennis_upper',
+      '  bookInAdvance: 10',
+      '  start_time: 07:00',
+      '  end_time: "08:00"',
+      '  title: Morning Drills',
+      ''
+    ].join('\n'));
+
+    assert.deepStrictEqual(loadPlan(planPath), [
+      { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:30' },
+      { facility: 'tennis_upper', bookInAdvance: '10', startTime: '07:00', endTime: '08:00', title: 'Morning Drills' }
+    ]);
+  });
+
+  it('reads CSV headers in any spelling and a JSON "bookings" list', function () {
+    const csvPath = writePlan('week.csv', [
+      'Facility,Date,Start Time,End Time,Profile',
+      'tennis_lower,2025-06-16,18:00,19:30,',
+      'tennis_upper,2025-06-18,07:00,08:00,jane.smith@company.org'
+    ].join('\n'));
+    assert.deepStrictEqual(loadPlan(csvPath)[1], { facility: 'tennis_upper', date: '2025-06-18', startTime: '07:00', endTime: '08:00', profile: 'jane.smith@company.org' });
+
+    const jsonPath = writePlan('week.json', JSON.stringify({ bookings: [{ facility: 'tennis_lower', advanceDays: 3, start: '18:00', end: '19:00' }] }));
+    assert.deepStrictEqual(loadPlan(jsonPath), [{ facility: 'tennis_lower', bookInAdvance: '3', startTime: '18:00', endTime: '19:00' }]);
+
+    assert.throws(() => loadPlan(writePlan('empty.yaml', '[]')), /non-empty list/);
+  });
+});
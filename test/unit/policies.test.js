@@ -0,0 +1,132 @@
+const assert = require('assert');
+const { getHousehold, getActiveBookings, checkBookingPolicies, findDoubleBooking } = require('../../src/policies');
+
+const JOHN = 'john.smith@example.com';
+const JANE = 'jane.smith@example.com';
+const NEIGHBOUR = 'pat.jones@example.com';
+
+function policyConfig(policies) {
+  return { policies: { households: { smith: [JOHN, JANE] }, ...policies } };
+}
+
+// A successful booking in the history ledger; 2025-06-16 is a Monday
+function booked(profile, date, startTime, endTime, facility = 'tennis_lower') {
+  return { profile, facility, date, startTime, endTime, outcome: 'success' };
+}
+
+function request(profile, date, startTime, endTime, facility = 'tennis_lower') {
+  return { profile, facility, date, startTime, endTime };
+}
+
+describe('HOA booking policies', function () {
+  it('groups profiles into households, case-insensitively', function () {
+    const { policies } = policyConfig();
+
+    assert.strictEqual(getHousehold(policies, 'Jane.Smith@Example.com'), 'smith');
+    // A profile that is not listed is a household of its own
+    assert.strictEqual(getHousehold(policies, 'Pat.Jones@example.com'), NEIGHBOUR);
+  });
+
+  it('caps bookings per household per week, counting pending plan rows', function () {
+    const config = policyConfig({ maxBookingsPerWeek: 2 });
+    const history = [booked(JOHN, '2025-06-16', '18:00', '19:00')];
+
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-18', '18:00', '19:00'), { history }), []);
+
+    const pending = [request(JANE, '2025-06-18', '18:00', '19:00')];
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JOHN, '2025-06-20', '07:00', '08:00'), { history, pending }), [
+      "Household 'smith' already has 2 booking(s) in the week of 2025-06-16; the maximum is 2"
+    ]);
+    // Other households have their own quota
+    assert.deepStrictEqual(checkBookingPolicies(config, request(NEIGHBOUR, '2025-06-20', '07:00', '08:00'), { history, pending }), []);
+  });
+
+  it('counts weeks from Monday to Sunday', function () {
+    const config = policyConfig({ maxBookingsPerWeek: 1 });
+    const history = [booked(JOHN, '2025-06-16', '18:00', '19:00')];
+
+    // Sunday still belongs to the week of Monday the 16th, the next Monday does not
+    assert.strictEqual(checkBookingPolicies(config, request(JOHN, '2025-06-22', '18:00', '19:00'), { history }).length, 1);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JOHN, '2025-06-23', '18:00', '19:00'), { history }), []);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JOHN, '2025-06-15', '18:00', '19:00'), { history }), []);
+  });
+
+  it('frees the slot of a booking cancelled later in the history', function () {
+    const config = policyConfig({ maxBookingsPerWeek: 1 });
+    const history = [
+      booked(JOHN, '2025-06-16', '18:00', '19:00'),
+      { ...booked('JOHN.SMITH@example.com', '2025-06-16', '18:00', '19:00'), outcome: 'cancelled' },
+      { ...booked(JOHN, '2025-06-17', '18:00', '19:00'), outcome: 'failure' }
+    ];
+
+    assert.deepStrictEqual(getActiveBookings(history), []);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-18', '18:00', '19:00'), { history }), []);
+
+    // Booking the slot again after cancelling makes it count once more
+    history.push(booked(JOHN, '2025-06-16', '18:00', '19:00'));
+    assert.strictEqual(getActiveBookings(history).length, 1);
+    assert.strictEqual(checkBookingPolicies(config, request(JANE, '2025-06-18', '18:00', '19:00'), { history }).length, 1);
+  });
+
+  it('refuses back-to-back slots of a household on the same facility', function () {
+    const config = policyConfig({ noBackToBack: true });
+    const history = [booked(JOHN, '2025-06-16', '18:00', '19:00')];
+
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-16', '19:00', '20:00'), { history }), [
+      'Back-to-back booking with 18:00-19:00 on 2025-06-16 is not allowed'
+    ]);
+    assert.strictEqual(checkBookingPolicies(config, request(JANE, '2025-06-16', '17:00', '18:00'), { history }).length, 1);
+    // Another court, another day or a gap in between are fine
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-16', '19:00', '20:00', 'tennis_upper'), { history }), []);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-17', '19:00', '20:00'), { history }), []);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-16', '19:30', '20:30'), { history }), []);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(NEIGHBOUR, '2025-06-16', '19:00', '20:00'), { history }), []);
+  });
+
+  it('keeps bookings within opening hours and on slot boundaries counted from the opening', function () {
+    const config = policyConfig({
+      maxMinutesPerBooking: 90,
+      facilities: { tennis_lower: { openTime: '07:15', closeTime: '22:00', slotMinutes: 30 } }
+    });
+    const check = (startTime, endTime) => checkBookingPolicies(config, request(JOHN, '2025-06-16', startTime, endTime));
+
+    assert.deepStrictEqual(check('07:15', '08:45'), []);
+    assert.deepStrictEqual(check('18:45', '19:45'), []);
+    // On the hour is off the grid when slots start at 07:15
+    assert.deepStrictEqual(check('18:00', '19:00'), ['tennis_lower must be booked in 30-minute slots starting from 07:15']);
+    assert.deepStrictEqual(check('06:45', '07:45'), ['tennis_lower opens at 07:15']);
+    assert.deepStrictEqual(check('21:15', '22:15'), ['tennis_lower closes at 22:00']);
+    assert.deepStrictEqual(check('07:15', '09:15'), ['Booking is 120 minutes long; the maximum is 90 minutes']);
+    // Facilities without rules only get the general ones
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JOHN, '2025-06-16', '18:10', '19:00', 'tennis_upper')), []);
+  });
+
+  it('caps peak-hour bookings only on the listed days', function () {
+    const config = policyConfig({ peakHours: { days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'], start: '17:00', end: '20:00', maxPerWeek: 1 } });
+    const history = [booked(JOHN, '2025-06-16', '19:30', '20:30')];
+
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-18', '16:00', '17:30'), { history }), [
+      "Household 'smith' already has 1 peak-hour booking(s) (17:00-20:00) this week; the maximum is 1"
+    ]);
+    // Touching the window's edges is not peak, and neither is the weekend
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-18', '20:00', '21:00'), { history }), []);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-18', '16:00', '17:00'), { history }), []);
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-21', '18:00', '19:00'), { history }), []);
+
+    // A weekend peak booking does not use up the weekday quota either
+    const weekend = [booked(JOHN, '2025-06-21', '18:00', '19:00')];
+    assert.deepStrictEqual(checkBookingPolicies(config, request(JANE, '2025-06-18', '18:00', '19:00'), { history: weekend }), []);
+  });
+
+  it('finds an overlapping booking of the same household on the same facility and date', function () {
+    const { policies } = policyConfig();
+    const bookings = [booked(JOHN, '2025-06-16', '18:00', '19:00')];
+
+    assert.strictEqual(findDoubleBooking(policies, request(JANE, '2025-06-16', '18:30', '19:30'), bookings), bookings[0]);
+    assert.strictEqual(findDoubleBooking(policies, request(JANE, '2025-06-16', '19:00', '20:00'), bookings), null);
+    assert.strictEqual(findDoubleBooking(policies, request(JANE, '2025-06-16', '18:00', '19:00', 'tennis_upper'), bookings), null);
+    assert.strictEqual(findDoubleBooking(policies, request(NEIGHBOUR, '2025-06-16', '18:00', '19:00'), bookings), null);
+    // Without households every profile is its own
+    assert.strictEqual(findDoubleBooking(undefined, request(JANE, '2025-06-16', '18:00', '19:00'), bookings), null);
+  });
+});
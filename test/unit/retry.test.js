@@ -0,0 +1,96 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BookingAutomator = require('../../src/booking');
+const { EXIT_CODES, exitCodeForError } = require('../../src/errors');
+const { readHistory } = require('../../src/history');
+
+const RETRY = { maxAttempts: 2, initialDelayMs: 10, backoffFactor: 1, maxDelayMs: 10, deadlineSeconds: 0.2 };
+
+/**
+ * An automator whose attempts fail transiently once the (possibly held) submission is made
+ */
+function failingAutomator(attemptMs) {
+  const automator = new BookingAutomator({ defaults: { retry: RETRY }, facilities: {} });
+  automator.attempts = 0;
+  automator.attempt = async ({ submitAt }) => {
+    automator.attempts += 1;
+    await new Promise(resolve => setTimeout(resolve, submitAt ? Math.max(submitAt - Date.now(), 0) : attemptMs));
+    throw Object.assign(new Error('Navigation timeout of 30000 ms exceeded'), { errorType: 'navigation_timeout', transient: true });
+  };
+  automator.resetPage = async () => {};
+  return automator;
+}
+
+/**
+ * A page that shows the login form and, once it is submitted, an error message above it
+ */
+function rejectingLoginPage() {
+  const page = { submitted: 0, url: () => 'https://parkhurst.skedda.com/login' };
+  const field = { type: async () => {} };
+  const message = {
+    isIntersectingViewport: async () => true,
+    evaluate: async fn => fn({ textContent: ' Invalid email or password ' })
+  };
+
+  page.goto = async () => {};
+  page.$ = async selector => (/email|password/.test(selector) ? field : selector.includes('submit') ? { click: async () => { page.submitted++; } } : null);
+  page.$$ = async selector => (page.submitted > 0 && selector === '.alert-danger' ? [message] : []);
+  page.waitForSelector = (selector, { visible } = {}) => (visible
+    ? new Promise(resolve => setTimeout(resolve, 10))
+    : Promise.resolve(field));
+  // The page never leaves the login form
+  page.waitForNavigation = () => new Promise(() => {});
+  return page;
+}
+
+describe('booking retries', function () {
+  it('counts the retry deadline from the submit time, not from the hold before it', async function () {
+    const automator = failingAutomator();
+
+    await assert.rejects(automator.attemptWithRetry({ submitAt: Date.now() + 300, clockSkewMs: 0 }), error => {
+      assert.strictEqual(error.attempts, 2);
+      assert.strictEqual(error.retriesExhausted, true);
+      return true;
+    });
+    assert.strictEqual(automator.attempts, 2);
+  });
+
+  it('never retries a login the venue rejected', async function () {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-retry-'));
+    try {
+      const config = {
+        credentials: { email: 'resident@example.com', password: 'wrong' },
+        defaults: { signature: 'RS', dataDir, captureArtifacts: false, persistSessions: false, retry: { ...RETRY, maxAttempts: 3, deadlineSeconds: 60 } },
+        facilities: { tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' } },
+        urls: { baseUrl: 'https://parkhurst.skedda.com/booking' }
+      };
+      const automator = new BookingAutomator(config);
+      automator.page = rejectingLoginPage();
+      automator.resetPage = async () => assert.fail('a rejected login must not be retried');
+
+      const request = { facility: config.facilities.tennis_lower, date: '2030-06-17', startTime: '18:00', endTime: '19:00' };
+      await assert.rejects(automator.attemptWithRetry(request), error => {
+        assert.strictEqual(error.message, 'Login rejected: "Invalid email or password"; check the password of resident@example.com');
+        assert.deepStrictEqual([error.errorType, error.transient, error.attempts], ['login_failed', false, 1]);
+        assert.strictEqual(exitCodeForError(error), EXIT_CODES.loginFailed);
+        return true;
+      });
+      assert.strictEqual(automator.page.submitted, 1);
+      assert.deepStrictEqual(readHistory(config).map(entry => [entry.outcome, entry.errorType, entry.transient]), [['failure', 'login_failed', false]]);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it('gives up once the deadline has passed', async function () {
+    const automator = failingAutomator(300);
+
+    await assert.rejects(automator.attemptWithRetry({ submitAt: null }), error => {
+      assert.strictEqual(error.attempts, 1);
+      assert.strictEqual(error.retriesExhausted, true);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Scheduler, queueBookings } = require('../../src/scheduler');
+const { venueToday, addDays } = require('../../src/utils');
+
+const VENUE_TIMEZONE = 'America/Los_Angeles';
+
+describe('scheduler', function () {
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-scheduler-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('holds jobs whose windows open together side by side, up to the concurrency limit', async function () {
+    const config = {
+      timezone: VENUE_TIMEZONE,
+      defaults: { bookInAdvanceDays: 15, windowOpensAt: '00:00:00', dataDir }
+    };
+    // Both courts and the adjacent hour, all bookable at the next midnight
+    const date = addDays(venueToday(VENUE_TIMEZONE), 16);
+    queueBookings(config, [
+      { id: 'lower', facility: 'tennis_lower', date, startTime: '18:00', endTime: '19:00' },
+      { id: 'upper', facility: 'tennis_upper', date, startTime: '18:00', endTime: '19:00' },
+      { id: 'adjacent', facility: 'tennis_lower', date, startTime: '19:00', endTime: '20:00' }
+    ]);
+
+    const calls = [];
+    const releases = [];
+    const scheduler = new Scheduler(config, {
+      runJob: (job, submitAt) => {
+        calls.push([job.rule.id, submitAt]);
+        return new Promise(resolve => releases.push(resolve));
+      },
+      leadTimeMs: 2 * 24 * 60 * 60 * 1000,
+      concurrency: 2
+    });
+
+    const started = scheduler.tick();
+    assert.strictEqual(started.length, 3);
+    const opensAt = started[0].opensAt;
+    assert.ok(opensAt > Date.now());
+
+    // The first two wait for the opening together instead of one after the other
+    assert.deepStrictEqual(calls, [['lower', opensAt], ['upper', opensAt]]);
+    assert.strictEqual(scheduler.tick().length, 0);
+
+    releases[0]();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(calls.map(([id]) => id), ['lower', 'upper', 'adjacent']);
+
+    releases.slice(1).forEach(release => release());
+    await Promise.all(scheduler.running.values());
+    assert.deepStrictEqual(Object.values(scheduler.state.jobs).map(job => job.status), ['booked', 'booked', 'booked']);
+    assert.strictEqual(scheduler.running.size, 0);
+  });
+
+  it('stops at once instead of sleeping out the poll interval', async function () {
+    const config = { timezone: VENUE_TIMEZONE, defaults: { dataDir } };
+    const scheduler = new Scheduler(config, { runJob: () => {}, pollIntervalMs: 30000 });
+
+    const running = scheduler.run();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const stoppingAt = Date.now();
+    scheduler.stop();
+    await running;
+    assert.ok(Date.now() - stoppingAt < 1000);
+  });
+});
@@ -0,0 +1,201 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const { createClient } = require('../../src');
+const { createApiServer } = require('../../src/server');
+const JobQueue = require('../../src/queue');
+
+const TOKEN = 'test-token';
+
+function apiConfig(dataDir) {
+  return {
+    schemaVersion: 2,
+    credentials: { email: 'resident@example.com', password: 'secret' },
+    defaults: { signature: 'RS', bookInAdvanceDays: 15, windowOpensAt: '00:00:00', dataDir },
+    facilities: {
+      tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' },
+      tennis_upper: { spaceId: '1244467', name: 'Tennis - Upper Court Whole' }
+    },
+    urls: { baseUrl: 'https://parkhurst.skedda.com/booking' },
+    timezone: 'America/Los_Angeles',
+    policies: { maxBookingsPerWeek: 1 }
+  };
+}
+
+/**
+ * Sends a request to the API and resolves with its status, headers and parsed body
+ */
+function request(server, method, pathname, { token = TOKEN, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const call = http.request({ host: '127.0.0.1', port: server.address().port, method, path: pathname, headers }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      }));
+    });
+    call.on('error', reject);
+    call.end(typeof body === 'string' ? body : body && JSON.stringify(body));
+  });
+}
+
+/**
+ * A job runner whose jobs finish only when released, recording which ones were started
+ */
+function stubRunner() {
+  const runner = { started: [], releases: new Map() };
+  runner.runJob = job => new Promise((resolve, reject) => {
+    runner.started.push(job.id);
+    runner.releases.set(job.id, { resolve, reject });
+  });
+  runner.finish = id => {
+    runner.releases.get(id).resolve({ title: 'Booked' });
+    return new Promise(resolve => setImmediate(resolve));
+  };
+  return runner;
+}
+
+describe('booking API', function () {
+  const originalNow = moment.now;
+  let dataDir;
+  let config;
+  let runner;
+  let queues;
+  let queue;
+  let server;
+
+  // Every queue a test creates is stopped after it, even when the test fails halfway
+  function startQueue() {
+    const created = new JobQueue(config, { runJob: runner.runJob });
+    queues.push(created);
+    return created;
+  }
+
+  beforeEach(async function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-api-'));
+    // 10:00 on 1 June 2025 at the venue
+    moment.now = () => Date.parse('2025-06-01T17:00:00Z');
+    config = apiConfig(dataDir);
+    runner = stubRunner();
+    queues = [];
+    queue = startQueue();
+
+    const client = createClient(config);
+    server = createApiServer({
+      token: TOKEN,
+      queue,
+      submitJob: body => queue.submit(body, client),
+      listFacilities: () => client.listFacilities(),
+      validateConfig: () => {}
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async function () {
+    moment.now = originalNow;
+    await new Promise(resolve => server.close(resolve));
+    const stopping = Promise.all(queues.map(created => created.stop()));
+    for (const { resolve } of runner.releases.values()) {
+      resolve(null);
+    }
+    await stopping;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('answers 401 without the right bearer token', async function () {
+    for (const token of [null, 'wrong-token']) {
+      const response = await request(server, 'GET', '/facilities', { token });
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.headers['www-authenticate'], 'Bearer');
+      assert.deepStrictEqual(response.body, { error: 'Missing or invalid bearer token' });
+    }
+
+    const response = await request(server, 'GET', '/facilities');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.facilities.map(facility => facility.key), ['tennis_lower', 'tennis_upper']);
+  });
+
+  it('answers 404, 405, 413 and 400 for requests it cannot route or read', async function () {
+    assert.strictEqual((await request(server, 'GET', '/bookings')).status, 404);
+    assert.strictEqual((await request(server, 'GET', '/jobs/no-such-job')).status, 404);
+
+    const wrongMethod = await request(server, 'DELETE', '/jobs');
+    assert.strictEqual(wrongMethod.status, 405);
+    assert.strictEqual(wrongMethod.headers.allow, 'POST, GET');
+
+    const tooLarge = await request(server, 'POST', '/jobs', { body: JSON.stringify({ title: 'x'.repeat(70 * 1024) }) });
+    assert.deepStrictEqual([tooLarge.status, tooLarge.body], [413, { error: 'Request body too large' }]);
+
+    const invalidJson = await request(server, 'POST', '/jobs', { body: '{"facility":' });
+    assert.strictEqual(invalidJson.status, 400);
+    assert.match(invalidJson.body.error, /^Invalid JSON body/);
+    assert.deepStrictEqual(queue.list(), []);
+  });
+
+  it('rejects invalid and policy-blocked bookings with 400 and their code', async function () {
+    const booking = { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00' };
+
+    const notObject = await request(server, 'POST', '/jobs', { body: '[]' });
+    assert.deepStrictEqual([notObject.status, notObject.body.code], [400, 'invalid_input']);
+    const unknownFacility = await request(server, 'POST', '/jobs', { body: { ...booking, facility: 'pool' } });
+    assert.deepStrictEqual([unknownFacility.status, unknownFacility.body.code], [400, 'invalid_input']);
+    const pastDate = await request(server, 'POST', '/jobs', { body: { ...booking, date: '2025-05-01' } });
+    assert.deepStrictEqual([pastDate.status, pastDate.body.code], [400, 'invalid_input']);
+
+    const accepted = await request(server, 'POST', '/jobs', { body: booking });
+    assert.strictEqual(accepted.status, 202);
+    const job = (await request(server, 'GET', `/jobs/${accepted.body.id}`)).body;
+    assert.deepStrictEqual([job.status, job.request.date], ['running', '2025-06-16']);
+
+    // The running job counts towards the weekly limit; a dry run is not checked against it
+    const blocked = await request(server, 'POST', '/jobs', { body: { ...booking, date: '2025-06-17' } });
+    assert.deepStrictEqual([blocked.status, blocked.body.code], [400, 'policy_blocked']);
+    assert.match(blocked.body.error, /already has 1 booking\(s\) in the week of 2025-06-16/);
+    const dryRun = await request(server, 'POST', '/jobs', { body: { ...booking, date: '2025-06-17', dryRun: true } });
+    assert.strictEqual(dryRun.status, 202);
+
+    assert.strictEqual((await request(server, 'GET', '/jobs')).body.jobs.length, 2);
+  });
+
+  it('runs one job per profile and at most maxConcurrency overall', async function () {
+    const booking = { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00' };
+    const first = queue.enqueue('john@example.com', booking);
+    const second = queue.enqueue('john@example.com', booking);
+    const jane = queue.enqueue('jane@example.com', booking);
+    const pat = queue.enqueue('pat@example.com', booking);
+
+    // John's second job waits for his first; Pat waits for a free slot
+    assert.deepStrictEqual(runner.started, [first.id, jane.id]);
+    assert.deepStrictEqual([second, pat].map(job => queue.get(job.id).status), ['queued', 'queued']);
+
+    await runner.finish(first.id);
+    assert.strictEqual(queue.get(first.id).status, 'succeeded');
+    assert.deepStrictEqual(runner.started, [first.id, jane.id, second.id]);
+
+    await runner.finish(jane.id);
+    assert.deepStrictEqual(runner.started, [first.id, jane.id, second.id, pat.id]);
+  });
+
+  it('marks jobs left running by a previous process as interrupted and resumes queued ones', async function () {
+    const booking = { facility: 'tennis_lower', date: '2025-06-16', startTime: '18:00', endTime: '19:00' };
+    const running = queue.enqueue('john@example.com', booking);
+    const queued = queue.enqueue('john@example.com', booking);
+    assert.strictEqual(queue.get(queued.id).status, 'queued');
+
+    // A new process reads the same jobs file
+    const restarted = startQueue();
+    restarted.start();
+
+    assert.strictEqual(restarted.get(running.id).status, 'interrupted');
+    assert.strictEqual(restarted.get(queued.id).status, 'running');
+    assert.deepStrictEqual(runner.started, [running.id, queued.id]);
+    await runner.finish(queued.id);
+    assert.strictEqual(restarted.get(queued.id).status, 'succeeded');
+  });
+});
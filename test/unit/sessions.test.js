@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BookingAutomator = require('../../src/booking');
+const { lockSession, listSessions } = require('../../src/sessions');
+
+const CONFIG = { defaults: { dataDir: 'data' }, venue: null, defaultVenue: null };
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// A browser context on a venue that lets in whoever carries a session cookie
+function contextAt(config, name, events) {
+  const automator = new BookingAutomator(config);
+  const page = { jar: [], at: 'about:blank' };
+  page.setCookie = async (...cookies) => { page.jar = cookies; };
+  page.evaluateOnNewDocument = async () => {};
+  page.goto = async url => {
+    events.push(`${name} loads`);
+    await pause();
+    page.at = url;
+  };
+  page.url = () => page.at;
+  page.$ = async () => (page.jar.length > 0 ? {} : null);
+  page.cookies = async () => page.jar;
+  page.evaluate = async () => ({});
+
+  automator.page = page;
+  automator.sessionToRestore = true;
+  automator.performLogin = async () => {
+    events.push(`${name} logs in`);
+    await pause();
+    page.jar = [{ name: 'session', value: name }];
+  };
+  return automator;
+}
+
+describe('saved sessions', function () {
+  it('lets one context at a time hold a profile session, in the order they asked', async function () {
+    const events = [];
+    const hold = async (email, name) => {
+      const release = await lockSession(CONFIG, email);
+      events.push(`${name} in`);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      events.push(`${name} out`);
+      release();
+    };
+
+    await Promise.all([
+      hold('john@example.com', 'first'),
+      hold('John@Example.com', 'second'),
+      hold('jane@example.com', 'other profile'),
+      hold('john@example.com', 'third')
+    ]);
+
+    assert.deepStrictEqual(events.filter(event => !event.startsWith('other')), [
+      'first in', 'first out', 'second in', 'second out', 'third in', 'third out'
+    ]);
+    // Another profile does not wait for John's contexts
+    assert.ok(events.indexOf('other profile in') < events.indexOf('first out'));
+
+    // A released lock is free again at once
+    const release = await lockSession(CONFIG, 'john@example.com');
+    release();
+  });
+
+  it('loads the page in every context at once and logs a profile in only once', async function () {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-sessions-'));
+    try {
+      const config = {
+        ...CONFIG,
+        credentials: { email: 'john@example.com', password: 'secret' },
+        defaults: { dataDir, persistSessions: true },
+        urls: { baseUrl: 'https://parkhurst.skedda.com/booking' }
+      };
+      const events = [];
+      const reused = [];
+      const contexts = ['first', 'second'].map(name => contextAt(config, name, events));
+      contexts.forEach(automator => { automator.onProgress = (event, step) => reused.push(step.sessionReused); });
+
+      await Promise.all(contexts.map(automator => automator.navigateAndLogin(config.urls.baseUrl)));
+
+      // The second context does not wait for the first one's login to load the page, and then
+      // takes the session the first one saved instead of logging in as well
+      assert.deepStrictEqual(events, ['first loads', 'second loads', 'first logs in', 'second loads']);
+      assert.deepStrictEqual(reused, [false, true]);
+      assert.deepStrictEqual(contexts[1].page.jar, [{ name: 'session', value: 'first' }]);
+      assert.strictEqual(listSessions(config).length, 1);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { buildBookingTitle, checkTitleTemplate, renderTitleTemplate, getBufferMinutes } = require('../../src/titles');
+const { validateConfig } = require('../../src/config');
+
+function titleConfig(overrides = {}) {
+  return {
+    credentials: { email: 'john.doe@example.com', password: 'secret' },
+    defaults: { signature: 'ZZ', bufferMinutes: 15 },
+    urls: { baseUrl: 'https://venue.example.com/booking', loginUrl: 'https://venue.example.com/login' },
+    facilities: {
+      tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' },
+      clubhouse: {
+        spaceId: '1244470',
+        name: 'Clubhouse',
+        bufferMinutes: 30,
+        titleTemplate: '{facility:upper} {date:ddd D MMM} {start:HH:mm}-{end:HH:mm} {profileName} ({duration:h}h) {signature}'
+      }
+    },
+    ...overrides
+  };
+}
+
+function title(config, facilityKey, startTime = '12:00', endTime = '13:30') {
+  return buildBookingTitle(config, { facility: config.facilities[facilityKey], date: '2025-06-15', startTime, endTime });
+}
+
+describe('booking title templates', function () {
+  it('keeps the buffered time range as the default title', function () {
+    assert.strictEqual(title(titleConfig(), 'tennis_lower', '12:00', '13:00'), '11:45AM - 1:15PM');
+  });
+
+  it('renders every token with its modifiers', function () {
+    assert.strictEqual(title(titleConfig(), 'clubhouse'), 'CLUBHOUSE Sun 15 Jun 12:00-13:30 John Doe (1.5h) ZZ');
+
+    const context = { facility: 'Tennis - Lower Court', profileName: 'John Doe', signature: 'zz', duration: 90 };
+    assert.strictEqual(
+      renderTitleTemplate('{facility:initials} {profileName:lower} {signature:upper} {duration} {duration:hm}', context),
+      'TLC john doe ZZ 90 1:30'
+    );
+  });
+
+  it('uses the buffer of the facility, then the defaults', function () {
+    const config = titleConfig();
+    assert.strictEqual(getBufferMinutes(config, config.facilities.clubhouse), 30);
+    assert.strictEqual(getBufferMinutes(config, config.facilities.tennis_lower), 15);
+
+    config.facilities.clubhouse.titleTemplate = '{bufStart:HH:mm}-{bufEnd:HH:mm}';
+    assert.strictEqual(title(config, 'clubhouse'), '11:30-14:00');
+
+    config.facilities.tennis_lower.bufferMinutes = 0;
+    assert.strictEqual(title(config, 'tennis_lower'), '12:00PM - 1:30PM');
+  });
+
+  it('prefers the facility template over the profile and global ones', function () {
+    const config = titleConfig({
+      titles: {
+        template: 'Global {start}',
+        profiles: { 'John.Doe@example.com': { name: 'Johnny', template: '{profileName} {start:HH:mm}' } }
+      }
+    });
+
+    assert.match(title(config, 'clubhouse'), /^CLUBHOUSE /);
+    assert.strictEqual(title(config, 'tennis_lower'), 'Johnny 12:00');
+
+    config.credentials.email = 'jane@example.com';
+    assert.strictEqual(title(config, 'tennis_lower'), 'Global 12:00PM');
+  });
+
+  it('derives the profile name from the email when none is configured', function () {
+    const config = titleConfig({ titles: { template: '{profileName} / {profileName:initials}' } });
+    config.credentials.email = 'mary-ann_smith@example.com';
+    assert.strictEqual(title(config, 'tennis_lower'), 'Mary Ann Smith / MAS');
+  });
+
+  it('keeps wall-clock times across midnight buffers', function () {
+    const config = titleConfig({ titles: { template: '{bufStart:HH:mm}-{bufEnd:HH:mm}' } });
+    assert.strictEqual(title(config, 'tennis_lower', '00:00', '23:50'), '23:45-00:05');
+  });
+
+  it('reports unknown tokens and modifiers', function () {
+    assert.deepStrictEqual(checkTitleTemplate('{start:HH:mm} {facility:upper} {duration:hm}'), []);
+    assert.strictEqual(checkTitleTemplate('{room}').length, 1);
+    assert.match(checkTitleTemplate('{room}')[0], /unknown token \{room\}/);
+    assert.match(checkTitleTemplate('{facility:bold}')[0], /unknown modifier 'bold' for \{facility\}/);
+    assert.match(checkTitleTemplate('{duration:days}')[0], /unknown modifier 'days' for \{duration\}/);
+    assert.match(checkTitleTemplate('{start:}')[0], /empty format for \{start\}/);
+    assert.deepStrictEqual(checkTitleTemplate(''), ['must be a non-empty string']);
+  });
+
+  it('fails config validation on bad templates and buffers', function () {
+    assert.doesNotThrow(() => validateConfig(titleConfig()));
+
+    const badFacility = titleConfig();
+    badFacility.facilities.clubhouse.titleTemplate = '{room} {start}';
+    assert.throws(() => validateConfig(badFacility), /config\.facilities\.clubhouse\.titleTemplate: unknown token \{room\}/);
+
+    const badBuffer = titleConfig();
+    badBuffer.facilities.clubhouse.bufferMinutes = -5;
+    assert.throws(() => validateConfig(badBuffer), /config\.facilities\.clubhouse\.bufferMinutes must be at least 0/);
+
+    const badProfile = titleConfig({ titles: { profiles: { 'john.doe@example.com': { template: '{name}' } } } });
+    assert.throws(() => validateConfig(badProfile), /config\.titles\.profiles\.john\.doe@example\.com\.template: unknown token/);
+  });
+});
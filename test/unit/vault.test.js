@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CredentialVault, getVaultPath, openVault, generateKeyFile } = require('../../src/vault');
+const { loadConfig } = require('../../src/config');
+
+const PASSPHRASE = 'correct horse battery';
+const VAULT_ENV = ['BOOKING_VAULT_PASSPHRASE', 'BOOKING_VAULT_KEY_FILE', 'BOOKING_EMAIL', 'BOOKING_PASSWORD', 'PROFILE_BOB_EXAMPLE_COM_USERNAME', 'PROFILE_BOB_EXAMPLE_COM_PASSWORD'];
+
+describe('credential vault', function () {
+  const savedEnv = {};
+  let dataDir;
+  let vaultPath;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-vault-'));
+    vaultPath = path.join(dataDir, 'vault.json');
+    for (const key of VAULT_ENV) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  afterEach(function () {
+    for (const key of VAULT_ENV) {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(overrides = {}) {
+    const configPath = path.join(dataDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      credentials: { email: 'alice@example.com', password: 'from-config' },
+      defaults: { dataDir },
+      facilities: { tennis_lower: { spaceId: '1244466', name: 'Tennis - Lower Court Whole' } },
+      urls: { baseUrl: 'https://venue.example.com/booking' },
+      ...overrides
+    }));
+    return configPath;
+  }
+
+  it('encrypts profiles and unlocks them with the same passphrase', function () {
+    const vault = new CredentialVault(vaultPath).create(PASSPHRASE);
+    assert.strictEqual(vault.set('Alice@Example.com', { password: 'hunter22', signature: 'AS' }), false);
+    assert.strictEqual(vault.set('alice@example.com', { email: 'alice.login@example.com', password: 'hunter23', signature: 'AS' }), true);
+    vault.save();
+
+    const raw = fs.readFileSync(vaultPath, 'utf8');
+    assert.ok(!raw.includes('hunter23'));
+    assert.ok(!raw.includes('alice'));
+    assert.strictEqual(fs.statSync(vaultPath).mode & 0o777, 0o600);
+
+    const reopened = new CredentialVault(vaultPath).unlock(PASSPHRASE);
+    assert.strictEqual(reopened.get('alice@example.com').password, 'hunter23');
+    assert.strictEqual(reopened.get('alice@example.com').email, 'alice.login@example.com');
+    assert.deepStrictEqual(Object.keys(reopened.list()[0]).sort(), ['email', 'profile', 'signature', 'updatedAt']);
+  });
+
+  it('refuses a wrong passphrase and a modified file', function () {
+    const vault = new CredentialVault(vaultPath).create(PASSPHRASE);
+    vault.set('alice@example.com', { password: 'hunter22' });
+    vault.save();
+
+    assert.throws(() => new CredentialVault(vaultPath).unlock('wrong passphrase'), /wrong passphrase or key file/);
+
+    const file = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+    file.kdf.N = 2 ** 14;
+    fs.writeFileSync(vaultPath, JSON.stringify(file));
+    assert.throws(() => new CredentialVault(vaultPath).unlock(PASSPHRASE), /or the file was modified/);
+  });
+
+  it('re-encrypts under a key file on rotation', function () {
+    const vault = new CredentialVault(vaultPath).create(PASSPHRASE);
+    vault.set('alice@example.com', { password: 'hunter22' });
+    vault.save();
+
+    const keyFile = path.join(dataDir, 'keys', 'vault.key');
+    vault.setSecret(generateKeyFile(keyFile));
+    vault.save();
+    assert.throws(() => generateKeyFile(keyFile), /EEXIST/);
+
+    process.env.BOOKING_VAULT_KEY_FILE = keyFile;
+    const config = { defaults: { dataDir } };
+    assert.strictEqual(getVaultPath(config), vaultPath);
+    assert.strictEqual(openVault(config).get('alice@example.com').password, 'hunter22');
+    assert.throws(() => new CredentialVault(vaultPath).unlock(PASSPHRASE), /wrong passphrase/);
+  });
+
+  it('resolves credentials from the vault before the environment and config', function () {
+    const vault = new CredentialVault(vaultPath).create(PASSPHRASE);
+    vault.set('alice@example.com', { password: 'from-vault', signature: 'AV' });
+    vault.save();
+    const configPath = writeConfig();
+    process.env.PROFILE_BOB_EXAMPLE_COM_USERNAME = 'bob@example.com';
+    process.env.PROFILE_BOB_EXAMPLE_COM_PASSWORD = 'from-env';
+
+    // Locked: the config password is used
+    assert.strictEqual(loadConfig(configPath).credentials.password, 'from-config');
+
+    process.env.BOOKING_VAULT_PASSPHRASE = PASSPHRASE;
+    const config = loadConfig(configPath);
+    assert.strictEqual(config.credentials.password, 'from-vault');
+    assert.strictEqual(config.defaults.signature, 'AV');
+    assert.strictEqual(loadConfig(configPath, 'alice@example.com').credentials.password, 'from-vault');
+
+    // Profiles missing from the vault fall back to the environment
+    assert.strictEqual(loadConfig(configPath, 'bob@example.com').credentials.password, 'from-env');
+    assert.throws(() => loadConfig(configPath, 'carol@example.com'), /add the profile to the vault with: node index.js credentials add carol@example.com/);
+  });
+});